@@ -0,0 +1,222 @@
+/**
+ * Player Account for Stellar Warfare
+ * The server ties every connection to an account. A browser without a
+ * session token gets a guest account and keeps its token here; ?account
+ * opens the AccountScreen to register the guest (keeping its progress),
+ * log in to a named account or log out.
+ *
+ * Socket: handshake auth.token → session { token, profile, progress }
+ * HTTP: POST /accounts/register, POST /accounts/login (Bearer token)
+ */
+
+import { Modal } from './ui-components.js';
+
+const TOKEN_STORAGE_KEY = 'stellarWarfare_sessionToken';
+
+export function getSessionToken() {
+    // CRASH PREVENTION: Storage can be blocked (private mode) - play as a fresh guest
+    try {
+        return localStorage.getItem(TOKEN_STORAGE_KEY);
+    } catch (error) {
+        return null;
+    }
+}
+
+export function setSessionToken(token) {
+    try {
+        if (token) {
+            localStorage.setItem(TOKEN_STORAGE_KEY, token);
+        } else {
+            localStorage.removeItem(TOKEN_STORAGE_KEY);
+        }
+    } catch (error) {
+        console.error('[Account] Could not store session token:', error.message);
+    }
+}
+
+export class AccountScreen {
+    constructor(game) {
+        this.game = game;
+        this.socket = null;
+        this.view = 'profile'; // profile | register | login
+        this.message = '';
+
+        this.modal = new Modal({
+            title: 'Pilot Account',
+            closable: false,
+            closeOnOverlay: false
+        });
+    }
+
+    /**
+     * Hook up to the game's socket (call right after game.connect)
+     */
+    attach(socket) {
+        this.socket = socket;
+        socket.on('session', () => {
+            this.view = 'profile';
+            this.render();
+        });
+    }
+
+    render() {
+        const profile = this.game.profile;
+        if (!profile) return;
+
+        const container = document.createElement('div');
+        container.className = 'account';
+        let buttons;
+
+        if (this.view === 'profile') {
+            this.modal.title.textContent = profile.guest ? 'Guest Pilot' : profile.name;
+            container.appendChild(this.createProfileSummary(profile));
+            buttons = [
+                {
+                    text: 'Play', className: 'btn-primary', close: false, onClick: () => {
+                        this.modal.close();
+                        this.game.joinQueue();
+                    }
+                },
+                profile.guest
+                    ? { text: 'Register', className: 'btn-secondary', close: false, onClick: () => this.show('register') }
+                    : { text: 'Log out', className: 'btn-secondary', close: false, onClick: () => this.logout() },
+                { text: 'Log in', className: 'btn-secondary', close: false, onClick: () => this.show('login') }
+            ];
+        } else {
+            const registering = this.view === 'register';
+            this.modal.title.textContent = registering ? 'Register' : 'Log In';
+            if (registering) {
+                const note = document.createElement('div');
+                note.className = 'account-note';
+                note.textContent = 'Your guest progress and rating carry over.';
+                container.appendChild(note);
+            }
+            const username = this.createInput('text', 'Username');
+            const password = this.createInput('password', 'Password');
+            container.appendChild(username);
+            container.appendChild(password);
+
+            const submit = () => registering
+                ? this.register(username.value, password.value)
+                : this.login(username.value, password.value);
+            password.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') submit();
+            });
+            buttons = [
+                { text: registering ? 'Register' : 'Log in', className: 'btn-primary', close: false, onClick: submit },
+                { text: 'Back', className: 'btn-secondary', close: false, onClick: () => this.show('profile') }
+            ];
+        }
+
+        if (this.message) {
+            const message = document.createElement('div');
+            message.className = 'lobby-message';
+            message.textContent = this.message;
+            container.appendChild(message);
+        }
+
+        this.modal.setContent(container);
+        this.modal.addButtons(buttons);
+        if (!this.modal.isOpen) {
+            this.modal.open();
+        }
+    }
+
+    createProfileSummary(profile) {
+        const { progression } = profile;
+        const summary = document.createElement('div');
+        summary.className = 'account-summary';
+
+        const rows = [
+            ['Name', profile.name + (profile.guest ? ' (guest)' : '')],
+            ['Level', `${progression.level} - ${progression.equipped.title}`],
+            ['XP', progression.nextLevelXP ? `${progression.xp} / ${progression.nextLevelXP}` : 'MAX'],
+            ['Credits', progression.credits],
+            ['Rating', profile.rating],
+            ['Matches', `${progression.stats.matchesPlayed} (${progression.stats.matchesWon} won)`]
+        ];
+        rows.forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'account-row';
+            row.innerHTML = '<span class="account-label"></span><span class="account-value"></span>';
+            row.querySelector('.account-label').textContent = label;
+            row.querySelector('.account-value').textContent = value;
+            summary.appendChild(row);
+        });
+        return summary;
+    }
+
+    createInput(type, placeholder) {
+        const input = document.createElement('input');
+        input.type = type;
+        input.placeholder = placeholder;
+        input.className = 'account-input';
+        input.addEventListener('keydown', (e) => e.stopPropagation()); // Typing must not fly the ship
+        return input;
+    }
+
+    show(view) {
+        this.view = view;
+        this.message = '';
+        this.render();
+    }
+
+    async register(username, password) {
+        const data = await this.post('/accounts/register', { username, password }, getSessionToken());
+        if (!data) return;
+
+        this.game.profile = data.profile;
+        this.show('profile');
+    }
+
+    async login(username, password) {
+        const data = await this.post('/accounts/login', { username, password });
+        if (!data) return;
+
+        setSessionToken(data.token);
+        this.reconnect(); // The new session's profile arrives with 'session'
+    }
+
+    logout() {
+        setSessionToken(null);
+        this.reconnect();
+    }
+
+    /**
+     * Reconnect with the stored token so the server sees the new identity
+     */
+    reconnect() {
+        this.socket.auth = { token: getSessionToken() };
+        this.socket.disconnect();
+        this.socket.connect();
+    }
+
+    /**
+     * @returns {Promise<Object|null>} Response body, or null after showing the error
+     */
+    async post(url, body, token) {
+        try {
+            const headers = { 'Content-Type': 'application/json' };
+            if (token) {
+                headers.Authorization = `Bearer ${token}`;
+            }
+            const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
+            const data = await response.json();
+            if (!response.ok) {
+                this.message = data.error || 'Request failed';
+                this.render();
+                return null;
+            }
+            return data;
+        } catch (error) {
+            console.error('[Account] Request failed:', error);
+            this.message = 'Server unreachable';
+            this.render();
+            return null;
+        }
+    }
+
+    cleanup() {
+        this.modal.destroy();
+    }
+}
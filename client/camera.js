@@ -3,7 +3,7 @@
  * Handles smooth camera following, zoom, screen shake, and coordinate conversion
  */
 
-class Camera {
+export class Camera {
   constructor(canvas) {
     this.canvas = canvas;
     this.x = 0;
@@ -266,8 +266,3 @@ class Camera {
     this.clampToWorld();
   }
 }
-
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = Camera;
-}
@@ -0,0 +1,59 @@
+/**
+ * Game Definitions for Stellar Warfare
+ * Ships, weapons and power-ups exactly as the server loaded them from
+ * shared/data (validated, defaults filled in), fetched once at connect.
+ * Until they arrive the lookups come back empty and callers keep their
+ * fallbacks.
+ *
+ * HTTP: GET /definitions → { defaultShip, ships, weapons, powerUps }
+ */
+
+let definitions = null;
+let loading = null;
+
+/**
+ * @returns {Promise<Object|null>} The definitions (null when the request failed)
+ */
+export function loadDefinitions() {
+    if (!loading) {
+        // CRASH PREVENTION: A failed request is retried on the next call
+        loading = fetch('/definitions')
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.json();
+            })
+            .then(data => {
+                definitions = data;
+                return data;
+            })
+            .catch(error => {
+                console.error('[Definitions] Could not load game definitions:', error);
+                loading = null;
+                return null;
+            });
+    }
+    return loading;
+}
+
+/**
+ * Ships in file order (the 1/2/3... hotkeys and leaderboard tabs follow it)
+ */
+export function getShips() {
+    return definitions ? definitions.ships : [];
+}
+
+/**
+ * @param {string} shipType - Id or display name, any case
+ */
+export function getShip(shipType) {
+    const id = String(shipType || '').toLowerCase();
+    return getShips().find(ship => ship.id === id) || null;
+}
+
+export function getWeapon(id) {
+    return definitions ? definitions.weapons.find(weapon => weapon.id === id) || null : null;
+}
+
+export function getPowerUp(id) {
+    return definitions ? definitions.powerUps.find(powerUp => powerUp.id === id) || null : null;
+}
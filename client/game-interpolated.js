@@ -1,4 +1,7 @@
 import { InterpolationSystem } from './interpolation.js';
+import { PredictionSystem } from './prediction.js';
+import { getSessionToken, setSessionToken } from './account.js';
+import { loadDefinitions } from './definitions.js';
 
 export class Game {
     constructor() {
@@ -23,7 +26,12 @@ export class Game {
             },
             entities: [],
             projectiles: [],
-            particles: []
+            particles: [],
+            match: null,
+            teams: null, // Team modes: [{ id, name, color, score, kills, deaths }], ranked
+            flags: [], // Capture the flag: [{ id, team, color, x, y, carrierId, atBase }]
+            bases: [], // Capture the flag: [{ id, team, color, x, y, radius }]
+            radar: { ships: [], asteroids: [] } // Coarse whole-map blips for the minimap
         };
 
         // Input state
@@ -34,6 +42,7 @@ export class Game {
             right: false,
             brake: false,
             fire: false,
+            secondaryFire: false,
             mouseX: 0,
             mouseY: 0,
             shipType: 'Interceptor'
@@ -43,8 +52,48 @@ export class Game {
         this.networkUpdateRate = 1000 / 20; // 20 updates per second
         this.lastNetworkUpdate = 0;
 
+        // Camera size in world units - the server only sends entities around it
+        this.viewport = null;
+        this.lastViewportUpdate = 0;
+        this.viewportUpdateInterval = 500; // ms
+
+        // Local ship prediction + server reconciliation
+        this.prediction = new PredictionSystem();
+
+        // Wire format: binary unless ?wire=json (readable payloads for debugging).
+        // The server confirms what it will actually use in gameJoined.
+        const { WIRE_FORMATS } = WireCodec;
+        const params = new URLSearchParams(window.location.search);
+        this.requestedWireFormat = params.get('wire') === WIRE_FORMATS.JSON
+            ? WIRE_FORMATS.JSON
+            : WIRE_FORMATS.BINARY;
+        this.wireFormat = WIRE_FORMATS.JSON;
+
+        // ?spectate (or ?spectate=<gameId>) watches a match without a ship
+        this.spectating = params.has('spectate');
+        this.spectateGameId = params.get('spectate') || null;
+        this.spectateRetryDelay = 5000; // ms before asking again when there is nothing to watch
+        this.worldSize = null;
+        if (this.spectating) {
+            this.state.player = null;
+        }
+
+        // ?lobby (create or join a private lobby) or ?lobby=<code> skips matchmaking;
+        // the LobbyScreen joins a match once the host starts it
+        this.lobbyRequested = params.has('lobby');
+        this.lobbyCode = params.get('lobby') || null;
+
+        // ?browse picks a running match from the RoomBrowser instead of matchmaking
+        this.browseRequested = params.has('browse');
+
+        // ?account opens the AccountScreen first; the profile (XP, credits,
+        // rating) is owned by the server and arrives with 'session'
+        this.accountRequested = params.has('account');
+        this.profile = null;
+
         // Network latency tracking
         this.latency = 0;
+        this.jitter = 0;
         this.lastPingTime = 0;
         this.pingInterval = 2000; // Ping every 2 seconds
     }
@@ -52,12 +101,19 @@ export class Game {
     connect(url) {
         console.log('Connecting to server:', url);
 
-        this.socket = io(url);
+        // Ship, weapon and power-up stats come from the server's data files
+        loadDefinitions();
+
+        this.socket = io(url, { auth: { token: getSessionToken() } });
 
         this.socket.on('connect', () => {
             console.log('Connected to server');
             this.connected = true;
-            this.socket.emit('joinQueue', { shipType: this.input.shipType });
+            if (this.spectating) {
+                this.requestSpectate();
+            } else if (!this.lobbyRequested && !this.browseRequested && !this.accountRequested) {
+                this.joinQueue();
+            }
             this.startPingTracking();
         });
 
@@ -70,18 +126,84 @@ export class Game {
             console.error('Connection error:', error);
         });
 
+        // Our account: a new guest's token is kept so we come back as the same pilot
+        this.socket.on('session', (data) => {
+            if (data.token) {
+                setSessionToken(data.token);
+                this.socket.auth = { token: data.token };
+            }
+            this.profile = data.profile;
+        });
+
+        this.socket.on('matchEnd', (data) => {
+            if (data.profile) {
+                this.profile = data.profile;
+            }
+        });
+
         this.socket.on('gameJoined', (data) => {
             this.playerId = data.playerId;
-            console.log('Received player ID:', this.playerId);
+            this.wireFormat = data.wireFormat || WireCodec.WIRE_FORMATS.JSON;
+            console.log('Received player ID:', this.playerId, `(${this.wireFormat} wire format)`);
+            this.prediction.reset();
+            this.prediction.setShipConfig(data.shipConfig);
+            this.prediction.setWorldSize(data.worldSize);
+            this.viewport = null; // Report it again to the new game
 
             // Mark local player to skip interpolation
             this.interpolationSystem.skipEntity(`player_${this.playerId}`);
+            this.interpolationSystem.snapshotDecoder.reset();
+        });
+
+        // Watching a match: no player id, every ship is interpolated
+        this.socket.on('spectateJoined', (data) => {
+            this.wireFormat = data.wireFormat || WireCodec.WIRE_FORMATS.JSON;
+            this.worldSize = data.worldSize;
+            this.state.match = data.match || null;
+            console.log(`Spectating ${data.gameId} (${this.wireFormat} wire format)`);
+            this.interpolationSystem.snapshotDecoder.reset();
+        });
+
+        // Nothing to watch (or our match ended with nowhere to move) - ask again shortly
+        this.socket.on('spectateEnded', (data) => {
+            console.log('Spectating ended:', data.reason);
+            this.spectateGameId = null; // Any match will do from now on
+            setTimeout(() => this.requestSpectate(), this.spectateRetryDelay);
         });
 
         this.socket.on('gameState', (state) => {
             this.updateGameState(state);
         });
 
+        this.socket.on('shipChanged', (data) => {
+            if (data.playerId === this.playerId) {
+                console.log('Ship changed to:', data.shipName);
+                this.prediction.setShipConfig(data.shipConfig);
+            }
+        });
+
+        this.socket.on('shipChangeQueued', (data) => {
+            const when = data.cooldown > 0 ? `in ${data.cooldown.toFixed(1)}s` : 'on next respawn';
+            console.log(`Ship change to ${data.shipName} queued, applies ${when}`);
+        });
+
+        // Secondary weapon loadout (Q): the server saves it on our account
+        this.socket.on('weaponEquipped', (data) => {
+            this.profile = data.profile;
+        });
+
+        this.socket.on('equipRejected', (data) => {
+            console.log(`Cannot equip ${data.weaponId}: ${data.reason}`);
+        });
+
+        // Whole-map positions at a low rate (gameState only covers the area around the camera)
+        this.socket.on('radar', (radar) => {
+            this.state.radar = {
+                ships: radar.ships || [],
+                asteroids: radar.asteroids || []
+            };
+        });
+
         this.socket.on('playerJoined', (data) => {
             console.log('Player joined:', data.playerId);
         });
@@ -93,7 +215,12 @@ export class Game {
         // Latency tracking
         this.socket.on('pong', (timestamp) => {
             this.latency = Date.now() - timestamp;
-            this.interpolationSystem.adjustForLatency(this.latency);
+            this.interpolationSystem.adjustForLatency(this.latency, this.jitter);
+        });
+
+        // Server RTT probe - reply immediately
+        this.socket.on('latencyProbe', (ack) => {
+            if (typeof ack === 'function') ack();
         });
     }
 
@@ -105,41 +232,69 @@ export class Game {
         }, this.pingInterval);
     }
 
-    updateGameState(serverState) {
-        // Update interpolation system with server state
-        this.interpolationSystem.updateServerState(serverState, Date.now());
+    updateGameState(message) {
+        // Update interpolation system with server state (decodes the delta)
+        const serverState = this.interpolationSystem.updateServerState(message, Date.now());
+        if (!serverState) return;
+
+        // Acknowledge so the next delta is encoded against this snapshot
+        if (serverState.seq !== undefined) {
+            this.socket.emit('snapshotAck', serverState.seq);
+        }
+
+        // Match status (phase, time remaining)
+        this.state.match = serverState.match || null;
+        this.state.teams = serverState.teams || null;
+        this.state.flags = serverState.flags || [];
+        this.state.bases = serverState.bases || [];
 
         // Update player state directly (no interpolation for local player)
         if (this.playerId && serverState.players) {
             const serverPlayer = serverState.players.find(p => p.id === this.playerId);
             if (serverPlayer) {
-                // Blend server state with predicted state to reduce correction jitter
-                const blendFactor = 0.2; // How much to trust server vs prediction
+                // Server-measured jitter widens the interpolation buffer
+                if (serverPlayer.jitter !== null && serverPlayer.jitter !== undefined) {
+                    this.jitter = serverPlayer.jitter;
+                }
+
+                // Keep the local aim - the server's rotation trails the mouse
+                const localAngle = this.state.player.id === this.playerId ? this.state.player.angle : undefined;
 
                 this.state.player = {
                     ...serverPlayer,
-                    // Smooth position correction
-                    x: this.state.player.x + (serverPlayer.x - this.state.player.x) * blendFactor,
-                    y: this.state.player.y + (serverPlayer.y - this.state.player.y) * blendFactor,
-                    angle: serverPlayer.rotation || 0,
+                    angle: localAngle !== undefined ? localAngle : (serverPlayer.rotation || 0),
                     vx: serverPlayer.velocityX || 0,
                     vy: serverPlayer.velocityY || 0,
                     id: this.playerId
                 };
+
+                // Rebase prediction on the authoritative state and replay unacknowledged inputs
+                // (the correction is smoothed inside the prediction system)
+                this.prediction.reconcile(serverPlayer);
+                const position = this.prediction.getPosition();
+                if (position) {
+                    this.state.player.x = position.x;
+                    this.state.player.y = position.y;
+                }
             }
         }
     }
 
     update(deltaTime) {
-        // Send input to server
-        const currentTime = performance.now();
-        if (currentTime - this.lastNetworkUpdate >= this.networkUpdateRate) {
-            this.sendInput();
-            this.lastNetworkUpdate = currentTime;
-        }
+        // Spectators have no ship to drive or predict
+        if (!this.spectating) {
+            // Send input to server
+            const currentTime = performance.now();
+            // Movement key changes go out immediately so prediction and server start together
+            if (currentTime - this.lastNetworkUpdate >= this.networkUpdateRate ||
+                this.prediction.hasInputChanged(this.input)) {
+                this.sendInput();
+                this.lastNetworkUpdate = currentTime;
+            }
 
-        // Client-side prediction for local player
-        this.predictPlayerMovement(deltaTime);
+            // Client-side prediction for local player
+            this.predictPlayerMovement(deltaTime);
+        }
 
         // Interpolate all other entities
         const interpolatedEntities = this.interpolationSystem.interpolate(deltaTime);
@@ -155,100 +310,72 @@ export class Game {
     }
 
     predictPlayerMovement(deltaTime) {
-        // Enhanced client-side prediction with smoother movement
-        const player = this.state.player;
-        if (!player) return;
+        // Same physics as the server, fed with the inputs we sent (see prediction.js)
+        this.prediction.update(deltaTime);
 
-        const shipConfig = this.getShipConfig(player.shipType);
+        const position = this.prediction.getPosition();
+        const velocity = this.prediction.getVelocity();
+        if (!position) return; // Dead or no authoritative state yet
 
-        // Calculate acceleration based on input
-        let ax = 0;
-        let ay = 0;
-
-        if (this.input.forward) {
-            ax += Math.cos(player.angle) * shipConfig.acceleration;
-            ay += Math.sin(player.angle) * shipConfig.acceleration;
-        }
-        if (this.input.backward) {
-            ax -= Math.cos(player.angle) * shipConfig.acceleration * 0.5;
-            ay -= Math.sin(player.angle) * shipConfig.acceleration * 0.5;
-        }
-        if (this.input.left) {
-            ax -= Math.cos(player.angle + Math.PI / 2) * shipConfig.acceleration * 0.7;
-            ay -= Math.sin(player.angle + Math.PI / 2) * shipConfig.acceleration * 0.7;
-        }
-        if (this.input.right) {
-            ax += Math.cos(player.angle + Math.PI / 2) * shipConfig.acceleration * 0.7;
-            ay += Math.sin(player.angle + Math.PI / 2) * shipConfig.acceleration * 0.7;
-        }
-
-        // Apply braking with smoother deceleration
-        if (this.input.brake) {
-            const brakeFactor = Math.pow(0.9, deltaTime * 60); // Frame-independent braking
-            player.vx *= brakeFactor;
-            player.vy *= brakeFactor;
-        }
-
-        // Update velocity with frame-independent acceleration
-        player.vx += ax * deltaTime;
-        player.vy += ay * deltaTime;
-
-        // Apply drag with frame-independence
-        const dragFactor = Math.pow(1 - shipConfig.drag, deltaTime);
-        player.vx *= dragFactor;
-        player.vy *= dragFactor;
-
-        // Limit speed with smooth clamping
-        const speed = Math.sqrt(player.vx * player.vx + player.vy * player.vy);
-        if (speed > shipConfig.maxSpeed) {
-            const limitFactor = shipConfig.maxSpeed / speed;
-            player.vx *= limitFactor;
-            player.vy *= limitFactor;
-        }
-
-        // Update position
-        player.x += player.vx * deltaTime;
-        player.y += player.vy * deltaTime;
-    }
-
-    getShipConfig(shipType) {
-        const configs = {
-            Interceptor: {
-                acceleration: 300,
-                maxSpeed: 400,
-                drag: 0.5,
-                turnRate: 5
-            },
-            Gunship: {
-                acceleration: 200,
-                maxSpeed: 300,
-                drag: 0.6,
-                turnRate: 3
-            },
-            Cruiser: {
-                acceleration: 150,
-                maxSpeed: 250,
-                drag: 0.7,
-                turnRate: 2
-            }
-        };
-        return configs[shipType] || configs.Interceptor;
+        const player = this.state.player;
+        player.x = position.x;
+        player.y = position.y;
+        player.vx = velocity.x;
+        player.vy = velocity.y;
     }
 
     sendInput() {
         if (!this.connected || !this.socket) return;
 
-        this.socket.emit('playerInput', {
+        const angle = this.state.player.angle;
+        const input = {
+            seq: this.prediction.recordInput(this.input, angle),
             forward: this.input.forward,
             backward: this.input.backward,
             left: this.input.left,
             right: this.input.right,
             brake: this.input.brake,
             fire: this.input.fire,
+            secondaryFire: this.input.secondaryFire,
             mouseX: this.input.mouseX,
             mouseY: this.input.mouseY,
-            angle: this.state.player.angle,
+            angle: angle,
             timestamp: Date.now() // Add timestamp for latency compensation
+        };
+
+        this.socket.emit('playerInput', this.wireFormat === WireCodec.WIRE_FORMATS.BINARY
+            ? WireCodec.encodeInput(input)
+            : input);
+    }
+
+    /**
+     * What the server needs to put us in a match (matchmaking, a lobby or a picked room)
+     */
+    getJoinData() {
+        return {
+            shipType: this.input.shipType,
+            wireFormat: this.requestedWireFormat
+        };
+    }
+
+    joinQueue() {
+        if (!this.connected || !this.socket) return;
+        this.socket.emit('joinQueue', this.getJoinData());
+    }
+
+    /**
+     * Join a specific running match (server browser)
+     */
+    joinRoom(gameId) {
+        if (!this.connected || !this.socket) return;
+        this.socket.emit('joinRoom', { ...this.getJoinData(), gameId: gameId });
+    }
+
+    requestSpectate() {
+        if (!this.connected || !this.socket) return;
+        this.socket.emit('spectate', {
+            gameId: this.spectateGameId,
+            wireFormat: this.requestedWireFormat
         });
     }
 
@@ -258,11 +385,62 @@ export class Game {
 
     setShipType(shipType) {
         this.input.shipType = shipType;
-        if (this.connected && this.socket) {
+        if (this.connected && this.socket && !this.spectating) {
             this.socket.emit('changeShip', { shipType: shipType });
         }
     }
 
+    /**
+     * Equip the next secondary weapon our account has available
+     */
+    cycleSecondaryWeapon() {
+        if (!this.connected || !this.socket || this.spectating || !this.profile) return;
+
+        const secondaries = this.profile.progression.secondaries || [];
+        if (secondaries.length < 2) return;
+
+        const current = this.state.player ? this.state.player.secondaryWeapon : null;
+        const next = secondaries[(secondaries.indexOf(current) + 1) % secondaries.length];
+        this.socket.emit('equipWeapon', { weaponId: next });
+    }
+
+    /**
+     * Report the visible world area (canvas size / zoom) so the server can cull around it,
+     * plus the render delay it rewinds targets by for lag-compensated hits
+     */
+    setViewport(width, height) {
+        if (!this.connected || !this.socket || !this.playerId) return;
+
+        const interpolationDelay = this.interpolationSystem.interpolationDelay;
+        const now = performance.now();
+        const current = this.viewport;
+        const changed = !current ||
+            Math.abs(width - current.width) > current.width * 0.05 ||
+            Math.abs(height - current.height) > current.height * 0.05 ||
+            interpolationDelay !== current.interpolationDelay;
+        if (!changed || now - this.lastViewportUpdate < this.viewportUpdateInterval) return;
+
+        this.viewport = {
+            width: Math.round(width),
+            height: Math.round(height),
+            interpolationDelay: interpolationDelay
+        };
+        this.lastViewportUpdate = now;
+        this.socket.emit('viewport', this.viewport);
+    }
+
+    /**
+     * Radar blips in the minimap's entity format
+     */
+    getRadarEntities() {
+        const radar = this.state.radar;
+        const teamColors = new Map((this.state.teams || []).map(team => [team.id, team.color]));
+        return radar.asteroids.map(([x, y]) => ({ x, y, type: 'asteroid' }))
+            .concat(radar.ships.map(([x, y, team]) => ({ x, y, type: 'ship', teamColor: teamColors.get(team) })))
+            .concat(this.state.bases.map(base => ({ x: base.x, y: base.y, type: 'base', teamColor: base.color })))
+            .concat(this.state.flags.map(flag => ({ x: flag.x, y: flag.y, type: 'flag', teamColor: flag.color })));
+    }
+
     getState() {
         return this.state;
     }
@@ -278,4 +456,8 @@ export class Game {
     getLatency() {
         return this.latency;
     }
+
+    getJitter() {
+        return this.jitter;
+    }
 }
\ No newline at end of file
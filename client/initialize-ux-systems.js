@@ -8,6 +8,7 @@ import { DamageDisplay } from './ui-systems/damage-display.js';
 import { EnhancedHUD } from './ui-systems/enhanced-hud.js';
 import { ProgressionSystem } from './systems/progression.js';
 import { TutorialSystem } from './systems/tutorial.js';
+import { getShip, getWeapon } from './definitions.js';
 
 export class UXSystemManager {
     constructor(game, renderer, inputHandler, canvas, ctx) {
@@ -43,8 +44,8 @@ export class UXSystemManager {
         // Make progression globally accessible for other systems
         window.progressionSystem = this.progression;
 
-        // Check daily challenges
-        this.progression.checkDailyReset();
+        // Server profile (may have arrived before these systems were created)
+        this.progression.applyProfile(this.game.profile);
     }
 
     setupEventListeners() {
@@ -63,10 +64,23 @@ export class UXSystemManager {
                 this.handlePowerUpEvent(data);
             });
 
+            // Secondary weapon fired (or beam overheated / weapon swapped)
+            this.game.socket.on('weaponCooldown', (data) => {
+                if (data.slot === 'secondary') {
+                    this.secondaryReadyAt = performance.now() + data.cooldown * 1000;
+                }
+            });
+
             // Match events
             this.game.socket.on('matchEnd', (data) => {
                 this.handleMatchEnd(data);
             });
+
+            // Account: progression is granted server-side
+            this.game.socket.on('session', (data) => {
+                this.progression.applyProfile(data.profile);
+                this.progression.applyMatchProgress(data.progress);
+            });
         }
 
         // Input events for tutorial tracking
@@ -103,8 +117,8 @@ export class UXSystemManager {
                 score: this.currentScore || 0
             });
 
-            // Add XP for kill
-            this.progression.addXP(100, 'Enemy Eliminated');
+            // Kill XP is granted with the match results; preview it now
+            this.progression.showXPNotification(100, 'Enemy Eliminated');
         } else if (data.victimId === this.game.playerId) {
             // Player was killed
             this.currentDeaths = (this.currentDeaths || 0) + 1;
@@ -129,16 +143,22 @@ export class UXSystemManager {
      * Handle damage event
      */
     handleDamageEvent(data) {
-        // Add damage number at hit location
+        // Add damage numbers at hit location: what the shield absorbed, then what reached the hull
         if (data.x && data.y) {
-            const damageType = data.critical ? 'critical' : 'normal';
-            this.damageDisplay.addDamageNumber(
-                data.x,
-                data.y,
-                data.damage,
-                damageType,
-                this.renderer.camera
-            );
+            const shieldDamage = data.shieldDamage || 0;
+            if (shieldDamage > 0) {
+                this.damageDisplay.addDamageNumber(data.x, data.y, shieldDamage, 'shield', this.renderer.camera);
+            }
+            if (data.damage > shieldDamage) {
+                const damageType = data.hitType || (data.critical ? 'critical' : 'normal');
+                this.damageDisplay.addDamageNumber(
+                    data.x,
+                    data.y,
+                    data.damage - shieldDamage,
+                    damageType,
+                    this.renderer.camera
+                );
+            }
         }
 
         // Add hit marker if player dealt damage
@@ -179,9 +199,6 @@ export class UXSystemManager {
 
             // Tutorial tracking
             this.tutorial.onPowerUpCollected();
-
-            // Add XP
-            this.progression.addXP(50, 'Power-Up Collected');
         }
     }
 
@@ -189,19 +206,9 @@ export class UXSystemManager {
      * Handle match end
      */
     handleMatchEnd(data) {
-        // Calculate match stats
-        const matchStats = {
-            kills: this.currentKills || 0,
-            deaths: this.currentDeaths || 0,
-            assists: data.assists || 0,
-            damage: data.totalDamage || 0,
-            won: data.won || false,
-            survivalTime: data.survivalTime || 0,
-            highestKillStreak: this.highestStreak || 0
-        };
-
-        // Update progression
-        this.progression.updateMatchStats(matchStats);
+        // Grants were computed by the server from its own match results
+        this.progression.applyProfile(data.profile);
+        this.progression.applyMatchProgress(data.progression);
 
         // Reset current match stats
         this.currentKills = 0;
@@ -272,10 +279,21 @@ export class UXSystemManager {
                 <div style="margin: 30px 0;">
                     <div style="color: #00ffff; font-size: 18px; margin-bottom: 10px;">XP EARNED</div>
                     <div style="color: #00ff00; font-size: 32px; font-weight: bold;">
-                        +${data.xpEarned || 500}
+                        +${data.progression ? data.progression.xpEarned : (data.xpEarned || 0)}
                     </div>
                 </div>
 
+                ${data.rating ? `
+                <div style="margin: 20px 0;">
+                    <div style="color: #00ffff; font-size: 18px; margin-bottom: 10px;">RATING</div>
+                    <div style="color: white; font-size: 24px; font-weight: bold;">
+                        ${data.rating.rating}
+                        <span style="color: ${data.rating.change >= 0 ? '#00ff00' : '#ff4444'}; font-size: 18px;">
+                            (${data.rating.change >= 0 ? '+' : ''}${data.rating.change})
+                        </span>
+                    </div>
+                </div>` : ''}
+
                 <button onclick="this.parentElement.parentElement.remove()" style="
                     background: linear-gradient(135deg, #00ffff, #00ff00);
                     border: none;
@@ -309,14 +327,18 @@ export class UXSystemManager {
         // Update game state for HUD
         const state = this.game.getState();
         if (state.player) {
+            // Energy feeds beam weapons (an empty tank is a real 0)
+            const energy = state.player.energy !== undefined ? state.player.energy : 100;
+            const maxEnergy = state.player.maxEnergy !== undefined ? state.player.maxEnergy : 100;
+
             // Update HUD with current player stats
             this.hud.updateStats({
                 health: state.player.health || 100,
-                maxHealth: 100,
+                maxHealth: state.player.maxHealth || 100,
                 shield: state.player.shield || 0,
-                maxShield: 100,
-                energy: state.player.energy || 100,
-                maxEnergy: 100,
+                maxShield: state.player.maxShield || 100,
+                energy: energy,
+                maxEnergy: maxEnergy,
                 score: this.currentScore || 0,
                 kills: this.currentKills || 0,
                 deaths: this.currentDeaths || 0,
@@ -329,18 +351,28 @@ export class UXSystemManager {
                 y: state.player.vy || 0
             });
 
-            // Update weapon cooldowns (mock data for now)
+            // Update weapon names from the definitions; the secondary is the equipped loadout
+            const ship = getShip(state.player.shipType);
+            const primary = ship ? getWeapon(ship.primaryWeapon) : null;
+            const secondary = getWeapon(state.player.secondaryWeapon) || (ship ? getWeapon(ship.secondaryWeapon) : null);
+            const secondaryCooldown = Math.max(0, ((this.secondaryReadyAt || 0) - performance.now()) / 1000);
+            let secondaryStatus = secondaryCooldown > 0 ? `${secondaryCooldown.toFixed(1)}s` : 'READY';
+            if (secondaryCooldown === 0 && secondary && secondary.type === 'beam') {
+                secondaryStatus = `${Math.round(energy)}/${maxEnergy}`;
+            }
+
             this.hud.updateWeapon({
                 primary: {
-                    name: 'Blaster',
+                    name: primary ? primary.name : 'Blaster',
                     cooldown: 0,
-                    maxCooldown: 0.2
+                    maxCooldown: primary && primary.cooldown !== undefined ? primary.cooldown : (ship ? ship.fireRate / 1000 : 0.2)
                 },
                 secondary: {
-                    name: 'Missiles',
-                    cooldown: 0,
-                    maxCooldown: 5,
-                    ammo: 3
+                    name: secondary ? secondary.name : 'Homing Missile',
+                    icon: secondary ? secondary.icon : '',
+                    cooldown: secondaryCooldown,
+                    maxCooldown: secondary && secondary.cooldown ? secondary.cooldown : 3,
+                    status: secondaryStatus
                 }
             });
         }
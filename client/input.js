@@ -1,3 +1,5 @@
+import { getShips } from './definitions.js';
+
 export class InputHandler {
     constructor(canvas, game) {
         this.canvas = canvas;
@@ -16,9 +18,11 @@ export class InputHandler {
             'KeyA': 'left',
             'KeyD': 'right',
             'Space': 'brake',
+            'KeyQ': 'nextSecondary',
             'Digit1': 'ship1',
             'Digit2': 'ship2',
-            'Digit3': 'ship3'
+            'Digit3': 'ship3',
+            'Digit4': 'ship4'
         };
 
         // Active keys
@@ -71,17 +75,27 @@ export class InputHandler {
                 this.game.setInput('brake', true);
                 break;
             case 'ship1':
-                this.game.setShipType('Interceptor');
-                break;
             case 'ship2':
-                this.game.setShipType('Gunship');
-                break;
             case 'ship3':
-                this.game.setShipType('Cruiser');
+            case 'ship4':
+                this.selectShip(Number(action.slice(4)) - 1);
+                break;
+            case 'nextSecondary':
+                this.game.cycleSecondaryWeapon();
                 break;
         }
     }
 
+    /**
+     * Number keys pick ships in the order of shared/data/ships.json
+     */
+    selectShip(index) {
+        const ship = getShips()[index];
+        if (ship) {
+            this.game.setShipType(ship.name);
+        }
+    }
+
     handleKeyUp(e) {
         const action = this.keyMap[e.code];
         if (!action) return;
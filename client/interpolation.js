@@ -4,6 +4,8 @@
  * to eliminate stuttering and provide smooth visual gameplay
  */
 
+import { SnapshotDecoder } from './snapshot-decoder.js';
+
 export class InterpolationSystem {
     constructor() {
         // Store entity states with history for interpolation
@@ -27,14 +29,21 @@ export class InterpolationSystem {
         // History management
         this.maxHistorySize = 10; // Keep last 10 states per entity
         this.lastServerUpdate = performance.now();
+
+        // Delta snapshot reconstruction
+        this.snapshotDecoder = new SnapshotDecoder();
     }
 
     /**
      * Update the interpolation system with new server state
-     * @param {Object} serverState - Complete server state
+     * @param {Object} message - Delta snapshot (or complete state) from the server
      * @param {number} serverTimestamp - Server timestamp
+     * @returns {Object|null} Decoded full state, or null if the delta couldn't be applied
      */
-    updateServerState(serverState, serverTimestamp = Date.now()) {
+    updateServerState(message, serverTimestamp = Date.now()) {
+        const serverState = this.snapshotDecoder.decode(message);
+        if (!serverState) return null;
+
         this.lastServerUpdate = performance.now();
         this.serverTime = serverTimestamp;
 
@@ -48,6 +57,8 @@ export class InterpolationSystem {
 
         // Clean up entities that no longer exist
         this.cleanupOldEntities(allEntities);
+
+        return serverState;
     }
 
     /**
@@ -371,8 +382,13 @@ export class InterpolationSystem {
 
     /**
      * Adjust interpolation settings for network conditions
+     * @param {number} latency - Round-trip time in ms
+     * @param {number} jitter - RTT variation in ms (server-measured)
      */
-    adjustForLatency(latency) {
+    adjustForLatency(latency, jitter = 0) {
+        // Unstable connections need a deeper buffer than their average ping suggests
+        latency += jitter * 2;
+
         // Adjust interpolation delay based on network latency
         if (latency < 50) {
             this.interpolationDelay = 100;
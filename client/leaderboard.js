@@ -0,0 +1,208 @@
+/**
+ * Leaderboard Panel for Stellar Warfare
+ * L toggles it at any time: all-time, this week's and per-ship rankings,
+ * sortable by rating, kills, K/D, wins or damage, a page at a time. The
+ * local pilot's row is highlighted, and their rank is shown below the
+ * table when it falls on another page.
+ *
+ * HTTP: GET /leaderboards/all-time, /leaderboards/weekly,
+ * /leaderboards/ships/:shipType (Bearer token → player)
+ */
+
+import { Modal } from './ui-components.js';
+import { getSessionToken } from './account.js';
+import { getShips } from './definitions.js';
+
+const TOGGLE_KEY = 'KeyL';
+const PAGE_SIZE = 15;
+
+const BOARDS = [
+    { id: 'all-time', label: 'All-time', url: '/leaderboards/all-time' },
+    { id: 'weekly', label: 'This week', url: '/leaderboards/weekly' }
+];
+
+/**
+ * The fixed boards plus one tab per ship in the game definitions
+ */
+function getBoards() {
+    return BOARDS.concat(getShips().map(ship => ({
+        id: ship.id,
+        label: ship.name,
+        url: `/leaderboards/ships/${encodeURIComponent(ship.id)}`
+    })));
+}
+
+const SORTS = [
+    { id: 'rating', label: 'Rating' },
+    { id: 'kills', label: 'Kills' },
+    { id: 'kd', label: 'K/D' },
+    { id: 'wins', label: 'Wins' },
+    { id: 'damage', label: 'Damage' }
+];
+
+export class LeaderboardPanel {
+    constructor(game) {
+        this.game = game;
+        this.board = BOARDS[0];
+        this.sort = SORTS[0].id;
+        this.page = 1;
+        this.data = null;
+        this.message = '';
+        this.requestId = 0; // Only the latest request's answer is shown
+
+        this.modal = new Modal({ title: 'Leaderboards' });
+
+        this.keyHandler = (e) => {
+            if (e.code === TOGGLE_KEY && !e.repeat) {
+                this.toggle();
+            }
+        };
+        window.addEventListener('keydown', this.keyHandler);
+    }
+
+    toggle() {
+        if (this.modal.isOpen) {
+            this.modal.close();
+        } else {
+            this.render();
+            this.load();
+        }
+    }
+
+    select(changes) {
+        Object.assign(this, changes);
+        this.load();
+    }
+
+    async load() {
+        const requestId = ++this.requestId;
+        const params = new URLSearchParams({ sort: this.sort, page: this.page, pageSize: PAGE_SIZE });
+        const headers = {};
+        const token = getSessionToken();
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+
+        // CRASH PREVENTION: A failed request leaves the panel usable with a message
+        try {
+            const response = await fetch(`${this.board.url}?${params}`, { headers });
+            const data = await response.json();
+            if (requestId !== this.requestId) return;
+
+            if (!response.ok) {
+                this.message = data.error || 'Request failed';
+            } else {
+                this.data = data;
+                this.page = data.page;
+                this.message = '';
+            }
+        } catch (error) {
+            if (requestId !== this.requestId) return;
+            console.error('[Leaderboard] Request failed:', error);
+            this.message = 'Server unreachable';
+        }
+        this.render();
+    }
+
+    render() {
+        const container = document.createElement('div');
+        container.className = 'leaderboard';
+        container.appendChild(this.createTabs());
+        container.appendChild(this.createSortSelect());
+
+        const data = this.data;
+        if (data && data.entries.length > 0) {
+            container.appendChild(this.createTable(data.entries));
+            if (data.player && !data.entries.some(entry => entry.id === data.player.id)) {
+                const you = document.createElement('div');
+                you.className = 'leaderboard-you';
+                you.textContent = `You: #${data.player.rank} of ${data.total}`;
+                container.appendChild(you);
+            }
+        } else if (data) {
+            const empty = document.createElement('div');
+            empty.className = 'room-empty';
+            empty.textContent = 'No matches played on this board yet';
+            container.appendChild(empty);
+        }
+
+        if (this.message) {
+            const message = document.createElement('div');
+            message.className = 'lobby-message';
+            message.textContent = this.message;
+            container.appendChild(message);
+        }
+
+        this.modal.title.textContent = data && data.season ? `Leaderboards - ${data.season}` : 'Leaderboards';
+        this.modal.setContent(container);
+
+        const pageCount = data ? data.pageCount : 1;
+        this.modal.addButtons([
+            { text: 'Prev', className: 'btn-secondary', close: false, onClick: () => this.page > 1 && this.select({ page: this.page - 1 }) },
+            { text: `${this.page} / ${pageCount}`, className: 'btn-secondary', close: false },
+            { text: 'Next', className: 'btn-secondary', close: false, onClick: () => this.page < pageCount && this.select({ page: this.page + 1 }) },
+            { text: 'Close', className: 'btn-primary' }
+        ]);
+
+        if (!this.modal.isOpen) {
+            this.modal.open();
+        }
+    }
+
+    createTabs() {
+        const tabs = document.createElement('div');
+        tabs.className = 'leaderboard-tabs';
+        getBoards().forEach(board => {
+            const tab = document.createElement('button');
+            tab.className = `btn ${board.id === this.board.id ? 'btn-primary' : 'btn-secondary'}`;
+            tab.textContent = board.label;
+            tab.onclick = () => this.select({ board: board, page: 1 });
+            tabs.appendChild(tab);
+        });
+        return tabs;
+    }
+
+    createSortSelect() {
+        const label = document.createElement('label');
+        label.className = 'leaderboard-sort';
+        label.textContent = 'Rank by ';
+
+        const select = document.createElement('select');
+        SORTS.forEach(sort => {
+            const option = document.createElement('option');
+            option.value = sort.id;
+            option.textContent = sort.label;
+            option.selected = sort.id === this.sort;
+            select.appendChild(option);
+        });
+        select.onchange = () => this.select({ sort: select.value, page: 1 });
+        label.appendChild(select);
+        return label;
+    }
+
+    createTable(entries) {
+        const table = document.createElement('table');
+        table.className = 'room-list leaderboard-list';
+        table.innerHTML = '<tr><th>#</th><th>Pilot</th><th>Rating</th><th>Kills</th><th>K/D</th><th>Wins</th><th>Damage</th><th>Matches</th></tr>';
+
+        const localId = this.game.profile ? this.game.profile.id : null;
+        entries.forEach(entry => {
+            const row = document.createElement('tr');
+            if (entry.id === localId) {
+                row.className = 'leaderboard-local';
+            }
+            [entry.rank, entry.name, entry.rating, entry.kills, entry.kd.toFixed(2), entry.wins, entry.damage, entry.matches].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+        return table;
+    }
+
+    cleanup() {
+        window.removeEventListener('keydown', this.keyHandler);
+        this.modal.destroy();
+    }
+}
@@ -0,0 +1,264 @@
+/**
+ * Lobby Screen for Stellar Warfare
+ * Private lobbies opened with ?lobby (create or join) or ?lobby=<code>:
+ * shows the join code, members with ready states and the match settings.
+ * The host edits the settings, kicks members and starts the match; once
+ * started the server puts everyone in the game (gameJoined) as usual.
+ *
+ * Socket events: createLobby, joinLobby, leaveLobby, lobbyReady,
+ * lobbySettings, lobbyKick, startLobby → lobbyUpdate, lobbyError,
+ * lobbyKicked, lobbyLeft, lobbyStarted
+ */
+
+import { Menu, Modal } from './ui-components.js';
+
+export const MODE_NAMES = {
+    ffa: 'Free-for-All',
+    tdm: 'Team Deathmatch',
+    ctf: 'Capture the Flag'
+};
+
+export class LobbyScreen {
+    constructor(game) {
+        this.game = game;
+        this.socket = null;
+        this.lobby = null;
+        this.message = '';
+
+        this.modal = new Modal({
+            title: 'Private Lobby',
+            closable: false,
+            closeOnOverlay: false
+        });
+    }
+
+    /**
+     * Hook up to the game's socket (call right after game.connect)
+     */
+    attach(socket) {
+        this.socket = socket;
+
+        socket.on('connect', () => {
+            if (this.game.lobbyCode) {
+                this.join(this.game.lobbyCode);
+            } else {
+                this.showEntryMenu();
+            }
+        });
+
+        socket.on('lobbyUpdate', (lobby) => {
+            this.lobby = lobby;
+            this.message = '';
+            this.renderLobby();
+        });
+
+        socket.on('lobbyError', (data) => {
+            this.message = data.message;
+            if (this.lobby) {
+                this.renderLobby();
+            } else {
+                this.showEntryMenu();
+            }
+        });
+
+        socket.on('lobbyKicked', () => {
+            this.lobby = null;
+            this.message = 'You were removed from the lobby';
+            this.showEntryMenu();
+        });
+
+        socket.on('lobbyLeft', () => {
+            this.lobby = null;
+        });
+
+        socket.on('lobbyStarted', (data) => {
+            console.log(`[Lobby] ${data.code} started ${data.gameId}`);
+            this.lobby = null;
+            this.modal.close();
+        });
+    }
+
+    isHost() {
+        return !!this.lobby && this.lobby.hostId === this.socket.id;
+    }
+
+    create() {
+        this.socket.emit('createLobby', this.game.getJoinData());
+    }
+
+    join(code) {
+        this.game.lobbyCode = null; // Only auto-join from the URL once
+        this.socket.emit('joinLobby', { ...this.game.getJoinData(), code: code });
+    }
+
+    showEntryMenu() {
+        this.modal.title.textContent = 'Private Lobby';
+
+        const container = document.createElement('div');
+        if (this.message) {
+            container.appendChild(this.createMessage());
+        }
+
+        new Menu(container, {
+            className: 'lobby-menu',
+            items: [
+                { label: 'Create lobby', icon: '+', onClick: () => this.create() },
+                { label: 'Join with code', icon: '#', onClick: () => this.showJoinForm() },
+                { separator: true },
+                {
+                    label: 'Quick match', icon: '»', onClick: () => {
+                        this.modal.close();
+                        this.game.joinQueue();
+                    }
+                }
+            ]
+        });
+
+        this.modal.setContent(container);
+        this.modal.addButtons([]);
+        this.open();
+    }
+
+    showJoinForm() {
+        const container = document.createElement('div');
+        const input = document.createElement('input');
+        input.className = 'lobby-code-input';
+        input.maxLength = 5;
+        input.placeholder = 'CODE';
+        input.addEventListener('keydown', (e) => {
+            e.stopPropagation(); // Typing a code must not fly the ship
+            if (e.key === 'Enter') this.join(input.value);
+        });
+        container.appendChild(input);
+
+        this.modal.setContent(container);
+        this.modal.addButtons([
+            { text: 'Join', className: 'btn-primary', close: false, onClick: () => this.join(input.value) },
+            { text: 'Back', className: 'btn-secondary', close: false, onClick: () => this.showEntryMenu() }
+        ]);
+        input.focus();
+    }
+
+    renderLobby() {
+        const lobby = this.lobby;
+        const isHost = this.isHost();
+        this.modal.title.textContent = `Lobby ${lobby.code}`;
+
+        const container = document.createElement('div');
+        container.className = 'lobby';
+
+        const code = document.createElement('div');
+        code.className = 'lobby-code';
+        code.textContent = `Join code: ${lobby.code}`;
+        container.appendChild(code);
+
+        // Members
+        const list = document.createElement('ul');
+        list.className = 'lobby-members';
+        lobby.members.forEach(member => {
+            const item = document.createElement('li');
+            const status = member.isHost ? 'HOST' : (member.ready ? 'READY' : 'not ready');
+            item.innerHTML = `<span class="lobby-member-name"></span><span class="lobby-member-status ${member.ready || member.isHost ? 'ready' : ''}">${status}</span>`;
+            item.querySelector('.lobby-member-name').textContent =
+                member.name + (member.id === this.socket.id ? ' (you)' : '');
+
+            if (isHost && !member.isHost) {
+                const kick = document.createElement('button');
+                kick.className = 'btn btn-danger lobby-kick';
+                kick.textContent = 'Kick';
+                kick.onclick = () => this.socket.emit('lobbyKick', { playerId: member.id });
+                item.appendChild(kick);
+            }
+            list.appendChild(item);
+        });
+        container.appendChild(list);
+
+        // Settings (read-only for everyone but the host)
+        const settings = document.createElement('div');
+        settings.className = 'lobby-settings';
+        const { options } = lobby;
+        settings.appendChild(this.createSetting('Mode', 'mode',
+            options.modes.map(mode => ({ value: mode, label: MODE_NAMES[mode] || mode })), isHost));
+        settings.appendChild(this.createSetting('Map', 'map',
+            options.maps.map(map => ({ value: map.id, label: map.name })), isHost));
+        settings.appendChild(this.createSetting('Bots', 'botCount',
+            Array.from({ length: lobby.maxMembers }, (_, count) => ({ value: count, label: String(count) })), isHost));
+        settings.appendChild(this.createSetting('Bot difficulty', 'botDifficulty',
+            options.botDifficulties.map(difficulty => ({ value: difficulty, label: difficulty })), isHost));
+        container.appendChild(settings);
+
+        if (this.message) {
+            container.appendChild(this.createMessage());
+        }
+
+        this.modal.setContent(container);
+
+        const me = lobby.members.find(member => member.id === this.socket.id);
+        const buttons = [];
+        if (isHost) {
+            buttons.push({
+                text: lobby.canStart ? 'Start match' : 'Waiting for players',
+                className: 'btn-primary',
+                close: false,
+                onClick: () => this.socket.emit('startLobby')
+            });
+        } else if (me) {
+            buttons.push({
+                text: me.ready ? 'Not ready' : 'Ready',
+                className: 'btn-primary',
+                close: false,
+                onClick: () => this.socket.emit('lobbyReady', !me.ready)
+            });
+        }
+        buttons.push({
+            text: 'Leave',
+            className: 'btn-secondary',
+            close: false,
+            onClick: () => {
+                this.socket.emit('leaveLobby');
+                this.lobby = null;
+                this.message = '';
+                this.showEntryMenu();
+            }
+        });
+        this.modal.addButtons(buttons);
+        this.open();
+    }
+
+    createSetting(label, key, choices, editable) {
+        const row = document.createElement('label');
+        row.className = 'lobby-setting';
+        row.textContent = label;
+
+        const select = document.createElement('select');
+        select.disabled = !editable;
+        choices.forEach(choice => {
+            const option = document.createElement('option');
+            option.value = choice.value;
+            option.textContent = choice.label;
+            option.selected = String(choice.value) === String(this.lobby.settings[key]);
+            select.appendChild(option);
+        });
+        select.onchange = () => this.socket.emit('lobbySettings', { [key]: select.value });
+
+        row.appendChild(select);
+        return row;
+    }
+
+    createMessage() {
+        const message = document.createElement('div');
+        message.className = 'lobby-message';
+        message.textContent = this.message;
+        return message;
+    }
+
+    open() {
+        if (!this.modal.isOpen) {
+            this.modal.open();
+        }
+    }
+
+    cleanup() {
+        this.modal.destroy();
+    }
+}
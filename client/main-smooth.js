@@ -1,6 +1,11 @@
 import { Game } from './game-interpolated.js';
 import { Renderer } from './renderer-smooth.js';
 import { InputHandler } from './input.js';
+import { SpectatorController } from './spectator.js';
+import { LobbyScreen } from './lobby.js';
+import { RoomBrowser } from './room-browser.js';
+import { AccountScreen } from './account.js';
+import { LeaderboardPanel } from './leaderboard.js';
 
 class StellarWarfare {
     constructor() {
@@ -17,6 +22,21 @@ class StellarWarfare {
         this.renderer = new Renderer(this.ctx, this.canvas);
         this.inputHandler = new InputHandler(this.canvas, this.game);
 
+        // ?spectate: camera driven by the spectator controls instead of an own ship
+        this.spectator = this.game.spectating ? new SpectatorController(this.canvas, this.game) : null;
+
+        // ?lobby: private lobby screen instead of matchmaking
+        this.lobbyScreen = this.game.lobbyRequested ? new LobbyScreen(this.game) : null;
+
+        // ?browse: server browser instead of matchmaking
+        this.roomBrowser = this.game.browseRequested ? new RoomBrowser(this.game) : null;
+
+        // ?account: register, log in or check progress before playing
+        this.accountScreen = this.game.accountRequested ? new AccountScreen(this.game) : null;
+
+        // L: leaderboards, any time
+        this.leaderboard = new LeaderboardPanel(this.game);
+
         // FPS and performance tracking
         this.fps = 0;
         this.frameCount = 0;
@@ -107,6 +127,15 @@ class StellarWarfare {
     start() {
         // Connect to server
         this.game.connect('http://localhost:3000');
+        if (this.lobbyScreen) {
+            this.lobbyScreen.attach(this.game.socket);
+        }
+        if (this.roomBrowser) {
+            this.roomBrowser.attach(this.game.socket);
+        }
+        if (this.accountScreen) {
+            this.accountScreen.attach(this.game.socket);
+        }
 
         // CRASH PREVENTION: Set running flag to true
         this.isRunning = true;
@@ -143,6 +172,8 @@ class StellarWarfare {
         let physicsUpdates = 0;
         const maxPhysicsUpdates = 5; // Prevent spiral of death
 
+        this.game.setViewport(this.canvas.width / this.renderer.camera.zoom, this.canvas.height / this.renderer.camera.zoom);
+
         while (this.accumulator >= fixedDeltaTime && physicsUpdates < maxPhysicsUpdates) {
             // Update game state with fixed timestep
             this.game.update(fixedDeltaTime);
@@ -150,6 +181,10 @@ class StellarWarfare {
             physicsUpdates++;
         }
 
+        if (this.spectator) {
+            this.spectator.update(frameTime);
+        }
+
         // Interpolation alpha for rendering
         const alpha = this.accumulator / fixedDeltaTime;
 
@@ -211,6 +246,21 @@ class StellarWarfare {
 
         // Remove event listeners
         window.removeEventListener('resize', this.resizeHandler);
+        if (this.spectator) {
+            this.spectator.cleanup();
+        }
+        if (this.lobbyScreen) {
+            this.lobbyScreen.cleanup();
+        }
+        if (this.roomBrowser) {
+            this.roomBrowser.cleanup();
+        }
+        if (this.accountScreen) {
+            this.accountScreen.cleanup();
+        }
+        if (this.leaderboard) {
+            this.leaderboard.cleanup();
+        }
 
         // Disconnect from server
         if (this.game && this.game.socket) {
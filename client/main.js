@@ -2,6 +2,12 @@ import { Game } from './game.js';
 import { Renderer } from './renderer.js';
 import { InputHandler } from './input.js';
 import { Minimap } from './minimap.js';
+import { ReplayViewer } from './replay-viewer.js';
+import { SpectatorController } from './spectator.js';
+import { LobbyScreen } from './lobby.js';
+import { RoomBrowser } from './room-browser.js';
+import { AccountScreen } from './account.js';
+import { LeaderboardPanel } from './leaderboard.js';
 
 class StellarWarfare {
     constructor() {
@@ -13,13 +19,30 @@ class StellarWarfare {
         this.resizeHandler = () => this.resizeCanvas();
         window.addEventListener('resize', this.resizeHandler);
 
-        // Initialize game systems
-        this.game = new Game();
+        // Initialize game systems (?replay=<id> plays a recorded match instead of joining one)
+        const replayId = new URLSearchParams(window.location.search).get('replay');
+        this.isReplay = replayId !== null;
+        this.game = this.isReplay ? new ReplayViewer(replayId) : new Game();
         this.renderer = new Renderer(this.ctx, this.canvas);
         this.inputHandler = new InputHandler(this.canvas, this.game);
         this.minimap = new Minimap(3000, 2000);
         this.minimap.updatePosition(this.canvas);
 
+        // ?spectate: camera driven by the spectator controls instead of an own ship
+        this.spectator = this.game.spectating ? new SpectatorController(this.canvas, this.game) : null;
+
+        // ?lobby: private lobby screen instead of matchmaking
+        this.lobbyScreen = this.game.lobbyRequested ? new LobbyScreen(this.game) : null;
+
+        // ?browse: server browser instead of matchmaking
+        this.roomBrowser = this.game.browseRequested ? new RoomBrowser(this.game) : null;
+
+        // ?account: register, log in or check progress before playing
+        this.accountScreen = this.game.accountRequested ? new AccountScreen(this.game) : null;
+
+        // L: leaderboards, any time
+        this.leaderboard = this.isReplay ? null : new LeaderboardPanel(this.game);
+
         // FPS tracking
         this.fps = 0;
         this.frameCount = 0;
@@ -53,8 +76,21 @@ class StellarWarfare {
     }
 
     start() {
-        // Connect to server
-        this.game.connect('http://localhost:3000');
+        // Connect to server (or download the replay)
+        if (this.isReplay) {
+            this.game.load();
+        } else {
+            this.game.connect('http://localhost:3000');
+            if (this.lobbyScreen) {
+                this.lobbyScreen.attach(this.game.socket);
+            }
+            if (this.roomBrowser) {
+                this.roomBrowser.attach(this.game.socket);
+            }
+            if (this.accountScreen) {
+                this.accountScreen.attach(this.game.socket);
+            }
+        }
 
         // CRASH PREVENTION: Set running flag to true
         this.isRunning = true;
@@ -75,14 +111,18 @@ class StellarWarfare {
         this.lastTime = currentTime;
 
         // Update game state
+        this.game.setViewport(this.canvas.width / this.renderer.camera.zoom, this.canvas.height / this.renderer.camera.zoom);
         this.game.update(deltaTime);
+        if (this.spectator) {
+            this.spectator.update(deltaTime);
+        }
 
         // Render
         this.renderer.render(this.game.getState());
         const state = this.game.getState();
         this.renderer.camera.canvas = this.canvas;
-        const allEntities = (state.entities || []).concat(state.projectiles || []);
-        this.minimap.render(this.ctx, this.renderer.camera, allEntities, state.player);
+        // Minimap draws from the radar channel - gameState only covers the area around the camera
+        this.minimap.render(this.ctx, this.renderer.camera, this.game.getRadarEntities(), state.player);
 
         // Update UI
         this.updateUI(deltaTime);
@@ -129,6 +169,21 @@ class StellarWarfare {
 
         // Remove event listeners
         window.removeEventListener('resize', this.resizeHandler);
+        if (this.spectator) {
+            this.spectator.cleanup();
+        }
+        if (this.lobbyScreen) {
+            this.lobbyScreen.cleanup();
+        }
+        if (this.roomBrowser) {
+            this.roomBrowser.cleanup();
+        }
+        if (this.accountScreen) {
+            this.accountScreen.cleanup();
+        }
+        if (this.leaderboard) {
+            this.leaderboard.cleanup();
+        }
 
         // Disconnect from server
         if (this.game && this.game.socket) {
@@ -155,9 +210,25 @@ class StellarWarfare {
                 `Ship: ${player.shipType || 'None'}`;
         }
 
+        // Update match status
+        if (state.match) {
+            const minutes = Math.floor(state.match.timeRemaining / 60);
+            const seconds = String(state.match.timeRemaining % 60).padStart(2, '0');
+            document.getElementById('matchStatus').textContent =
+                `Match: ${state.match.phase.toUpperCase()} ${minutes}:${seconds}`;
+        }
+
+        this.updateTeamScoreboard(state);
+
         // Update connection status
         const statusEl = document.getElementById('connectionStatus');
-        if (this.game.isConnected()) {
+        if (this.isReplay) {
+            statusEl.textContent = this.game.isConnected() ? 'Replay' : 'Loading replay...';
+            statusEl.className = 'connected';
+        } else if (this.game.isConnected() && this.game.spectating) {
+            statusEl.textContent = 'Spectating';
+            statusEl.className = 'connected';
+        } else if (this.game.isConnected()) {
             statusEl.textContent = 'Connected';
             statusEl.className = 'connected';
         } else {
@@ -165,6 +236,34 @@ class StellarWarfare {
             statusEl.className = 'disconnected';
         }
     }
+
+    /**
+     * Team modes: each team's score against the limit, plus kills/deaths
+     */
+    updateTeamScoreboard(state) {
+        const scoreboard = document.getElementById('teamScoreboard');
+        if (!state.teams || state.teams.length === 0) {
+            scoreboard.style.display = 'none';
+            return;
+        }
+
+        const scoreLimit = state.match && state.match.scoreLimit ? ` / ${state.match.scoreLimit}` : '';
+        const ownTeam = state.player ? state.player.team : null;
+        const html = state.teams.map(team => `
+            <div class="team" style="color: ${team.color}; text-shadow: 0 0 5px ${team.color};">
+                <div>${team.name}${team.id === ownTeam ? ' (you)' : ''}</div>
+                <div class="team-score">${team.score}${scoreLimit}</div>
+                <div class="team-stats">K ${team.kills} · D ${team.deaths}</div>
+            </div>
+        `).join('');
+
+        // Only touch the DOM when a number changed
+        if (html !== this.teamScoreboardHtml) {
+            this.teamScoreboardHtml = html;
+            scoreboard.innerHTML = html;
+        }
+        scoreboard.style.display = 'flex';
+    }
 }
 
 // Initialize game when DOM is ready
@@ -40,6 +40,8 @@ class Minimap {
     this.stationSize = 6;
     this.asteroidSize = 2;
     this.projectileSize = 1;
+    this.baseSize = 10;
+    this.flagSize = 5;
 
     // Interactivity
     this.isHovered = false;
@@ -191,7 +193,7 @@ class Minimap {
           break;
         case 'enemy':
         case 'ship':
-          color = this.enemyColor;
+          color = entity.teamColor || this.enemyColor;
           size = this.enemySize;
           break;
         case 'station':
@@ -206,6 +208,19 @@ class Minimap {
           color = this.projectileColor;
           size = this.projectileSize;
           break;
+        case 'base':
+          // Outlined so ships at the base stay visible
+          ctx.strokeStyle = entity.teamColor || this.neutralColor;
+          ctx.lineWidth = 1;
+          ctx.strokeRect(pos.x - this.baseSize / 2, pos.y - this.baseSize / 2, this.baseSize, this.baseSize);
+          return;
+        case 'flag':
+          color = entity.teamColor || this.neutralColor;
+          size = this.flagSize;
+          ctx.strokeStyle = '#ffffff';
+          ctx.lineWidth = 1;
+          ctx.strokeRect(pos.x - size / 2 - 1, pos.y - size / 2 - 1, size + 2, size + 2);
+          break;
         default:
           color = this.neutralColor;
           size = 2;
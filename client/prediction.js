@@ -0,0 +1,185 @@
+/**
+ * Client-Side Prediction for Stellar Warfare
+ * Predicts the local ship with the server's own physics (shared/ship-physics.js),
+ * then reconciles against every authoritative snapshot:
+ *   1. reset to the server's position
+ *   2. replay the inputs the server hasn't applied yet (fixed 1/60s steps)
+ *   3. fold the difference into a visual error offset that decays over time
+ */
+
+const FIXED_STEP = 1 / 60;      // Same step the server simulates at
+const MAX_PENDING_INPUTS = 120; // Drop history if the server stops acknowledging
+const MAX_STEPS_PER_UPDATE = 10;
+
+export class PredictionSystem {
+    constructor() {
+        this.ship = null; // { x, y, velocityX, velocityY, rotation, acceleration, maxSpeed }
+        this.shipConfig = null;
+        this.worldSize = { width: 3000, height: 2000 };
+
+        // Sent inputs not yet acknowledged: { seq, inputs, angle, steps }
+        this.pendingInputs = [];
+        this.nextSeq = 1;
+        this.accumulator = 0;
+
+        // Visual error smoothing
+        this.errorX = 0;
+        this.errorY = 0;
+        this.errorDecay = 10; // 1/s - error shrinks by ~63% every 100ms
+        this.snapDistance = 200; // Teleports (respawn, big desync) are not smoothed
+    }
+
+    /**
+     * Ship definition from the server (gameJoined / shipChanged)
+     */
+    setShipConfig(shipConfig) {
+        this.shipConfig = shipConfig;
+        if (this.ship && shipConfig) {
+            this.ship.acceleration = shipConfig.acceleration;
+            this.ship.maxSpeed = shipConfig.maxSpeed;
+        }
+    }
+
+    setWorldSize(worldSize) {
+        if (worldSize) this.worldSize = worldSize;
+    }
+
+    /**
+     * Record an input as it is sent to the server
+     * @returns {number} Sequence number to send with it
+     */
+    recordInput(input, angle) {
+        const seq = this.nextSeq++;
+        this.pendingInputs.push({
+            seq: seq,
+            inputs: {
+                forward: !!input.forward,
+                backward: !!input.backward,
+                left: !!input.left,
+                right: !!input.right,
+                brake: !!input.brake
+            },
+            angle: angle,
+            steps: 0
+        });
+
+        if (this.pendingInputs.length > MAX_PENDING_INPUTS) {
+            this.pendingInputs.shift();
+        }
+        return seq;
+    }
+
+    /**
+     * Whether the movement keys differ from the last sent input (worth sending right away)
+     */
+    hasInputChanged(input) {
+        const last = this.pendingInputs[this.pendingInputs.length - 1];
+        if (!last) return true;
+        return ['forward', 'backward', 'left', 'right', 'brake'].some(key => !!input[key] !== last.inputs[key]);
+    }
+
+    /**
+     * Advance the predicted ship with the latest sent input
+     */
+    update(deltaTime) {
+        if (!this.ship) return;
+
+        this.accumulator += deltaTime;
+        let steps = 0;
+        while (this.accumulator >= FIXED_STEP && steps < MAX_STEPS_PER_UPDATE) {
+            const current = this.pendingInputs[this.pendingInputs.length - 1];
+            if (current) {
+                this.simulate(current);
+                current.steps++;
+            }
+            this.accumulator -= FIXED_STEP;
+            steps++;
+        }
+        if (steps === MAX_STEPS_PER_UPDATE) {
+            this.accumulator = 0; // Tab was in the background - don't spiral
+        }
+
+        const decay = Math.exp(-this.errorDecay * deltaTime);
+        this.errorX *= decay;
+        this.errorY *= decay;
+    }
+
+    simulate(pending) {
+        this.ship.rotation = pending.angle;
+        ShipPhysics.step(this.ship, pending.inputs, FIXED_STEP, this.worldSize);
+    }
+
+    /**
+     * Rebase the prediction on an authoritative server state
+     * @param {Object} serverPlayer - Local player entry from gameState
+     */
+    reconcile(serverPlayer) {
+        if (!serverPlayer || serverPlayer.isDead) {
+            this.ship = null;
+            this.errorX = 0;
+            this.errorY = 0;
+            return;
+        }
+
+        const before = this.ship ? this.getPosition() : null;
+
+        this.ship = {
+            x: serverPlayer.x,
+            y: serverPlayer.y,
+            velocityX: serverPlayer.velocityX || 0,
+            velocityY: serverPlayer.velocityY || 0,
+            rotation: serverPlayer.rotation || 0,
+            acceleration: this.shipConfig ? this.shipConfig.acceleration : undefined,
+            // Slowed while carrying a flag (capture the flag)
+            maxSpeed: this.shipConfig ? this.shipConfig.maxSpeed * (serverPlayer.speedFactor || 1) : undefined
+        };
+
+        // Inputs the server has fully superseded are done
+        const ackedSeq = serverPlayer.inputSeq || 0;
+        this.pendingInputs = this.pendingInputs.filter(pending => pending.seq >= ackedSeq);
+
+        // Replay: the acked input only for the steps the server hasn't run yet, newer ones fully
+        this.pendingInputs.forEach(pending => {
+            const steps = pending.seq === ackedSeq
+                ? pending.steps - (serverPlayer.inputTicks || 0)
+                : pending.steps;
+            for (let i = 0; i < steps; i++) {
+                this.simulate(pending);
+            }
+        });
+
+        if (before) {
+            // Keep the rendered position continuous, then let the offset decay
+            this.errorX = before.x - this.ship.x;
+            this.errorY = before.y - this.ship.y;
+            if (Math.hypot(this.errorX, this.errorY) > this.snapDistance) {
+                this.errorX = 0;
+                this.errorY = 0;
+            }
+        }
+    }
+
+    /**
+     * Position to render: prediction plus the decaying correction offset
+     */
+    getPosition() {
+        if (!this.ship) return null;
+        return {
+            x: this.ship.x + this.errorX,
+            y: this.ship.y + this.errorY
+        };
+    }
+
+    getVelocity() {
+        if (!this.ship) return null;
+        return { x: this.ship.velocityX, y: this.ship.velocityY };
+    }
+
+    reset() {
+        this.ship = null;
+        this.pendingInputs = [];
+        this.accumulator = 0;
+        this.errorX = 0;
+        this.errorY = 0;
+    }
+}
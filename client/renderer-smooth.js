@@ -1,4 +1,5 @@
 import { CameraSystem } from './interpolation.js';
+import { getWeapon } from './definitions.js';
 
 export class Renderer {
     constructor(ctx, canvas) {
@@ -57,9 +58,10 @@ export class Renderer {
             this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
         }
 
-        // Update camera to follow player smoothly
-        if (state.player) {
-            this.camera.setTarget(state.player.x, state.player.y);
+        // Update camera to follow player smoothly (or the spectator camera)
+        const focus = state.camera || state.player;
+        if (focus) {
+            this.camera.setTarget(focus.x, focus.y);
         }
         this.camera.update(deltaTime);
 
@@ -211,13 +213,43 @@ export class Renderer {
         this.ctx.restore();
     }
 
+    /**
+     * Beam weapon line along the ship's nose, cut short where it hit something
+     */
+    renderBeam(ship) {
+        const weapon = getWeapon(ship.secondaryWeapon);
+        const beamColor = weapon && weapon.color ? weapon.color : '#ff3366';
+
+        this.ctx.save();
+        this.ctx.lineCap = 'round';
+        this.ctx.strokeStyle = beamColor;
+        this.ctx.globalAlpha = 0.35;
+        this.ctx.lineWidth = 8;
+        this.ctx.beginPath();
+        this.ctx.moveTo(15, 0);
+        this.ctx.lineTo(ship.beamLength, 0);
+        this.ctx.stroke();
+
+        this.ctx.globalAlpha = 1;
+        this.ctx.strokeStyle = '#ffffff';
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
     renderShip(ship, isPlayer) {
         this.ctx.save();
         this.ctx.translate(ship.x, ship.y);
         this.ctx.rotate(ship.angle);
 
-        const shipType = ship.shipType || 'Interceptor';
-        const color = isPlayer ? '#00ff00' : '#ff0000';
+        // Server sends lowercase ids ('gunship'), local input uses display names
+        const shipType = (ship.shipType || 'interceptor').toLowerCase();
+        // Team modes draw every ship in its team's color
+        const color = ship.teamColor || (isPlayer ? '#00ff00' : '#ff0000');
+
+        if (ship.beamLength > 0) {
+            this.renderBeam(ship);
+        }
 
         // Add engine trail effect based on velocity
         if (ship.vx !== undefined && ship.vy !== undefined) {
@@ -228,13 +260,13 @@ export class Renderer {
         }
 
         switch (shipType) {
-            case 'Interceptor':
+            case 'interceptor':
                 this.renderInterceptor(color);
                 break;
-            case 'Gunship':
+            case 'gunship':
                 this.renderGunship(color);
                 break;
-            case 'Cruiser':
+            case 'cruiser':
                 this.renderCruiser(color);
                 break;
             default:
@@ -246,9 +278,9 @@ export class Renderer {
             this.renderHealthBar(ship.health, 30);
         }
 
-        // Render shield effect if present
-        if (ship.shield && ship.shield > 0) {
-            this.renderShield(ship.shield);
+        // Shield glow (server-side shields, see COMBAT_CONFIG)
+        if (ship.shield > 0 && ship.maxShield > 0) {
+            this.renderShield(ship);
         }
 
         this.ctx.restore();
@@ -275,22 +307,28 @@ export class Renderer {
                           10 + intensity * 10, 6 + intensity * 4);
     }
 
-    renderShield(shieldStrength) {
-        const radius = 25;
-        const alpha = shieldStrength / 100;
-
-        this.ctx.strokeStyle = `rgba(0, 200, 255, ${alpha})`;
-        this.ctx.lineWidth = 2;
-        this.ctx.setLineDash([5, 5]);
+    /**
+     * Blue glow around a ship whose shield is up, brighter the fuller it is
+     */
+    renderShield(ship) {
+        const strength = Math.min(1, ship.shield / ship.maxShield);
+        const radius = (ship.size || 25) * 0.8;
+
+        const glow = this.ctx.createRadialGradient(0, 0, radius * 0.5, 0, 0, radius);
+        glow.addColorStop(0, 'rgba(0, 150, 255, 0)');
+        glow.addColorStop(1, `rgba(0, 150, 255, ${0.35 * strength})`);
+        this.ctx.fillStyle = glow;
         this.ctx.beginPath();
         this.ctx.arc(0, 0, radius, 0, Math.PI * 2);
-        this.ctx.stroke();
-        this.ctx.setLineDash([]);
-
-        // Shield shimmer effect
-        const shimmer = Math.sin(performance.now() * 0.005) * 0.3 + 0.7;
-        this.ctx.fillStyle = `rgba(0, 200, 255, ${alpha * 0.2 * shimmer})`;
         this.ctx.fill();
+
+        this.ctx.save();
+        this.ctx.strokeStyle = `rgba(0, 200, 255, ${0.3 + 0.5 * strength})`;
+        this.ctx.shadowColor = '#00aaff';
+        this.ctx.shadowBlur = 10 * strength;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.stroke();
+        this.ctx.restore();
     }
 
     renderVelocityVector(entity) {
@@ -491,24 +529,18 @@ export class Renderer {
                 this.ctx.stroke();
             }
 
-            // Outer glow
-            const gradient = this.ctx.createRadialGradient(
-                proj.x, proj.y, 0,
-                proj.x, proj.y, 8
-            );
-            gradient.addColorStop(0, 'rgba(255, 200, 0, 1)');
-            gradient.addColorStop(0.5, 'rgba(255, 100, 0, 0.5)');
-            gradient.addColorStop(1, 'rgba(255, 100, 0, 0)');
-
-            this.ctx.fillStyle = gradient;
+            // Outer glow and core in the ship's projectileColor, sized by projectileSize
+            const radius = proj.size || 2;
+            this.ctx.globalAlpha = 0.35;
+            this.ctx.fillStyle = proj.color || '#ff6400';
             this.ctx.beginPath();
-            this.ctx.arc(proj.x, proj.y, 8, 0, Math.PI * 2);
+            this.ctx.arc(proj.x, proj.y, radius * 2.5, 0, Math.PI * 2);
             this.ctx.fill();
+            this.ctx.globalAlpha = 1;
 
-            // Core
-            this.ctx.fillStyle = '#ffff00';
+            this.ctx.fillStyle = proj.color || '#ffff00';
             this.ctx.beginPath();
-            this.ctx.arc(proj.x, proj.y, 2, 0, Math.PI * 2);
+            this.ctx.arc(proj.x, proj.y, radius, 0, Math.PI * 2);
             this.ctx.fill();
 
             this.ctx.restore();
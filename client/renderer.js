@@ -1,3 +1,5 @@
+import { getPowerUp, getWeapon } from './definitions.js';
+
 export class Renderer {
     constructor(ctx, canvas) {
         this.ctx = ctx;
@@ -40,14 +42,16 @@ export class Renderer {
         this.ctx.fillStyle = '#000';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
-        // Update camera to follow player
-        if (state.player) {
-            this.camera.targetX = state.player.x;
-            this.camera.targetY = state.player.y;
+        // Update camera to follow player (or a free camera, e.g. replays/spectating)
+        const focus = state.camera || state.player;
+        if (focus) {
+            this.camera.targetX = focus.x;
+            this.camera.targetY = focus.y;
 
-            // Smooth camera movement
-            this.camera.x += (this.camera.targetX - this.camera.x) * 0.1;
-            this.camera.y += (this.camera.targetY - this.camera.y) * 0.1;
+            // Smooth camera movement (unless the camera already smooths itself)
+            const smoothing = focus.smoothed ? 1 : 0.1;
+            this.camera.x += (this.camera.targetX - this.camera.x) * smoothing;
+            this.camera.y += (this.camera.targetY - this.camera.y) * smoothing;
         }
 
         // Save context state
@@ -69,6 +73,9 @@ export class Renderer {
         // Render world border
         this.renderWorldBorder();
 
+        // Render capture the flag bases (under everything that flies)
+        this.renderBases(state.bases);
+
         // Render entities
         this.renderEntities(state.entities);
 
@@ -79,16 +86,19 @@ export class Renderer {
         this.renderCollectibles(state.collectibles);
 
         // Render explosions
-        this.renderExplosions(state.explosions);
+        this.renderExplosions(state.explosions, state.serverTime);
 
         // Render floating texts (in world space)
-        this.renderFloatingTexts(state.floatingTexts);
+        this.renderFloatingTexts(state.floatingTexts, state.serverTime);
 
         // Render player
         if (state.player) {
             this.renderShip(state.player, true);
         }
 
+        // Render flags on top of their carriers
+        this.renderFlags(state.flags, state);
+
         // Restore context state
         this.ctx.restore();
     }
@@ -153,6 +163,79 @@ export class Renderer {
         });
     }
 
+    renderBases(bases) {
+        if (!bases) return;
+
+        bases.forEach(base => {
+            this.ctx.save();
+
+            // Capture zone
+            this.ctx.globalAlpha = 0.15;
+            this.ctx.fillStyle = base.color;
+            this.ctx.beginPath();
+            this.ctx.arc(base.x, base.y, base.radius, 0, Math.PI * 2);
+            this.ctx.fill();
+
+            this.ctx.globalAlpha = 0.8;
+            this.ctx.strokeStyle = base.color;
+            this.ctx.lineWidth = 3;
+            this.ctx.setLineDash([12, 8]);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+
+            this.ctx.restore();
+        });
+    }
+
+    /**
+     * Flags at their base, lying where they were dropped, or on their carrier
+     */
+    renderFlags(flags, state) {
+        if (!flags) return;
+
+        flags.forEach(flag => {
+            let x = flag.x;
+            let y = flag.y;
+
+            // Stick to the carrier as drawn this frame (the local player is predicted ahead)
+            if (flag.carrierId) {
+                const carrier = state.player && state.player.id === flag.carrierId
+                    ? state.player
+                    : state.entities.find(entity => entity.id === flag.carrierId);
+                if (carrier) {
+                    x = carrier.x;
+                    y = carrier.y;
+                }
+            }
+
+            this.ctx.save();
+            this.ctx.translate(x, y);
+            if (flag.carrierId) {
+                this.ctx.translate(12, -28); // Over the carrier's shoulder
+                this.ctx.scale(0.7, 0.7);
+            }
+
+            // Pole
+            this.ctx.strokeStyle = '#ffffff';
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, 15);
+            this.ctx.lineTo(0, -25);
+            this.ctx.stroke();
+
+            // Cloth
+            this.ctx.fillStyle = flag.color;
+            this.ctx.beginPath();
+            this.ctx.moveTo(0, -25);
+            this.ctx.lineTo(22, -17);
+            this.ctx.lineTo(0, -9);
+            this.ctx.closePath();
+            this.ctx.fill();
+
+            this.ctx.restore();
+        });
+    }
+
     renderAsteroid(asteroid) {
         this.ctx.save();
         this.ctx.translate(asteroid.x, asteroid.y);
@@ -187,28 +270,63 @@ export class Renderer {
         this.ctx.restore();
     }
 
+    /**
+     * Beam weapon line along the ship's nose, cut short where it hit something
+     */
+    renderBeam(ship) {
+        const weapon = getWeapon(ship.secondaryWeapon);
+        const beamColor = weapon && weapon.color ? weapon.color : '#ff3366';
+
+        this.ctx.save();
+        this.ctx.lineCap = 'round';
+        this.ctx.strokeStyle = beamColor;
+        this.ctx.globalAlpha = 0.35;
+        this.ctx.lineWidth = 8;
+        this.ctx.beginPath();
+        this.ctx.moveTo(15, 0);
+        this.ctx.lineTo(ship.beamLength, 0);
+        this.ctx.stroke();
+
+        this.ctx.globalAlpha = 1;
+        this.ctx.strokeStyle = '#ffffff';
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
     renderShip(ship, isPlayer) {
         this.ctx.save();
         this.ctx.translate(ship.x, ship.y);
         this.ctx.rotate(ship.angle);
 
-        const shipType = ship.shipType || 'Interceptor';
-        const color = isPlayer ? '#00ff00' : '#ff0000';
+        // Server sends lowercase ids ('gunship'), local input uses display names
+        const shipType = (ship.shipType || 'interceptor').toLowerCase();
+        // Team modes draw every ship in its team's color
+        const color = ship.teamColor || (isPlayer ? '#00ff00' : '#ff0000');
+
+        if (ship.beamLength > 0) {
+            this.renderBeam(ship);
+        }
 
         switch (shipType) {
-            case 'Interceptor':
+            case 'interceptor':
                 this.renderInterceptor(color);
                 break;
-            case 'Gunship':
+            case 'gunship':
                 this.renderGunship(color);
                 break;
-            case 'Cruiser':
+            case 'cruiser':
                 this.renderCruiser(color);
                 break;
             default:
                 this.renderInterceptor(color);
         }
 
+        // Shield glow (server-side shields, see COMBAT_CONFIG)
+        if (ship.shield > 0 && ship.maxShield > 0) {
+            this.renderShield(ship);
+        }
+
         // Render health bar
         if (ship.health !== undefined) {
             this.renderHealthBar(ship.health, 30);
@@ -227,6 +345,30 @@ export class Renderer {
         }
     }
 
+    /**
+     * Blue glow around a ship whose shield is up, brighter the fuller it is
+     */
+    renderShield(ship) {
+        const strength = Math.min(1, ship.shield / ship.maxShield);
+        const radius = (ship.size || 25) * 0.8;
+
+        const glow = this.ctx.createRadialGradient(0, 0, radius * 0.5, 0, 0, radius);
+        glow.addColorStop(0, 'rgba(0, 150, 255, 0)');
+        glow.addColorStop(1, `rgba(0, 150, 255, ${0.35 * strength})`);
+        this.ctx.fillStyle = glow;
+        this.ctx.beginPath();
+        this.ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+
+        this.ctx.save();
+        this.ctx.strokeStyle = `rgba(0, 200, 255, ${0.3 + 0.5 * strength})`;
+        this.ctx.shadowColor = '#00aaff';
+        this.ctx.shadowBlur = 10 * strength;
+        this.ctx.lineWidth = 1.5;
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
     renderInterceptor(color) {
         this.ctx.strokeStyle = color;
         this.ctx.fillStyle = color;
@@ -369,30 +511,34 @@ export class Renderer {
                 this.ctx.arc(proj.x, proj.y, 4, 0, Math.PI * 2);
                 this.ctx.fill();
             } else {
-                // Standard projectile trail effect
-                const gradient = this.ctx.createRadialGradient(
-                    proj.x, proj.y, 0,
-                    proj.x, proj.y, 5
-                );
-                gradient.addColorStop(0, 'rgba(255, 100, 0, 1)');
-                gradient.addColorStop(1, 'rgba(255, 100, 0, 0)');
-
-                this.ctx.fillStyle = gradient;
-                this.ctx.beginPath();
-                this.ctx.arc(proj.x, proj.y, 5, 0, Math.PI * 2);
-                this.ctx.fill();
-
-                // Core
-                this.ctx.fillStyle = '#ffff00';
-                this.ctx.beginPath();
-                this.ctx.arc(proj.x, proj.y, 2, 0, Math.PI * 2);
-                this.ctx.fill();
+                this.renderShot(proj);
             }
 
             this.ctx.restore();
         });
     }
 
+    /**
+     * Primary shot in its ship's projectileColor, sized by projectileSize
+     */
+    renderShot(proj) {
+        const radius = proj.size || 2;
+
+        // Glow
+        this.ctx.globalAlpha = 0.35;
+        this.ctx.fillStyle = proj.color || '#ff6400';
+        this.ctx.beginPath();
+        this.ctx.arc(proj.x, proj.y, radius * 2, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.globalAlpha = 1;
+
+        // Core
+        this.ctx.fillStyle = proj.color || '#ffff00';
+        this.ctx.beginPath();
+        this.ctx.arc(proj.x, proj.y, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+    }
+
     renderCollectibles(collectibles) {
         if (!collectibles) return;
 
@@ -431,28 +577,22 @@ export class Renderer {
             this.ctx.textAlign = 'center';
             this.ctx.textBaseline = 'middle';
 
-            const symbols = {
-                'triple-shot': '⚡',
-                'rapid-fire': '≡',
-                'double-damage': '★',
-                'piercing': '»',
-                'homing': '⊕'
-            };
-
-            this.ctx.fillText(symbols[collectible.type] || '?', collectible.x, collectible.y);
+            const powerUp = getPowerUp(collectible.type);
+            this.ctx.fillText(powerUp ? powerUp.icon : '?', collectible.x, collectible.y);
 
             this.ctx.restore();
         });
     }
 
-    renderExplosions(explosions) {
+    renderExplosions(explosions, serverTime) {
         if (!explosions) return;
 
         explosions.forEach(explosion => {
             this.ctx.save();
 
             // Calculate explosion progress (0 to 1)
-            const progress = explosion.age / 0.5; // 0.5 second lifetime
+            const age = Math.max(0, serverTime - explosion.createdAt);
+            const progress = Math.min(1, age / 0.5); // 0.5 second lifetime
 
             // Expanding ring effect
             const currentRadius = explosion.radius * (0.3 + progress * 0.7);
@@ -490,7 +630,7 @@ export class Renderer {
         });
     }
 
-    renderFloatingTexts(floatingTexts) {
+    renderFloatingTexts(floatingTexts, serverTime) {
         if (!floatingTexts) return;
 
         if (floatingTexts.length > 0) {
@@ -499,7 +639,7 @@ export class Renderer {
 
         floatingTexts.forEach(text => {
             // Calculate age and progress
-            const age = (Date.now() - text.createdAt) / 1000; // Age in seconds
+            const age = Math.max(0, serverTime - text.createdAt); // Seconds, on the server's simulation clock
             const progress = age / text.lifetime; // 0 to 1
 
             // Skip if too old (should be filtered server-side but just in case)
@@ -0,0 +1,382 @@
+/**
+ * Replay Viewer for Stellar Warfare
+ * Plays back a recorded match (server/replay-recorder.js) through the normal
+ * Renderer/Minimap pipeline. Stands in for Game in main.js when the page is
+ * opened with ?replay=<id> (or ?replay=latest).
+ *
+ * Controls: WASD free camera, F follow next ship, Space pause,
+ * ←/→ seek 5s, -/+ playback speed, timeline to scrub
+ */
+
+import { SnapshotDecoder } from './snapshot-decoder.js';
+import { loadDefinitions } from './definitions.js';
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+const SEEK_STEP = 5;        // seconds per arrow key press
+const CAMERA_SPEED = 900;   // world units per second (free camera)
+const INTERPOLATED_COLLECTIONS = ['players', 'bots', 'projectiles', 'asteroids'];
+
+/**
+ * Shortest-path angle interpolation
+ */
+function lerpAngle(a, b, t) {
+    let diff = (b - a) % (Math.PI * 2);
+    if (diff > Math.PI) diff -= Math.PI * 2;
+    if (diff < -Math.PI) diff += Math.PI * 2;
+    return a + diff * t;
+}
+
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+}
+
+export class ReplayViewer {
+    constructor(replayId) {
+        this.replayId = replayId;
+        this.socket = null; // Nothing to disconnect on cleanup
+        this.loaded = false;
+
+        this.header = null;
+        this.frames = []; // { time, snapshot } in recording order
+        this.decoder = new SnapshotDecoder();
+        this.decodedIndex = -1;
+        this.cache = new Map(); // frame index -> decoded state (current + next)
+
+        // Playback
+        this.playTime = 0;
+        this.paused = false;
+        this.speedIndex = SPEEDS.indexOf(1);
+
+        // Camera: free (WASD) or following a ship
+        this.camera = { x: 1500, y: 1000 };
+        this.followId = null;
+        this.input = { forward: false, backward: false, left: false, right: false };
+
+        this.state = {
+            player: null,
+            camera: this.camera,
+            entities: [],
+            projectiles: [],
+            particles: [],
+            collectibles: [],
+            explosions: [],
+            floatingTexts: [],
+            serverTime: 0,
+            match: null,
+            teams: null,
+            flags: [],
+            bases: []
+        };
+
+        this.keyHandler = (e) => this.handleKeyDown(e);
+        window.addEventListener('keydown', this.keyHandler);
+    }
+
+    /**
+     * Download and index the replay file
+     */
+    async load() {
+        loadDefinitions(); // Power-up icons
+        try {
+            let replayId = this.replayId;
+            if (!replayId || replayId === 'latest') {
+                const replays = await (await fetch('/replays')).json();
+                if (replays.length === 0) throw new Error('No replays recorded yet');
+                replayId = replays[0].id;
+            }
+
+            const response = await fetch(`/replays/${encodeURIComponent(replayId)}`);
+            if (!response.ok) throw new Error(`Replay ${replayId} not found`);
+
+            const lines = (await response.text()).split('\n');
+            lines.forEach(line => {
+                if (!line) return;
+                const record = JSON.parse(line);
+                if (record.type === 'header') {
+                    this.header = record;
+                } else if (record.type === 'tick' && record.snapshot) {
+                    this.frames.push({ time: record.snapshot.time, snapshot: record.snapshot });
+                }
+            });
+
+            if (this.frames.length === 0) throw new Error('Replay has no snapshots');
+
+            if (this.header && this.header.worldSize) {
+                this.camera.x = this.header.worldSize.width / 2;
+                this.camera.y = this.header.worldSize.height / 2;
+            }
+            this.playTime = this.frames[0].time;
+            this.loaded = true;
+            this.createControls();
+            console.log(`[Replay] Loaded ${replayId}: ${this.frames.length} frames, ${formatTime(this.getDuration())}`);
+        } catch (err) {
+            console.error('[Replay] Load error:', err.message);
+        }
+    }
+
+    update(deltaTime) {
+        if (!this.loaded) return;
+
+        if (!this.paused) {
+            this.playTime += deltaTime * SPEEDS[this.speedIndex];
+            const endTime = this.frames[this.frames.length - 1].time;
+            if (this.playTime >= endTime) {
+                this.playTime = endTime;
+                this.paused = true;
+            }
+        }
+
+        this.updateCamera(deltaTime);
+        this.buildState();
+        this.updateControls();
+    }
+
+    updateCamera(deltaTime) {
+        const dx = (this.input.right ? 1 : 0) - (this.input.left ? 1 : 0);
+        const dy = (this.input.backward ? 1 : 0) - (this.input.forward ? 1 : 0);
+        if (dx !== 0 || dy !== 0) {
+            this.followId = null; // Taking the camera back
+            this.camera.x += dx * CAMERA_SPEED * deltaTime;
+            this.camera.y += dy * CAMERA_SPEED * deltaTime;
+        }
+    }
+
+    /**
+     * Index of the last frame at or before the play head
+     */
+    getFrameIndex(time) {
+        let low = 0;
+        let high = this.frames.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (this.frames[mid].time <= time) low = mid;
+            else high = mid - 1;
+        }
+        return low;
+    }
+
+    /**
+     * Full state of a frame: decoded in order, or from the previous keyframe after a seek
+     */
+    getFrameState(index) {
+        if (this.cache.has(index)) return this.cache.get(index);
+
+        let start = index;
+        if (index !== this.decodedIndex + 1) {
+            while (start > 0 && this.frames[start].snapshot.baseline !== null) start--;
+            this.decoder.reset();
+        }
+
+        let state = null;
+        for (let i = start; i <= index; i++) {
+            state = this.decoder.decode(this.frames[i].snapshot);
+        }
+        this.decodedIndex = index;
+
+        // Keep just the frames around the play head
+        this.cache.forEach((cached, cachedIndex) => {
+            if (cachedIndex < index - 1 || cachedIndex > index) this.cache.delete(cachedIndex);
+        });
+        this.cache.set(index, state);
+        return state;
+    }
+
+    /**
+     * Interpolate between the two frames around the play head into the Renderer's state shape
+     */
+    buildState() {
+        const index = this.getFrameIndex(this.playTime);
+        const current = this.getFrameState(index);
+        if (!current) return;
+
+        let frameState = current;
+        if (index + 1 < this.frames.length) {
+            const next = this.getFrameState(index + 1);
+            const span = this.frames[index + 1].time - this.frames[index].time;
+            const alpha = span > 0 ? Math.min(1, (this.playTime - this.frames[index].time) / span) : 0;
+            if (next) frameState = this.interpolate(current, next, alpha);
+        }
+
+        const ships = (frameState.players || []).concat(frameState.bots || [])
+            .filter(ship => !ship.isDead)
+            .map(ship => ({ ...ship, type: 'ship', angle: ship.rotation || 0 }));
+        const asteroids = (frameState.asteroids || []).map(asteroid => ({ ...asteroid, type: 'asteroid' }));
+
+        this.state.entities = ships.concat(asteroids);
+        this.state.projectiles = frameState.projectiles || [];
+        this.state.collectibles = frameState.collectibles || [];
+        this.state.explosions = frameState.explosions || [];
+        this.state.floatingTexts = frameState.floatingTexts || [];
+        this.state.serverTime = this.playTime; // Recorded on the simulation clock
+        this.state.match = frameState.match || null;
+        this.state.teams = frameState.teams || null;
+        this.state.flags = frameState.flags || [];
+        this.state.bases = frameState.bases || [];
+
+        if (this.followId) {
+            const followed = ships.find(ship => ship.id === this.followId);
+            if (followed) {
+                this.camera.x = followed.x;
+                this.camera.y = followed.y;
+            }
+        }
+    }
+
+    interpolate(from, to, alpha) {
+        const result = { ...from };
+        INTERPOLATED_COLLECTIONS.forEach(key => {
+            if (!from[key] || !to[key]) return;
+
+            const targets = new Map(to[key].map(entity => [entity.id, entity]));
+            result[key] = from[key].map(entity => {
+                const target = targets.get(entity.id);
+                if (!target) return entity;
+                return {
+                    ...entity,
+                    x: entity.x + (target.x - entity.x) * alpha,
+                    y: entity.y + (target.y - entity.y) * alpha,
+                    rotation: lerpAngle(entity.rotation || 0, target.rotation || 0, alpha)
+                };
+            });
+        });
+        return result;
+    }
+
+    seek(time) {
+        if (!this.loaded) return;
+        const start = this.frames[0].time;
+        const end = this.frames[this.frames.length - 1].time;
+        this.playTime = Math.max(start, Math.min(end, time));
+    }
+
+    togglePause() {
+        // Replaying from the end restarts
+        if (this.paused && this.playTime >= this.frames[this.frames.length - 1].time) {
+            this.playTime = this.frames[0].time;
+        }
+        this.paused = !this.paused;
+    }
+
+    changeSpeed(direction) {
+        this.speedIndex = Math.max(0, Math.min(SPEEDS.length - 1, this.speedIndex + direction));
+    }
+
+    /**
+     * Follow the next living ship (sorted by id for a stable order)
+     */
+    followNextShip() {
+        const ships = this.state.entities.filter(entity => entity.type === 'ship')
+            .sort((a, b) => (a.id < b.id ? -1 : 1));
+        if (ships.length === 0) return;
+
+        const currentIndex = ships.findIndex(ship => ship.id === this.followId);
+        this.followId = ships[(currentIndex + 1) % ships.length].id;
+        console.log(`[Replay] Following ${ships[(currentIndex + 1) % ships.length].name}`);
+    }
+
+    getDuration() {
+        return this.frames.length > 0 ? this.frames[this.frames.length - 1].time - this.frames[0].time : 0;
+    }
+
+    handleKeyDown(e) {
+        if (!this.loaded) return;
+
+        switch (e.code) {
+            case 'ArrowLeft':
+                this.seek(this.playTime - SEEK_STEP);
+                break;
+            case 'ArrowRight':
+                this.seek(this.playTime + SEEK_STEP);
+                break;
+            case 'Minus':
+                this.changeSpeed(-1);
+                break;
+            case 'Equal':
+                this.changeSpeed(1);
+                break;
+            case 'KeyF':
+                this.followNextShip();
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    createControls() {
+        const bar = document.createElement('div');
+        bar.id = 'replayControls';
+        bar.style.cssText = 'position: fixed; left: 50%; bottom: 20px; transform: translateX(-50%); ' +
+            'display: flex; align-items: center; gap: 10px; padding: 8px 14px; width: 60%; ' +
+            'background: rgba(0, 0, 0, 0.7); border: 1px solid #00ffff; border-radius: 6px; ' +
+            'color: #00ffff; font-family: monospace; z-index: 100;';
+
+        this.pauseButton = document.createElement('button');
+        this.pauseButton.addEventListener('click', () => this.togglePause());
+
+        this.timeline = document.createElement('input');
+        this.timeline.type = 'range';
+        this.timeline.min = 0;
+        this.timeline.max = this.getDuration();
+        this.timeline.step = 0.01;
+        this.timeline.style.flex = '1';
+        this.timeline.addEventListener('input', () => this.seek(this.frames[0].time + Number(this.timeline.value)));
+
+        this.timeLabel = document.createElement('span');
+
+        this.speedButton = document.createElement('button');
+        this.speedButton.addEventListener('click', () => {
+            this.speedIndex = (this.speedIndex + 1) % SPEEDS.length;
+        });
+
+        const hint = document.createElement('span');
+        hint.textContent = 'WASD camera · F follow · ←/→ seek · -/+ speed';
+        hint.style.opacity = '0.6';
+
+        [this.pauseButton, this.timeline, this.timeLabel, this.speedButton, hint].forEach(el => bar.appendChild(el));
+        document.body.appendChild(bar);
+    }
+
+    updateControls() {
+        if (!this.timeline) return;
+
+        const elapsed = this.playTime - this.frames[0].time;
+        this.pauseButton.textContent = this.paused ? '▶' : '❚❚';
+        if (document.activeElement !== this.timeline) {
+            this.timeline.value = elapsed;
+        }
+        this.timeLabel.textContent = `${formatTime(elapsed)} / ${formatTime(this.getDuration())}`;
+        this.speedButton.textContent = `${SPEEDS[this.speedIndex]}x`;
+    }
+
+    // Game interface used by main.js / InputHandler
+
+    setInput(key, value) {
+        if (key === 'brake') {
+            if (value) this.togglePause(); // Space
+            return;
+        }
+        if (key in this.input) {
+            this.input[key] = value;
+        }
+    }
+
+    setShipType() {}
+
+    setViewport() {}
+
+    getState() {
+        return this.state;
+    }
+
+    getRadarEntities() {
+        return this.state.entities
+            .concat(this.state.bases.map(base => ({ x: base.x, y: base.y, type: 'base', teamColor: base.color })))
+            .concat(this.state.flags.map(flag => ({ x: flag.x, y: flag.y, type: 'flag', teamColor: flag.color })));
+    }
+
+    isConnected() {
+        return this.loaded;
+    }
+}
@@ -0,0 +1,161 @@
+/**
+ * Room Browser for Stellar Warfare
+ * Opened with ?browse: lists the running matches (mode, map, humans/bots,
+ * time left, average ping) and drops the player into the one they pick.
+ * A full match makes room by retiring a bot; the server answers with
+ * gameJoined as usual, or joinRoomError.
+ *
+ * Socket events: listRooms, joinRoom → roomList, joinRoomError
+ */
+
+import { Modal } from './ui-components.js';
+import { MODE_NAMES } from './lobby.js';
+
+const REFRESH_INTERVAL = 5000; // ms between room list refreshes while open
+
+export class RoomBrowser {
+    constructor(game) {
+        this.game = game;
+        this.socket = null;
+        this.rooms = [];
+        this.message = '';
+        this.refreshTimer = null;
+
+        this.modal = new Modal({
+            title: 'Server Browser',
+            closable: false,
+            closeOnOverlay: false
+        });
+    }
+
+    /**
+     * Hook up to the game's socket (call right after game.connect)
+     */
+    attach(socket) {
+        this.socket = socket;
+
+        socket.on('connect', () => this.show());
+
+        socket.on('roomList', (rooms) => {
+            this.rooms = Array.isArray(rooms) ? rooms : [];
+            if (this.modal.isOpen) {
+                this.render();
+            }
+        });
+
+        socket.on('joinRoomError', (data) => {
+            this.message = data.message;
+            this.refresh();
+        });
+
+        socket.on('gameJoined', () => this.close());
+    }
+
+    show() {
+        this.message = '';
+        this.render();
+        this.refresh();
+
+        // CRASH PREVENTION: Only one refresh timer at a time
+        if (!this.refreshTimer) {
+            this.refreshTimer = setInterval(() => this.refresh(), REFRESH_INTERVAL);
+        }
+    }
+
+    refresh() {
+        if (this.socket && this.socket.connected) {
+            this.socket.emit('listRooms');
+        }
+    }
+
+    render() {
+        const container = document.createElement('div');
+        container.className = 'room-browser';
+
+        if (this.rooms.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'room-empty';
+            empty.textContent = 'No matches running - quick match starts one';
+            container.appendChild(empty);
+        } else {
+            const table = document.createElement('table');
+            table.className = 'room-list';
+            table.innerHTML = '<tr><th>Mode</th><th>Map</th><th>Players</th><th>Time</th><th>Ping</th><th></th></tr>';
+            this.rooms.forEach(room => table.appendChild(this.createRow(room)));
+            container.appendChild(table);
+        }
+
+        if (this.message) {
+            const message = document.createElement('div');
+            message.className = 'lobby-message';
+            message.textContent = this.message;
+            container.appendChild(message);
+        }
+
+        this.modal.setContent(container);
+        this.modal.addButtons([
+            { text: 'Refresh', className: 'btn-secondary', close: false, onClick: () => this.refresh() },
+            {
+                text: 'Quick match', className: 'btn-primary', close: false, onClick: () => {
+                    this.close();
+                    this.game.joinQueue();
+                }
+            }
+        ]);
+
+        if (!this.modal.isOpen) {
+            this.modal.open();
+        }
+    }
+
+    createRow(room) {
+        const row = document.createElement('tr');
+        const cells = [
+            MODE_NAMES[room.mode] || room.mode,
+            room.mapName || room.map,
+            `${room.humans} + ${room.bots} bots / ${room.maxPlayers}`,
+            this.formatTime(room.timeRemaining, room.phase),
+            room.averagePing === null ? '-' : `${room.averagePing}ms`
+        ];
+        cells.forEach(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+
+        const action = document.createElement('td');
+        const join = document.createElement('button');
+        join.className = 'btn btn-primary room-join';
+        join.textContent = 'Join';
+        join.disabled = !room.joinable;
+        join.onclick = () => {
+            this.message = '';
+            this.game.joinRoom(room.id);
+        };
+        action.appendChild(join);
+        row.appendChild(action);
+
+        return row;
+    }
+
+    formatTime(seconds, phase) {
+        const minutes = Math.floor(seconds / 60);
+        const time = `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+        return phase === 'live' ? time : `${phase} ${time}`;
+    }
+
+    close() {
+        if (this.refreshTimer) {
+            clearInterval(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+        if (this.modal.isOpen) {
+            this.modal.close();
+        }
+    }
+
+    cleanup() {
+        this.close();
+        this.modal.destroy();
+    }
+}
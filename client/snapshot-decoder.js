@@ -0,0 +1,140 @@
+/**
+ * Snapshot Decoder for Stellar Warfare
+ * Rebuilds full game states from the server's delta-compressed snapshots
+ * (see server/snapshot.js) and tells the caller which sequence to acknowledge
+ */
+
+// Must match server/snapshot.js
+const SNAPSHOT_HISTORY = 64;
+const EXTRAPOLATED_FIELDS = {
+    x: 'velocityX',
+    y: 'velocityY',
+    rotation: 'angularVelocity'
+};
+
+// Shared codec (loaded as a classic script, global WireCodec)
+const { quantize } = WireCodec;
+
+/**
+ * Advance an entity's extrapolated fields the same way the server predicts them
+ */
+function extrapolateEntity(entity, elapsed) {
+    const result = { ...entity };
+    for (const key in EXTRAPOLATED_FIELDS) {
+        const rateKey = EXTRAPOLATED_FIELDS[key];
+        if (typeof entity[key] === 'number' && typeof entity[rateKey] === 'number') {
+            result[key] = quantize(key, entity[key] + entity[rateKey] * elapsed);
+        }
+    }
+    return result;
+}
+
+export class SnapshotDecoder {
+    constructor() {
+        this.snapshots = new Map(); // seq -> { time, values, collections }
+        this.latestSeq = 0;
+        this.wireDecoder = new WireCodec.WireDecoder(); // netId table for binary snapshots
+    }
+
+    /**
+     * Apply a delta message on top of its baseline
+     * @param {Object|ArrayBuffer} message - gameState payload from the server (JSON or binary)
+     * @returns {Object|null} Full game state (with seq), or null if it can't be decoded
+     */
+    decode(message) {
+        // Binary wire format - unpack into the JSON delta shape first
+        if (WireCodec.isBinary(message)) {
+            message = this.wireDecoder.decodeSnapshot(message);
+        }
+
+        // Uncompressed state (older server) - pass through
+        if (message.seq === undefined) {
+            return message;
+        }
+
+        let baseline;
+        if (message.baseline === null) {
+            // Full snapshot. Sequence going backwards means a new encoder (new game) - start over
+            if (message.seq <= this.latestSeq) {
+                this.snapshots.clear();
+                this.latestSeq = 0;
+            }
+            baseline = { time: message.time, values: {}, collections: {} };
+        } else {
+            baseline = this.snapshots.get(message.baseline);
+            if (!baseline) {
+                // Baseline already dropped - wait for the server to catch up with our acks
+                return null;
+            }
+        }
+
+        // Stale or duplicate delivery
+        if (message.seq <= this.latestSeq) {
+            return null;
+        }
+
+        const elapsed = message.time - baseline.time;
+        const snapshot = {
+            time: message.time,
+            values: { ...baseline.values, ...message.values },
+            collections: {}
+        };
+
+        for (const key in baseline.collections) {
+            const entities = new Map();
+            baseline.collections[key].forEach((entity, id) => {
+                entities.set(id, extrapolateEntity(entity, elapsed));
+            });
+            snapshot.collections[key] = entities;
+        }
+
+        for (const key in message.collections) {
+            const delta = message.collections[key];
+            const entities = snapshot.collections[key] || new Map();
+
+            delta.removed.forEach(id => entities.delete(id));
+            delta.changed.forEach(change => {
+                const previous = entities.get(change.id);
+                if (!previous) return;
+
+                const entity = { ...previous, ...change };
+                for (const field in change) {
+                    if (change[field] === null) delete entity[field];
+                }
+                entities.set(change.id, entity);
+            });
+            delta.added.forEach(entity => entities.set(entity.id, entity));
+
+            snapshot.collections[key] = entities;
+        }
+
+        this.snapshots.set(message.seq, snapshot);
+        this.latestSeq = message.seq;
+
+        // Drop baselines the server can no longer reference
+        for (const seq of this.snapshots.keys()) {
+            if (seq > message.seq - SNAPSHOT_HISTORY) break;
+            this.snapshots.delete(seq);
+        }
+
+        return this.toState(snapshot, message.seq);
+    }
+
+    /**
+     * Convert a stored snapshot back into the plain getGameState() shape, plus
+     * the server simulation time it was taken at (explosion and text ages use it)
+     */
+    toState(snapshot, seq) {
+        const state = { ...snapshot.values, seq: seq, time: snapshot.time };
+        for (const key in snapshot.collections) {
+            state[key] = Array.from(snapshot.collections[key].values());
+        }
+        return state;
+    }
+
+    reset() {
+        this.snapshots.clear();
+        this.latestSeq = 0;
+        this.wireDecoder.reset();
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * Spectator Controller for Stellar Warfare
+ * Drives the camera for a client that joined with ?spectate (no ship of its
+ * own): a free-fly camera on WASD, or following a player/bot picked with Tab.
+ * The Renderer picks the result up from state.camera.
+ *
+ * Controls: WASD free camera, Tab next ship, Shift+Tab previous ship,
+ * Escape back to the free camera
+ */
+
+import { Camera } from './camera.js';
+
+const CAMERA_SPEED = 900; // world units per second (free camera)
+
+export class SpectatorController {
+    constructor(canvas, game) {
+        this.game = game;
+        this.camera = new Camera(canvas);
+        this.camera.setPosition(this.camera.worldWidth / 2, this.camera.worldHeight / 2);
+        this.followId = null;
+
+        this.overlay = this.createOverlay();
+
+        this.keyHandler = (e) => this.handleKeyDown(e);
+        window.addEventListener('keydown', this.keyHandler);
+    }
+
+    update(deltaTime) {
+        const state = this.game.getState();
+
+        // Camera bounds follow the game being watched (sent in spectateJoined)
+        if (this.game.worldSize) {
+            this.camera.worldWidth = this.game.worldSize.width;
+            this.camera.worldHeight = this.game.worldSize.height;
+        }
+
+        const input = this.game.input;
+        const dx = (input.right ? 1 : 0) - (input.left ? 1 : 0);
+        const dy = (input.backward ? 1 : 0) - (input.forward ? 1 : 0);
+
+        if (dx !== 0 || dy !== 0) {
+            this.followId = null; // Taking the camera back
+            this.camera.setPosition(
+                this.camera.x + dx * CAMERA_SPEED * deltaTime,
+                this.camera.y + dy * CAMERA_SPEED * deltaTime
+            );
+        } else if (this.followId) {
+            const target = this.getShips().find(ship => ship.id === this.followId);
+            if (target) {
+                this.camera.follow(target, deltaTime);
+            } else {
+                this.followId = null; // Died or left - stay where it was
+            }
+        }
+
+        // Camera already smoothed here - the Renderer shouldn't lerp it again
+        state.camera = { x: this.camera.x, y: this.camera.y, smoothed: true };
+        this.updateOverlay();
+    }
+
+    /**
+     * Living ships in a stable (id) order for cycling
+     */
+    getShips() {
+        return this.game.getState().entities
+            .filter(entity => entity.type === 'ship')
+            .sort((a, b) => (a.id < b.id ? -1 : 1));
+    }
+
+    /**
+     * Follow the next (direction 1) or previous (-1) ship
+     */
+    cycleFollow(direction) {
+        const ships = this.getShips();
+        if (ships.length === 0) return;
+
+        const currentIndex = ships.findIndex(ship => ship.id === this.followId);
+        const nextIndex = currentIndex === -1
+            ? (direction > 0 ? 0 : ships.length - 1)
+            : (currentIndex + direction + ships.length) % ships.length;
+        const target = ships[nextIndex];
+
+        // Pan over from the current view, without a look-ahead spike from the jump
+        this.camera.lastTargetX = target.x;
+        this.camera.lastTargetY = target.y;
+        this.followId = target.id;
+    }
+
+    handleKeyDown(e) {
+        switch (e.code) {
+            case 'Tab':
+                this.cycleFollow(e.shiftKey ? -1 : 1);
+                break;
+            case 'Escape':
+                this.followId = null;
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    createOverlay() {
+        const overlay = document.createElement('div');
+        overlay.id = 'spectatorOverlay';
+        overlay.style.cssText = 'position: fixed; left: 50%; bottom: 20px; transform: translateX(-50%); ' +
+            'min-width: 260px; padding: 8px 14px; text-align: center; ' +
+            'background: rgba(0, 0, 0, 0.7); border: 1px solid #00ffff; border-radius: 6px; ' +
+            'color: #00ffff; font-family: monospace; z-index: 100; white-space: pre;';
+        document.body.appendChild(overlay);
+        return overlay;
+    }
+
+    updateOverlay() {
+        const hint = 'Tab next ship · Shift+Tab previous · WASD free camera';
+        const ship = this.followId ? this.getShips().find(s => s.id === this.followId) : null;
+        if (!ship) {
+            this.overlay.textContent = `SPECTATING - free camera\n${hint}`;
+            return;
+        }
+
+        const ping = ship.isBot ? 'bot' : (ship.ping !== null && ship.ping !== undefined ? `${ship.ping}ms` : '-');
+        this.overlay.textContent = [
+            `SPECTATING ${ship.name}`,
+            `${ship.shipType} · HP ${Math.round(ship.health)}/${ship.maxHealth} · Shield ${Math.round(ship.shield || 0)}/${ship.maxShield || 0}`,
+            `Score ${ship.score} · K/D ${ship.kills}/${ship.deaths} · Ping ${ping}`,
+            hint
+        ].join('\n');
+    }
+
+    cleanup() {
+        window.removeEventListener('keydown', this.keyHandler);
+        this.overlay.remove();
+    }
+}
@@ -183,9 +183,9 @@ class Modal extends UIComponent {
             };
         }
 
-        // Close on escape key
+        // Close on escape key (unless the modal can't be dismissed)
         this.escHandler = (e) => {
-            if (e.key === 'Escape' && this.isOpen) {
+            if (e.key === 'Escape' && this.isOpen && this.options.closable !== false) {
                 this.close();
             }
         };
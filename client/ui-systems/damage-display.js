@@ -20,6 +20,7 @@ export class DamageDisplay {
         this.damageColors = {
             normal: '#ffff00',      // Yellow
             critical: '#ff0000',    // Red
+            splash: '#ff8800',      // Orange
             shield: '#00ffff',      // Cyan
             heal: '#00ff00',        // Green
             powerup: '#ff00ff'      // Magenta
@@ -49,6 +50,7 @@ export class DamageDisplay {
                 const frequencies = {
                     normal: 440,
                     critical: 880,
+                    splash: 220,
                     shield: 330,
                     powerup: 660
                 };
@@ -70,7 +72,7 @@ export class DamageDisplay {
      * @param {number} x - World X position
      * @param {number} y - World Y position
      * @param {number} damage - Damage amount
-     * @param {string} type - Damage type (normal, critical, shield, heal, powerup)
+     * @param {string} type - Damage type (normal, critical, splash, shield, heal, powerup)
      * @param {Object} camera - Camera object for world-to-screen conversion
      */
     addDamageNumber(x, y, damage, type = 'normal', camera = null) {
@@ -25,7 +25,7 @@ export class EnhancedHUD {
 
         this.weaponInfo = {
             primary: { name: 'Blaster', cooldown: 0, maxCooldown: 0.2 },
-            secondary: { name: 'Missiles', cooldown: 0, maxCooldown: 5, ammo: 3 }
+            secondary: { name: 'Homing Missile', icon: '', cooldown: 0, maxCooldown: 3, status: 'READY' }
         };
 
         this.powerUps = [];
@@ -127,15 +127,15 @@ export class EnhancedHUD {
         `;
         weaponInfo.innerHTML = `
             <div id="primary-weapon" style="margin-bottom: 10px;">
-                <div style="color: #00ff00; font-size: 14px; font-weight: bold;">BLASTER</div>
+                <div id="primary-name" style="color: #00ff00; font-size: 14px; font-weight: bold;">BLASTER</div>
                 <div id="primary-ammo" style="font-size: 24px; font-weight: bold;">∞</div>
                 <div id="primary-cooldown" style="height: 3px; background: rgba(0,255,0,0.3); margin-top: 5px;">
                     <div style="height: 100%; background: #00ff00; width: 0%; transition: width 0.1s;"></div>
                 </div>
             </div>
             <div id="secondary-weapon">
-                <div style="color: #ff8800; font-size: 14px; font-weight: bold;">MISSILES</div>
-                <div id="secondary-ammo" style="font-size: 20px; font-weight: bold;">3/3</div>
+                <div id="secondary-name" style="color: #ff8800; font-size: 14px; font-weight: bold;">HOMING MISSILE</div>
+                <div id="secondary-status" style="font-size: 20px; font-weight: bold;">READY</div>
                 <div id="secondary-cooldown" style="height: 3px; background: rgba(255,136,0,0.3); margin-top: 5px;">
                     <div style="height: 100%; background: #ff8800; width: 0%; transition: width 0.1s;"></div>
                 </div>
@@ -307,18 +307,28 @@ export class EnhancedHUD {
         Object.assign(this.weaponInfo, weaponData);
 
         // Update primary weapon
+        const primaryName = document.getElementById('primary-name');
         const primaryCooldown = document.querySelector('#primary-cooldown > div');
+        if (primaryName && this.weaponInfo.primary) {
+            primaryName.textContent = this.weaponInfo.primary.name.toUpperCase();
+        }
         if (primaryCooldown && this.weaponInfo.primary) {
             const cooldownPercent = (this.weaponInfo.primary.cooldown / this.weaponInfo.primary.maxCooldown) * 100;
             primaryCooldown.style.width = `${cooldownPercent}%`;
         }
 
-        // Update secondary weapon
-        const secondaryAmmo = document.getElementById('secondary-ammo');
+        // Update secondary weapon (the equipped one changes with the Q loadout)
+        const secondaryName = document.getElementById('secondary-name');
+        const secondaryStatus = document.getElementById('secondary-status');
         const secondaryCooldown = document.querySelector('#secondary-cooldown > div');
 
-        if (secondaryAmmo && this.weaponInfo.secondary) {
-            secondaryAmmo.textContent = `${this.weaponInfo.secondary.ammo}/3`;
+        if (secondaryName && this.weaponInfo.secondary) {
+            const { icon, name } = this.weaponInfo.secondary;
+            secondaryName.textContent = `${icon ? icon + ' ' : ''}${name.toUpperCase()}`;
+        }
+
+        if (secondaryStatus && this.weaponInfo.secondary) {
+            secondaryStatus.textContent = this.weaponInfo.secondary.status;
         }
 
         if (secondaryCooldown && this.weaponInfo.secondary) {
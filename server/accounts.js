@@ -0,0 +1,235 @@
+/**
+ * Player Accounts - server-side identity and profiles
+ *
+ * Every connection gets an account: a browser without a token is handed a
+ * new guest account and its session token. A guest is only kept in memory
+ * until it has something worth saving (a finished match, a loadout, a
+ * registration), so connections that never play leave nothing behind.
+ * Guests can be upgraded in place to a named account with a password
+ * (keeping their progression and rating); named accounts log in from any
+ * browser for a new token.
+ *
+ * Tokens are stored as SHA-256 hashes and passwords as scrypt hashes, so a
+ * leaked store file hands out neither.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { MemoryStore } = require('./store');
+const { createProgression, checkDailyReset, serializeProgression } = require('./progression');
+
+const scrypt = promisify(crypto.scrypt);
+
+const TOKEN_BYTES = 32;
+const MAX_SESSIONS = 5;                     // Token hashes kept per account (oldest dropped)
+const PASSWORD_KEY_LENGTH = 64;
+const PASSWORD_SALT_BYTES = 16;
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,16}$/;
+const GUEST_EXPIRY_MS = 30 * 24 * 60 * 60 * 1000; // Saved guests unseen this long are pruned
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(PASSWORD_SALT_BYTES).toString('hex');
+  const key = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+  return `${salt}:${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [salt, keyHex] = String(stored || '').split(':');
+  if (!salt || !keyHex) return false;
+
+  const expected = Buffer.from(keyHex, 'hex');
+  const key = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+class AccountService {
+  /**
+   * @param {Object} store - Account records by id (see store.js)
+   */
+  constructor(store = new MemoryStore()) {
+    this.store = store;
+    this.tokens = new Map();    // token hash -> account id
+    this.usernames = new Map(); // lowercase username -> account id
+    this.unsaved = new Map();   // account id -> guest not written to the store yet
+
+    this.store.values().forEach(account => this.index(account));
+  }
+
+  index(account) {
+    account.tokenHashes.forEach(hash => this.tokens.set(hash, account.id));
+    if (!account.guest) {
+      this.usernames.set(account.name.toLowerCase(), account.id);
+    }
+  }
+
+  get(id) {
+    return id ? this.store.get(id) || this.unsaved.get(id) || null : null;
+  }
+
+  /**
+   * @returns {Object|null} Account the session token belongs to
+   */
+  authenticate(token) {
+    if (typeof token !== 'string' || !token) return null;
+    return this.get(this.tokens.get(hashToken(token)));
+  }
+
+  /**
+   * @returns {Object} { account, token }
+   */
+  createGuest() {
+    const now = Date.now();
+    const id = `acct_${crypto.randomBytes(8).toString('hex')}`;
+    const account = {
+      id: id,
+      name: `Pilot_${id.slice(-4)}`,
+      guest: true,
+      passwordHash: null,
+      tokenHashes: [],
+      createdAt: now,
+      lastSeen: now,
+      progression: createProgression(now)
+    };
+    this.unsaved.set(id, account);
+    const token = this.issueToken(account);
+    return { account: account, token: token };
+  }
+
+  issueToken(account) {
+    const token = crypto.randomBytes(TOKEN_BYTES).toString('hex');
+    const hash = hashToken(token);
+
+    account.tokenHashes.push(hash);
+    while (account.tokenHashes.length > MAX_SESSIONS) {
+      this.tokens.delete(account.tokenHashes.shift());
+    }
+    this.tokens.set(hash, account.id);
+    this.update(account);
+    return token;
+  }
+
+  /**
+   * Session start: daily challenges/login streak roll over here
+   * @returns {Object|null} Progression summary when a new day began
+   */
+  touch(account) {
+    account.lastSeen = Date.now();
+    const summary = checkDailyReset(account.progression, account.lastSeen);
+    this.update(account);
+    return summary;
+  }
+
+  /**
+   * Its last connection closed: a guest that was never saved is forgotten
+   */
+  release(accountId) {
+    const account = this.unsaved.get(accountId);
+    if (!account) return;
+
+    account.tokenHashes.forEach(hash => this.tokens.delete(hash));
+    this.unsaved.delete(accountId);
+  }
+
+  /**
+   * Delete saved guests that have not been seen for GUEST_EXPIRY_MS
+   * @returns {string[]} Ids of the deleted accounts
+   */
+  pruneGuests(now = Date.now()) {
+    const pruned = [];
+    this.store.values().forEach(account => {
+      if (!account.guest || now - account.lastSeen <= GUEST_EXPIRY_MS) return;
+
+      account.tokenHashes.forEach(hash => this.tokens.delete(hash));
+      this.store.delete(account.id);
+      pruned.push(account.id);
+    });
+    return pruned;
+  }
+
+  /**
+   * Turn a guest into a named account (same id, progression and rating)
+   * @returns {Promise<Object>} { account } or { error }
+   */
+  async register(account, username, password) {
+    if (!account || !account.guest) {
+      return { error: 'Only guest accounts can be registered' };
+    }
+    if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+      return { error: 'Username must be 3-16 letters, digits or underscores' };
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+
+    const passwordHash = await hashPassword(password);
+
+    // Checked after the hash: another registration may have taken it meanwhile
+    if (this.usernames.has(username.toLowerCase())) {
+      return { error: 'Username is taken' };
+    }
+
+    account.name = username;
+    account.guest = false;
+    account.passwordHash = passwordHash;
+    this.usernames.set(username.toLowerCase(), account.id);
+    this.save(account);
+    return { account: account };
+  }
+
+  /**
+   * @returns {Promise<Object>} { account, token } or { error }
+   */
+  async login(username, password) {
+    const account = this.get(this.usernames.get(String(username || '').toLowerCase()));
+    const valid = account && typeof password === 'string' && await verifyPassword(password, account.passwordHash);
+    if (!valid) {
+      return { error: 'Wrong username or password' };
+    }
+    return { account: account, token: this.issueToken(account) };
+  }
+
+  /**
+   * Write an account to the store (a new guest is saved from here on)
+   */
+  save(account) {
+    this.unsaved.delete(account.id);
+    this.store.set(account.id, account);
+  }
+
+  /**
+   * Write changes to an account that is already saved; unsaved guests stay in memory
+   */
+  update(account) {
+    if (!this.unsaved.has(account.id)) {
+      this.save(account);
+    }
+  }
+
+  flush() {
+    if (typeof this.store.save === 'function') {
+      this.store.save();
+    }
+  }
+
+  /**
+   * What the owner sees about their account (no secrets)
+   */
+  getProfile(account) {
+    return {
+      id: account.id,
+      name: account.name,
+      guest: account.guest,
+      createdAt: account.createdAt,
+      progression: serializeProgression(account.progression)
+    };
+  }
+}
+
+module.exports = {
+  AccountService
+};
@@ -1,8 +1,39 @@
-const { getShipConfig } = require('./ship-types');
+const { getShipConfig, getAllShipTypes } = require('./ship-types');
+const Random = require('./prng');
+
+// Personality ranges per difficulty: [min, max], rolled once per bot.
+// rating: the skill rating a difficulty plays at (matchmaking picks the
+// closest one for a room, and bots count as that rating in rated matches)
+const BOT_DIFFICULTIES = {
+  easy: { rating: 1000, aggressiveness: [0.2, 0.6], accuracy: [0.3, 0.6], reactionTime: [0.5, 0.9] },
+  normal: { rating: 1200, aggressiveness: [0.3, 1.0], accuracy: [0.5, 1.0], reactionTime: [0.2, 0.5] },
+  hard: { rating: 1400, aggressiveness: [0.7, 1.0], accuracy: [0.8, 1.0], reactionTime: [0.1, 0.2] }
+};
+const DEFAULT_BOT_DIFFICULTY = 'normal';
+
+/**
+ * Difficulty whose rating is closest to a room's average human rating
+ */
+function getBotDifficultyForRating(rating) {
+  let closest = DEFAULT_BOT_DIFFICULTY;
+  Object.entries(BOT_DIFFICULTIES).forEach(([difficulty, personality]) => {
+    if (Math.abs(personality.rating - rating) < Math.abs(BOT_DIFFICULTIES[closest].rating - rating)) {
+      closest = difficulty;
+    }
+  });
+  return closest;
+}
 
 class Bot {
-  constructor(id, spawnPosition) {
+  /**
+   * @param {string} id - Bot id
+   * @param {Object} spawnPosition - { x, y, rotation }
+   * @param {Random} [random] - The game's seeded PRNG (keeps the simulation deterministic)
+   * @param {string} [difficulty] - Key of BOT_DIFFICULTIES
+   */
+  constructor(id, spawnPosition, random = new Random(), difficulty = DEFAULT_BOT_DIFFICULTY) {
     this.id = id;
+    this.random = random;
     this.name = this.generateBotName();
     this.isBot = true;
 
@@ -12,10 +43,11 @@ class Bot {
     this.velocityX = 0;
     this.velocityY = 0;
     this.rotation = spawnPosition.rotation;
+    this.team = null; // Set by the game in team modes
 
     // Ship configuration (randomize bot ship types)
-    const shipTypes = ['interceptor', 'gunship', 'cruiser'];
-    const shipType = shipTypes[Math.floor(Math.random() * shipTypes.length)];
+    const shipTypes = getAllShipTypes().map(ship => ship.id);
+    const shipType = this.random.pick(shipTypes);
     const shipConfig = getShipConfig(shipType);
 
     // Apply ship configuration
@@ -29,6 +61,13 @@ class Bot {
     this.projectileSpeed = shipConfig.projectileSpeed;
     this.projectileDamage = shipConfig.projectileDamage;
     this.projectileLifetime = shipConfig.projectileLifetime;
+    this.projectileSize = shipConfig.projectileSize;
+    this.projectileColor = shipConfig.projectileColor;
+    this.muzzleVelocityBonus = shipConfig.muzzleVelocityBonus;
+    this.criticalChance = shipConfig.criticalChance || 0;
+    this.areaOfEffect = shipConfig.areaOfEffect || 0;
+    this.primaryWeapon = shipConfig.primaryWeapon;
+    this.secondaryWeapon = shipConfig.secondaryWeapon;
     this.size = shipConfig.size;
     this.color = shipConfig.color;
     this.shape = shipConfig.shape;
@@ -36,6 +75,9 @@ class Bot {
     // Combat stats
     this.health = shipConfig.maxHealth;
     this.maxHealth = shipConfig.maxHealth;
+    this.shield = shipConfig.maxShield;
+    this.maxShield = shipConfig.maxShield;
+    this.shieldRegenDelay = 0;
     this.isDead = false;
     this.score = 0;
     this.kills = 0;
@@ -59,28 +101,35 @@ class Bot {
     // AI state
     this.target = null;
     this.targetType = null; // 'player', 'bot', 'asteroid', null
-    this.wanderAngle = Math.random() * Math.PI * 2;
+    this.wanderAngle = this.random.next() * Math.PI * 2;
     this.wanderChangeTime = 0;
     this.aggroRange = 600;
     this.shootRange = 400;
+    this.optimalRange = shipConfig.optimal_range || this.shootRange * 0.6; // Preferred fighting distance
     this.avoidanceRange = 150;
 
-    // AI personality (affects behavior)
-    this.aggressiveness = 0.3 + Math.random() * 0.7; // 0.3 to 1.0
-    this.accuracy = 0.5 + Math.random() * 0.5; // 0.5 to 1.0
-    this.reactionTime = 0.2 + Math.random() * 0.3; // 0.2 to 0.5 seconds
+    // AI personality (affects behavior), within the difficulty's ranges
+    this.difficulty = BOT_DIFFICULTIES[difficulty] ? difficulty : DEFAULT_BOT_DIFFICULTY;
+    const personality = BOT_DIFFICULTIES[this.difficulty];
+    this.aggressiveness = this.rollTrait(personality.aggressiveness);
+    this.accuracy = this.rollTrait(personality.accuracy);
+    this.reactionTime = this.rollTrait(personality.reactionTime); // seconds
     this.reactionTimer = 0;
 
     // Strafing behavior
-    this.strafeDirection = Math.random() > 0.5 ? 1 : -1;
+    this.strafeDirection = this.random.next() > 0.5 ? 1 : -1;
     this.strafeTimer = 0;
   }
 
+  rollTrait([min, max]) {
+    return min + this.random.next() * (max - min);
+  }
+
   generateBotName() {
     const prefixes = ['Alpha', 'Beta', 'Gamma', 'Delta', 'Omega', 'Sigma', 'Nova', 'Stellar'];
     const suffixes = ['Hunter', 'Warrior', 'Scout', 'Fighter', 'Defender', 'Raider', 'Ghost', 'Ace'];
-    const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
-    const suffix = suffixes[Math.floor(Math.random() * suffixes.length)];
+    const prefix = this.random.pick(prefixes);
+    const suffix = this.random.pick(suffixes);
     return `${prefix} ${suffix}`;
   }
 
@@ -184,7 +233,7 @@ class Bot {
     if (shouldTargetPlayers) {
       // Find nearest player
       gameState.players.forEach(player => {
-        if (!player.isDead) {
+        if (!player.isDead && !this.isTeammate(player)) {
           const distance = this.getDistance(player.x, player.y);
           if (distance < nearestDistance) {
             nearestDistance = distance;
@@ -198,7 +247,7 @@ class Bot {
     // If no player target or bot prefers fighting bots, target other bots
     if (!this.target) {
       gameState.bots.forEach(bot => {
-        if (bot.id !== this.id && !bot.isDead) {
+        if (bot.id !== this.id && !bot.isDead && !this.isTeammate(bot)) {
           const distance = this.getDistance(bot.x, bot.y);
           if (distance < nearestDistance) {
             nearestDistance = distance;
@@ -210,6 +259,13 @@ class Bot {
     }
   }
 
+  /**
+   * Team modes: never pick a fight with our own side
+   */
+  isTeammate(ship) {
+    return this.team != null && ship.team === this.team;
+  }
+
   planEngagement(deltaTime) {
     if (!this.target) return;
 
@@ -226,14 +282,12 @@ class Bot {
     while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
     while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
 
-    // Movement strategy based on distance and ship type
-    const optimalRange = this.shootRange * 0.6;
-
+    // Movement strategy based on distance and the ship's optimal range
     if (distance > this.shootRange) {
       // Too far - move closer (reduced from 1.0 to 0.5)
       this.targetAcceleration = this.acceleration * 0.5;
       this.strafeTimer = 0;
-    } else if (distance < optimalRange * 0.5) {
+    } else if (distance < this.optimalRange * 0.5) {
       // Too close - back off (reduced from 0.5 to 0.3)
       this.targetAcceleration = -this.acceleration * 0.3;
       this.strafeTimer = 0;
@@ -243,8 +297,8 @@ class Bot {
 
       // Start strafing pattern
       if (this.strafeTimer <= 0) {
-        this.strafeTimer = 1.5 + Math.random(); // Strafe for 1.5-2.5 seconds
-        this.strafeDirection = Math.random() > 0.5 ? 1 : -1; // Random strafe direction
+        this.strafeTimer = 1.5 + this.random.next(); // Strafe for 1.5-2.5 seconds
+        this.strafeDirection = this.random.next() > 0.5 ? 1 : -1; // Random strafe direction
       }
     }
 
@@ -271,8 +325,8 @@ class Bot {
   planWander(deltaTime) {
     // Change direction periodically
     this.wanderChangeTime += deltaTime;
-    if (this.wanderChangeTime > 3 + Math.random() * 2) {
-      this.wanderAngle = Math.random() * Math.PI * 2;
+    if (this.wanderChangeTime > 3 + this.random.next() * 2) {
+      this.wanderAngle = this.random.next() * Math.PI * 2;
       this.wanderChangeTime = 0;
     }
 
@@ -325,4 +379,6 @@ class Bot {
   }
 }
 
-module.exports = Bot;
\ No newline at end of file
+module.exports = Bot;
+module.exports.BOT_DIFFICULTIES = BOT_DIFFICULTIES;
+module.exports.DEFAULT_BOT_DIFFICULTY = DEFAULT_BOT_DIFFICULTY;module.exports.getBotDifficultyForRating = getBotDifficultyForRating;
@@ -0,0 +1,85 @@
+/**
+ * Damage Pipeline - how much a hit deals and what kind of hit it was
+ *
+ * Projectiles carry their shooter's ship stats (criticalChance,
+ * areaOfEffect) and their muzzle position. A direct hit can roll a
+ * critical, loses damage past the falloff range, and a splash ship's
+ * impact also catches ships next to the target. Every hit is tagged
+ * (HIT_TYPES) so clients can show the matching feedback.
+ *
+ * Rolls use the game's seeded Random, so the simulation stays deterministic.
+ */
+
+const { COMBAT_CONFIG } = require('./ship-types');
+
+const HIT_TYPES = {
+  NORMAL: 'normal',
+  CRITICAL: 'critical',
+  SPLASH: 'splash'
+};
+
+const CRITICAL_MULTIPLIER = 1.5;
+const FALLOFF_RANGE = 500;        // Distance travelled before shots weaken
+const FALLOFF_MULTIPLIER = 0.8;
+const SPLASH_DAMAGE_RATIO = 0.5;  // Of the direct hit's (non-critical) damage
+
+/**
+ * Direct projectile hit
+ * @param {Object} projectile - damage, criticalChance, originX/originY, x/y at impact
+ * @param {number} centerDistance - Impact distance from the target's center
+ * @param {Object} random - Game PRNG (next() in [0, 1))
+ * @returns {Object} { damage, type }
+ */
+function calculateHitDamage(projectile, centerDistance, random) {
+  let damage = applyFalloff(projectile, projectile.damage);
+  let type = HIT_TYPES.NORMAL;
+
+  // A dead-center hit always crits; otherwise the shooter's ship rolls for it
+  if (COMBAT_CONFIG.ENABLE_CRITICAL_HITS) {
+    const precise = centerDistance <= COMBAT_CONFIG.HEADSHOT_RADIUS;
+    if (precise || (projectile.criticalChance > 0 && random.next() < projectile.criticalChance)) {
+      damage *= CRITICAL_MULTIPLIER;
+      type = HIT_TYPES.CRITICAL;
+    }
+  }
+
+  return { damage: Math.floor(damage), type: type };
+}
+
+/**
+ * Distance falloff, measured from where the projectile was fired
+ */
+function applyFalloff(projectile, damage) {
+  if (projectile.originX === undefined) return damage;
+
+  const dx = projectile.x - projectile.originX;
+  const dy = projectile.y - projectile.originY;
+  return Math.sqrt(dx * dx + dy * dy) > FALLOFF_RANGE ? damage * FALLOFF_MULTIPLIER : damage;
+}
+
+/**
+ * Splash from a direct hit on a ship at distance from the impact
+ * @returns {number} Damage (0 outside the splash or for ships without areaOfEffect)
+ */
+function calculateSplashDamage(projectile, distance) {
+  // The blast reaches ships whose hit circle it overlaps
+  if (!projectile.areaOfEffect || distance > projectile.areaOfEffect + COMBAT_CONFIG.HIT_RADIUS) {
+    return 0;
+  }
+  return Math.floor(applyFalloff(projectile, projectile.damage) * SPLASH_DAMAGE_RATIO);
+}
+
+/**
+ * Explosion (homing missile) damage, fading linearly to 0 at the radius
+ */
+function calculateExplosionDamage(damage, distance, radius) {
+  if (distance >= radius) return 0;
+  return damage * (1 - distance / radius);
+}
+
+module.exports = {
+  HIT_TYPES,
+  calculateHitDamage,
+  calculateSplashDamage,
+  calculateExplosionDamage
+};
@@ -0,0 +1,314 @@
+/**
+ * Game Definitions - ships, weapons and power-ups loaded from JSON
+ *
+ * The files in shared/data (GAME_DATA_DIR overrides the folder) are read
+ * once at startup and checked against the schemas below: unknown fields,
+ * wrong types, out-of-range numbers and references to missing weapons are
+ * all collected and reported together as one DefinitionError, so a typo in
+ * a data file stops the server instead of producing a broken ship.
+ *
+ * Optional fields get their default here, so the rest of the server (and
+ * the client, via GET /definitions) reads complete records.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.GAME_DATA_DIR || path.join(__dirname, '../shared/data');
+
+const WEAPON_SLOTS = ['primary', 'secondary'];
+
+const WEAPON_TYPES = {
+  PROJECTILE: 'projectile', // Fires projectiles scaled from the ship's stats
+  BEAM: 'beam'              // Held hitscan beam that drains energy (secondary only)
+};
+
+const ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+const COLOR_PATTERN = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+const SHIP_SCHEMA = {
+  id: { type: 'id', required: true },
+  name: { type: 'string', required: true },
+  description: { type: 'string', default: '' },
+
+  // Movement
+  maxHealth: { type: 'number', min: 1, required: true },
+  maxShield: { type: 'number', min: 0, default: 0 },       // Absorbs damage first (COMBAT_CONFIG regen)
+  maxSpeed: { type: 'number', min: 1, required: true },
+  acceleration: { type: 'number', min: 1, required: true },
+  rotationSpeed: { type: 'number', min: 0, required: true },
+  friction: { type: 'number', min: 0, max: 1, required: true },
+
+  // Primary fire (weapons scale these)
+  fireRate: { type: 'number', min: 1, required: true },    // ms between shots
+  projectileSpeed: { type: 'number', min: 1, required: true },
+  projectileDamage: { type: 'number', min: 0, required: true },
+  projectileLifetime: { type: 'number', min: 0.1, required: true }, // seconds
+  criticalChance: { type: 'number', min: 0, max: 1, default: 0 },
+  projectileSize: { type: 'number', min: 0, default: 0 },  // Added to COMBAT_CONFIG.HIT_RADIUS
+  muzzleVelocityBonus: { type: 'number', min: 0, default: 0 }, // px/s of ship velocity inherited
+  areaOfEffect: { type: 'number', min: 0, default: 0 },    // Splash radius of splash weapons
+  primaryWeapon: { type: 'id', required: true },
+  secondaryWeapon: { type: 'id', required: true },       // Always available; an equipped loadout replaces it
+
+  // Visual
+  size: { type: 'number', min: 1, required: true },
+  color: { type: 'color', required: true },
+  shape: { type: 'enum', values: ['triangle', 'rectangle', 'hexagon'], required: true },
+  projectileColor: { type: 'color', required: true },
+  muzzleFlashSize: { type: 'number', min: 0, default: 20 },
+
+  // Descriptive / balance notes (HUD, AI and the balance guide)
+  difficulty: { type: 'string', default: '' },
+  role: { type: 'string', default: '' },
+  playstyle: { type: 'string', default: '' },
+  ttk_vs_self: { type: 'number', min: 0 },
+  optimal_range: { type: 'number', min: 0 },               // Bots' preferred fighting distance
+  engagement_zone: { type: 'string' }
+};
+
+const WEAPON_SCHEMA = {
+  id: { type: 'id', required: true },                      // Also the progression unlock item
+  name: { type: 'string', required: true },                // Shown in the kill feed and HUD
+  icon: { type: 'string', required: true },                // HUD weapon icon
+  slot: { type: 'enum', values: WEAPON_SLOTS, required: true },
+  type: { type: 'enum', values: Object.values(WEAPON_TYPES), default: WEAPON_TYPES.PROJECTILE },
+  color: { type: 'color' },                                // Default is the ship's projectileColor
+  cooldown: { type: 'number', min: 0 },                    // Seconds; default is the ship's fireRate (beams: overheat lockout)
+  speedMultiplier: { type: 'number', min: 0, default: 1 }, // Of the ship's projectile stats
+  damageMultiplier: { type: 'number', min: 0, default: 1 }, // Beams: per damage tick
+  lifetimeMultiplier: { type: 'number', min: 0, default: 1 },
+  splash: { type: 'boolean', default: false },             // Uses the ship's areaOfEffect
+  piercing: { type: 'boolean', default: false },           // Passes through the ships it hits
+  homingStrength: { type: 'number', min: 0, default: 0 },  // Turn acceleration, 0 = flies straight
+  explosionRadius: { type: 'number', min: 0, default: 0 }, // Explodes on impact instead of a direct hit
+  range: { type: 'number', min: 1 },                       // Beams: length
+  energyPerSecond: { type: 'number', min: 0, default: 0 }, // Beams: drain while firing
+  tickInterval: { type: 'number', min: 0.01, default: 0.1 } // Beams: seconds between damage ticks
+};
+
+const POWER_UP_SCHEMA = {
+  id: { type: 'id', required: true },
+  name: { type: 'string', required: true },
+  icon: { type: 'string', required: true },
+  pickupText: { type: 'string', required: true },
+  color: { type: 'color', required: true },
+  radius: { type: 'number', min: 1, required: true },
+  duration: { type: 'number', min: 0.1, required: true },  // Seconds
+  appliesTo: { type: 'list', values: WEAPON_SLOTS, required: true },
+
+  // Effects on the weapons in appliesTo
+  spread: { type: 'numbers' },                             // Angle offsets: one shot each
+  cooldownMultiplier: { type: 'number', min: 0.05, default: 1 },
+  damageMultiplier: { type: 'number', min: 0, default: 1 },
+  piercing: { type: 'boolean', default: false },
+  homingStrength: { type: 'number', min: 0, default: 0 }
+};
+
+class DefinitionError extends Error {
+  /**
+   * @param {string[]} errors - One line per problem, prefixed with file and field
+   */
+  constructor(errors, dataDir) {
+    super(`Invalid game definitions in ${dataDir}:\n  - ${errors.join('\n  - ')}`);
+    this.name = 'DefinitionError';
+    this.errors = errors;
+  }
+}
+
+function describe(value) {
+  return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+/**
+ * @returns {string|null} Why the value doesn't match the field spec
+ */
+function checkValue(value, spec) {
+  switch (spec.type) {
+    case 'string':
+      return typeof value === 'string' ? null : 'expected a string';
+    case 'id':
+      return typeof value === 'string' && ID_PATTERN.test(value)
+        ? null
+        : 'expected a lowercase id (letters, digits and dashes)';
+    case 'color':
+      return typeof value === 'string' && COLOR_PATTERN.test(value) ? null : 'expected a #rgb or #rrggbb color';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'expected true or false';
+    case 'enum':
+      return spec.values.includes(value) ? null : `expected one of ${spec.values.join(', ')}`;
+    case 'list':
+      return Array.isArray(value) && value.length > 0 && value.every(item => spec.values.includes(item))
+        ? null
+        : `expected a list of ${spec.values.join(', ')}`;
+    case 'numbers':
+      return Array.isArray(value) && value.length > 0 && value.every(Number.isFinite)
+        ? null
+        : 'expected a list of numbers';
+    case 'number':
+      if (!Number.isFinite(value)) return 'expected a number';
+      if (spec.min !== undefined && value < spec.min) return `expected a number >= ${spec.min}`;
+      if (spec.max !== undefined && value > spec.max) return `expected a number <= ${spec.max}`;
+      return null;
+    default:
+      return `unknown schema type ${spec.type}`;
+  }
+}
+
+/**
+ * Check one record against its schema
+ * @returns {Object} The record with defaults filled in
+ */
+function validateRecord(record, schema, where, errors) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    errors.push(`${where}: expected an object, got ${describe(record)}`);
+    return null;
+  }
+
+  const result = {};
+  Object.keys(record).forEach(field => {
+    if (!schema[field]) {
+      errors.push(`${where}.${field}: unknown field`);
+    }
+  });
+
+  Object.entries(schema).forEach(([field, spec]) => {
+    const value = record[field];
+    if (value === undefined) {
+      if (spec.required) {
+        errors.push(`${where}.${field}: required`);
+      } else if (spec.default !== undefined) {
+        result[field] = spec.default;
+      }
+      return;
+    }
+
+    const problem = checkValue(value, spec);
+    if (problem) {
+      errors.push(`${where}.${field}: ${problem}, got ${describe(value)}`);
+      return;
+    }
+    result[field] = value;
+  });
+  return result;
+}
+
+/**
+ * Validate a list of records with unique ids
+ * @returns {Object[]} Records that passed (the caller throws if errors were added)
+ */
+function validateList(list, schema, where, errors) {
+  if (!Array.isArray(list) || list.length === 0) {
+    errors.push(`${where}: expected a non-empty list`);
+    return [];
+  }
+
+  const seen = new Set();
+  const records = [];
+  list.forEach((record, index) => {
+    const label = record && typeof record.id === 'string' ? `${where}[${index}] (${record.id})` : `${where}[${index}]`;
+    const result = validateRecord(record, schema, label, errors);
+    if (!result) return;
+
+    if (seen.has(result.id)) {
+      errors.push(`${label}.id: duplicate id`);
+    }
+    seen.add(result.id);
+    records.push(result);
+  });
+  return records;
+}
+
+function readJson(dataDir, file, errors) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dataDir, file), 'utf8'));
+  } catch (error) {
+    errors.push(`${file}: ${error.code === 'ENOENT' ? 'file not found' : error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Read and validate every definition file
+ * @param {string} dataDir - Folder holding ships.json, weapons.json and powerups.json
+ * @returns {Object} { defaultShip, ships, weapons, powerUps } (lists in file order)
+ * @throws {DefinitionError} Listing every problem found
+ */
+function loadDefinitions(dataDir = DATA_DIR) {
+  const errors = [];
+  const shipFile = readJson(dataDir, 'ships.json', errors);
+  const weaponFile = readJson(dataDir, 'weapons.json', errors);
+  const powerUpFile = readJson(dataDir, 'powerups.json', errors);
+
+  const ships = validateList(shipFile.ships, SHIP_SCHEMA, 'ships.json ships', errors);
+  const weapons = validateList(weaponFile.weapons, WEAPON_SCHEMA, 'weapons.json weapons', errors);
+  const powerUps = validateList(powerUpFile.powerUps, POWER_UP_SCHEMA, 'powerups.json powerUps', errors);
+
+  weapons.forEach(weapon => {
+    if (weapon.type !== WEAPON_TYPES.BEAM) return;
+    if (weapon.slot !== 'secondary') {
+      errors.push(`weapons.json weapons (${weapon.id}).type: beams can only be secondary weapons`);
+    }
+    if (weapon.range === undefined) {
+      errors.push(`weapons.json weapons (${weapon.id}).range: required for beams`);
+    }
+  });
+
+  // Cross-references: a ship's weapons must exist and fit the slot they're mounted in
+  // (skipped when weapons.json itself is broken - every ship would be reported)
+  const weaponsById = new Map(weapons.map(weapon => [weapon.id, weapon]));
+  ships.forEach(ship => {
+    WEAPON_SLOTS.forEach(slot => {
+      const field = `${slot}Weapon`;
+      if (ship[field] === undefined || weapons.length === 0) return;
+
+      const weapon = weaponsById.get(ship[field]);
+      if (!weapon) {
+        errors.push(`ships.json ships (${ship.id}).${field}: no weapon "${ship[field]}" in weapons.json`);
+      } else if (weapon.slot !== slot) {
+        errors.push(`ships.json ships (${ship.id}).${field}: "${weapon.id}" is a ${weapon.slot} weapon`);
+      }
+    });
+  });
+
+  const defaultShip = shipFile.defaultShip;
+  if (ships.length > 0 && !ships.some(ship => ship.id === defaultShip)) {
+    errors.push(`ships.json defaultShip: no ship "${defaultShip}"`);
+  }
+
+  if (errors.length > 0) {
+    throw new DefinitionError(errors, dataDir);
+  }
+
+  return { defaultShip, ships, weapons, powerUps };
+}
+
+let definitions = null;
+
+/**
+ * The server's definitions, loaded from DATA_DIR on first use
+ */
+function getDefinitions() {
+  if (!definitions) {
+    definitions = loadDefinitions();
+  }
+  return definitions;
+}
+
+function getWeapon(id) {
+  return getDefinitions().weapons.find(weapon => weapon.id === id) || null;
+}
+
+function getPowerUp(id) {
+  return getDefinitions().powerUps.find(powerUp => powerUp.id === id) || null;
+}
+
+module.exports = {
+  DefinitionError,
+  WEAPON_SLOTS,
+  WEAPON_TYPES,
+  loadDefinitions,
+  getDefinitions,
+  getWeapon,
+  getPowerUp
+};
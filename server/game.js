@@ -1,18 +1,66 @@
 const Bot = require('./bot');
 const SpatialGrid = require('./spatial-grid');
-const { getShipConfig, getDefaultShip } = require('./ship-types');
+const PositionHistory = require('./position-history');
+const Random = require('./prng');
+const { ReplayRecorder } = require('./replay-recorder');
+const { getShipConfig, getDefaultShip, isValidShipType, COMBAT_CONFIG } = require('./ship-types');
+const { WEAPON_TYPES, getDefinitions, getWeapon, getPowerUp } = require('./definitions');
+const { HIT_TYPES, calculateHitDamage, calculateSplashDamage, calculateExplosionDamage } = require('./damage');
+const { Match, MATCH_PHASES } = require('./match');
+const { createGameMode } = require('./modes');
+const { getMap } = require('./maps');
+const { SnapshotEncoder } = require('./snapshot');
+const { WireEncoder, WIRE_FORMATS } = require('../shared/wire-codec');
+const ShipPhysics = require('../shared/ship-physics');
+
+const SHIP_CHANGE_COOLDOWN = 10; // seconds between mid-match hull swaps
+const MAX_STEPS_PER_TICK = 5;    // Catch-up limit after a stall (excess time is dropped)
+const MAX_QUEUED_INPUTS = 30;    // Per player, applied at the start of the next step
+const COLLECTIBLE_RESPAWN_DELAY = 15; // seconds
+
+// Interest management: each client only gets entities around its camera
+const INTEREST_COLLECTIONS = ['players', 'bots', 'projectiles', 'collectibles', 'asteroids', 'explosions', 'floatingTexts'];
+const INTEREST_MARGIN = 300;      // World units past the camera edge that are still sent
+const INTEREST_HYSTERESIS = 150;  // Extra distance before a sent entity is dropped (no edge flicker)
+const DEFAULT_VIEWPORT = { width: 1920, height: 1080 };
+const MIN_VIEWPORT = { width: 640, height: 360 };
+const MAX_VIEWPORT = { width: 3840, height: 2160 };
+const RADAR_INTERVAL = 15; // Broadcasts between minimap updates (4Hz at 60Hz)
+const MAX_SPECTATORS = 10;  // Spectators get the whole (unculled) map, so keep it bounded
+
+// Lag compensation: hits are checked against where the shooter saw the target
+const MAX_REWIND_MS = 200;                // Cap so high ping can't hit around corners
+const DEFAULT_INTERPOLATION_DELAY_MS = 100; // Until the client reports its own
+const MAX_INTERPOLATION_DELAY_MS = 500;
 
 class Game {
-  constructor(id, io, tickRate = 60) {
+  constructor(id, io, tickRate = 60, options = {}) {
     this.id = id;
     this.io = io;
+    this.options = options;
     this.tickRate = tickRate;
     this.tickInterval = 1000 / tickRate;
     this.tickTimer = null;
     this.lastTickTime = Date.now();
 
+    // Fixed-step simulation: wall-clock time only feeds the accumulator,
+    // the world always advances in steps of exactly 1/tickRate
+    this.fixedDeltaTime = 1 / tickRate;
+    this.accumulator = 0;
+    this.tickCount = 0; // Simulation steps run so far
+
+    // Seeded PRNG + counter ids: same seed and inputs → same match
+    this.random = new Random(options.seed);
+    this.nextEntityId = 1;
+    this.pendingCollectibleSpawns = []; // Simulation times to respawn a collectible at
+
+    // Match recording (null = off); the recorder is created when the game starts
+    this.replayDir = options.replayDir || null;
+    this.replay = null;
+
     // Game state
     this.players = new Map(); // socketId -> player object
+    this.spectators = new Map(); // socketId -> spectator (broadcasts only, no ship)
     this.bots = new Map(); // botId -> bot object
     this.projectiles = [];
     this.asteroids = [];
@@ -21,11 +69,32 @@ class Game {
     this.explosions = []; // Visual explosion effects
     this.floatingTexts = []; // Damage numbers and pickup text
 
-    // Game config - Full HD resolution (not 4K)
-    this.worldSize = { width: 3000, height: 2000 };
+    // Game config - arena layout from the map (Full HD-sized world, not 4K)
+    this.map = getMap(options.map);
+    this.worldSize = { ...this.map.worldSize };
+    this.botDifficulty = options.botDifficulty; // Bot falls back to normal
     this.maxPlayers = 10;
     this.gameStartTime = null;
     this.isRunning = false;
+    this.simulationTime = 0; // Seconds of simulated (unfrozen) world time
+
+    // Match lifecycle (warmup → live → overtime → results → teardown)
+    this.match = new Match(options.match, {
+      onPhaseChange: (phase, previous) => this.handleMatchPhaseChange(phase, previous),
+      checkWinCondition: ranked => this.mode.checkWinCondition(ranked),
+      getScoreLimit: () => this.mode.getScoreLimit()
+    });
+    this.onTeardown = options.onTeardown || null;
+    this.onMatchResults = options.onMatchResults || null; // → Map playerId -> extra matchEnd fields
+
+    // Rules (scoring, teams, spawns, win condition) for the match's mode
+    this.mode = createGameMode(this, this.match.config);
+
+    // Per-socket RTT/jitter (shared tracker owned by the server)
+    this.latencyTracker = options.latencyTracker || null;
+
+    // Binary gameState/playerInput for clients that ask for it (off = JSON for everyone)
+    this.binaryWire = options.binaryWire !== false;
 
     // CRASH PREVENTION: Resource limits
     this.MAX_PROJECTILES = 100; // Prevent memory overflow (reduced for Full HD)
@@ -36,52 +105,59 @@ class Game {
     // PERFORMANCE: Spatial grid for collision detection (O(n²) → O(n))
     this.spatialGrid = new SpatialGrid(this.worldSize.width, this.worldSize.height, 200);
 
+    // PERFORMANCE: Coarser grid over the serialized state for per-client visibility
+    this.interestGrid = new SpatialGrid(this.worldSize.width, this.worldSize.height, 400);
+    this.broadcastCount = 0;
+
+    // Recent ship positions per tick for lag-compensated hit registration
+    this.positionHistory = new PositionHistory(Math.ceil(MAX_REWIND_MS / 1000 * this.tickRate) + 2);
+
     // Initialize game world
     this.initializeWorld();
   }
 
   initializeWorld() {
-    // Spawn asteroids (reduced for smaller Full HD map)
-    const asteroidCount = 30;
-    for (let i = 0; i < asteroidCount; i++) {
+    // Spawn asteroids (density and size come from the map)
+    const { min, max } = this.map.asteroidRadius;
+    for (let i = 0; i < this.map.asteroidCount; i++) {
       this.asteroids.push({
         id: `asteroid_${i}`,
-        x: Math.random() * this.worldSize.width,
-        y: Math.random() * this.worldSize.height,
-        radius: 20 + Math.random() * 40,
-        velocityX: (Math.random() - 0.5) * 100,
-        velocityY: (Math.random() - 0.5) * 100,
-        rotation: Math.random() * Math.PI * 2,
-        rotationSpeed: (Math.random() - 0.5) * 0.05
+        x: this.random.next() * this.worldSize.width,
+        y: this.random.next() * this.worldSize.height,
+        radius: min + this.random.next() * (max - min),
+        velocityX: (this.random.next() - 0.5) * 100,
+        velocityY: (this.random.next() - 0.5) * 100,
+        rotation: this.random.next() * Math.PI * 2,
+        rotationSpeed: (this.random.next() - 0.5) * 0.05
       });
     }
 
     // Spawn initial collectibles
-    this.spawnCollectibles(10);
+    this.spawnCollectibles(this.map.collectibleCount);
   }
 
   spawnCollectibles(count) {
-    // Collectible types - weapon upgrades
-    const types = [
-      { type: 'triple-shot', color: '#00ff00', radius: 15, effect: 'triple-shot', duration: 10 },
-      { type: 'rapid-fire', color: '#00ffff', radius: 15, effect: 'rapid-fire', duration: 8 },
-      { type: 'double-damage', color: '#ff0000', radius: 15, effect: 'double-damage', duration: 12 },
-      { type: 'piercing', color: '#ffff00', radius: 15, effect: 'piercing', duration: 10 },
-      { type: 'homing', color: '#ff00ff', radius: 15, effect: 'homing', duration: 8 }
-    ];
+    // Collectible types - weapon power-ups from shared/data/powerups.json
+    const types = getDefinitions().powerUps.map(powerUp => ({
+      type: powerUp.id,
+      color: powerUp.color,
+      radius: powerUp.radius,
+      effect: powerUp.id,
+      duration: powerUp.duration
+    }));
 
     const minDistance = 200; // Minimum distance between collectibles
 
     for (let i = 0; i < count; i++) {
-      const typeData = types[Math.floor(Math.random() * types.length)];
+      const typeData = this.random.pick(types);
 
       // Try to find a valid position (max 20 attempts)
       let x, y, validPosition;
       let attempts = 0;
 
       do {
-        x = Math.random() * this.worldSize.width;
-        y = Math.random() * this.worldSize.height;
+        x = this.random.next() * this.worldSize.width;
+        y = this.random.next() * this.worldSize.height;
         validPosition = true;
 
         // Check distance to all existing collectibles
@@ -101,19 +177,36 @@ class Game {
 
       // Spawn collectible at found position
       this.collectibles.push({
-        id: `collectible_${Date.now()}_${i}`,
+        id: this.createId('collectible'),
         x: x,
         y: y,
         ...typeData,
-        spawnTime: Date.now()
+        spawnTime: this.simulationTime
       });
     }
   }
 
+  /**
+   * Unique entity id from the game's counter (deterministic, unlike timestamps)
+   */
+  createId(prefix) {
+    return `${prefix}_${this.nextEntityId++}`;
+  }
+
   start() {
     this.isRunning = true;
     this.gameStartTime = Date.now();
     this.lastTickTime = Date.now();
+    this.accumulator = 0;
+
+    if (this.replayDir) {
+      this.replay = new ReplayRecorder(this.replayDir, {
+        gameId: this.id,
+        seed: this.random.seed,
+        tickRate: this.tickRate,
+        worldSize: this.worldSize
+      });
+    }
 
     // Start game loop
     this.tickTimer = setInterval(() => this.tick(), this.tickInterval);
@@ -127,25 +220,74 @@ class Game {
       clearInterval(this.tickTimer);
       this.tickTimer = null;
     }
+    if (this.replay) {
+      this.replay.close(this.tickCount);
+      this.replay = null;
+    }
     console.log(`Game ${this.id} stopped`);
   }
 
+  /**
+   * Timer callback: bank the elapsed wall-clock time and run as many
+   * fixed steps as it covers
+   */
   tick() {
-    // CRASH PREVENTION: Wrap entire tick in try-catch
+    if (!this.isRunning) return;
+
+    const now = Date.now();
+    const elapsed = (now - this.lastTickTime) / 1000; // Convert to seconds
+    this.lastTickTime = now;
+
+    // CRASH PREVENTION: Clock jumped backwards or is garbage
+    if (!(elapsed >= 0)) {
+      console.warn(`[Game ${this.id}] Invalid elapsed time: ${elapsed}, ignoring`);
+      return;
+    }
+
+    this.accumulator += elapsed;
+
+    let steps = 0;
+    while (this.accumulator >= this.fixedDeltaTime && steps < MAX_STEPS_PER_TICK && this.isRunning) {
+      this.step();
+      this.accumulator -= this.fixedDeltaTime;
+      steps++;
+    }
+
+    // Stalled too long (debugger, GC pause) - drop the backlog instead of spiralling
+    if (this.accumulator >= this.fixedDeltaTime) {
+      console.warn(`[Game ${this.id}] Running behind, dropping ${(this.accumulator * 1000).toFixed(0)}ms`);
+      this.accumulator = 0;
+    }
+  }
+
+  /**
+   * Advance the simulation by exactly one fixed step
+   */
+  step() {
+    // CRASH PREVENTION: Wrap entire step in try-catch
     try {
       if (!this.isRunning) return;
 
-      const now = Date.now();
-      const deltaTime = (now - this.lastTickTime) / 1000; // Convert to seconds
+      const deltaTime = this.fixedDeltaTime;
+      this.tickCount++;
+
+      // Advance match lifecycle
+      this.updateMatch(deltaTime);
+      if (!this.isRunning) return; // Torn down this tick
 
-      // CRASH PREVENTION: Validate deltaTime
-      if (deltaTime > 1 || deltaTime < 0 || isNaN(deltaTime)) {
-        console.warn(`[Game ${this.id}] Invalid deltaTime: ${deltaTime}, skipping tick`);
-        this.lastTickTime = now;
+      // Results screen: world frozen, keep clients in sync
+      if (this.match.isFrozen()) {
+        this.broadcastGameState();
         return;
       }
 
-      this.lastTickTime = now;
+      this.simulationTime += deltaTime;
+
+      // Inputs received since the last step, in arrival order
+      this.applyQueuedInputs();
+
+      // Collectibles picked up earlier come back
+      this.updateCollectibleSpawns();
 
       // Update bots AI
       this.bots.forEach(bot => {
@@ -164,6 +306,7 @@ class Game {
         try {
           if (player && !player.isDead) {
             this.updatePlayerPhysics(player, deltaTime);
+            player.inputTicks++; // Ticks the latest input has been applied for
           }
         } catch (err) {
           console.error(`[Game ${this.id}] Player physics error:`, err.message);
@@ -177,7 +320,7 @@ class Game {
         try {
           if (bot && !bot.isDead) {
             // DEBUG: Log first bot's inputs every 60 frames (once per second at 60fps)
-            if (botDebugCount === 0 && this.lastTickTime % 1000 < 20) {
+            if (botDebugCount === 0 && this.tickCount % this.tickRate === 0) {
               console.log(`[DEBUG] Bot ${bot.id.substring(0,8)} inputs: fwd=${bot.inputs?.forward}, left=${bot.inputs?.left}, right=${bot.inputs?.right}, vel=${Math.sqrt(bot.velocityX**2 + bot.velocityY**2).toFixed(1)}`);
             }
             this.updatePlayerPhysics(bot, deltaTime);
@@ -214,11 +357,16 @@ class Game {
       // Update floating texts
       this.updateFloatingTexts(deltaTime);
 
-      // Check collisions
-      this.checkCollisions();
+      // Remember where everyone is for lag compensation, then check collisions
+      this.positionHistory.record(this.simulationTime, [...this.players.values(), ...this.bots.values()]);
+      this.checkCollisions(deltaTime);
+      this.updateBeams(deltaTime);
+
+      // Mode rules that react to where ships ended up (e.g. flag pickups)
+      this.mode.onTick(deltaTime);
 
       // Clean up dead entities
-      this.cleanupDeadEntities();
+      this.cleanupDeadEntities(deltaTime);
 
       // Broadcast game state to all players
       this.broadcastGameState();
@@ -230,7 +378,7 @@ class Game {
       }
 
     } catch (err) {
-      console.error(`[Game ${this.id}] Critical tick error:`, err);
+      console.error(`[Game ${this.id}] Critical step error:`, err);
       this.errorCount++;
 
       // Emergency shutdown if critical error
@@ -241,80 +389,134 @@ class Game {
     }
   }
 
-  updatePlayerPhysics(entity, deltaTime) {
-    // Calculate acceleration based on WASD inputs (ship-specific)
-    let ax = 0;
-    let ay = 0;
-    const accelForce = entity.acceleration || 500; // Increased for responsive controls
-    const drag = 0.98; // Drag coefficient (per-second basis)
-
-    if (entity.inputs) {
-      if (entity.inputs.forward) {
-        ax += Math.cos(entity.rotation) * accelForce;
-        ay += Math.sin(entity.rotation) * accelForce;
-      }
-      if (entity.inputs.backward) {
-        ax -= Math.cos(entity.rotation) * accelForce * 0.5;
-        ay -= Math.sin(entity.rotation) * accelForce * 0.5;
-      }
-      if (entity.inputs.left) {
-        ax -= Math.cos(entity.rotation + Math.PI / 2) * accelForce * 0.7;
-        ay -= Math.sin(entity.rotation + Math.PI / 2) * accelForce * 0.7;
-      }
-      if (entity.inputs.right) {
-        ax += Math.cos(entity.rotation + Math.PI / 2) * accelForce * 0.7;
-        ay += Math.sin(entity.rotation + Math.PI / 2) * accelForce * 0.7;
-      }
-      if (entity.inputs.brake) {
-        // Strong braking
-        const brakePower = 0.85;
-        entity.velocityX *= Math.pow(brakePower, deltaTime * 60);
-        entity.velocityY *= Math.pow(brakePower, deltaTime * 60);
-      }
+  updateMatch(deltaTime) {
+    const allEntities = [...this.players.values(), ...this.bots.values()];
+
+    // Survival time counts towards match XP
+    if (this.match.isInPlay()) {
+      allEntities.forEach(entity => {
+        if (!entity.isDead) {
+          entity.timeAlive += deltaTime;
+        }
+      });
     }
 
-    // Apply acceleration
-    entity.velocityX += ax * deltaTime;
-    entity.velocityY += ay * deltaTime;
+    // The mode decides what is ranked (ships, or teams in team modes)
+    this.match.update(deltaTime, this.mode.getContenders());
+  }
 
-    // Apply drag (frame-rate independent)
-    const dragFactor = Math.pow(drag, deltaTime * 60);
-    entity.velocityX *= dragFactor;
-    entity.velocityY *= dragFactor;
+  handleMatchPhaseChange(phase, previous) {
+    console.log(`[Game ${this.id}] Match phase ${previous} -> ${phase}`);
 
-    // Limit max speed (ship-specific)
-    const maxSpeed = entity.maxSpeed || 300;
-    const speed = Math.sqrt(entity.velocityX ** 2 + entity.velocityY ** 2);
-    if (speed > maxSpeed) {
-      entity.velocityX = (entity.velocityX / speed) * maxSpeed;
-      entity.velocityY = (entity.velocityY / speed) * maxSpeed;
+    switch (phase) {
+      case MATCH_PHASES.LIVE:
+        // Warmup is practice - start everyone fresh
+        [...this.players.values(), ...this.bots.values()].forEach(entity => {
+          this.resetMatchStats(entity);
+          this.respawnPlayer(entity);
+        });
+        this.mode.onMatchStart();
+        this.projectiles = [];
+        break;
+      case MATCH_PHASES.RESULTS:
+        this.sendMatchResults();
+        break;
+      case MATCH_PHASES.TEARDOWN:
+        this.stop();
+        if (this.onTeardown) {
+          this.onTeardown(this);
+        }
+        break;
     }
 
-    // Update position
-    entity.x += entity.velocityX * deltaTime;
-    entity.y += entity.velocityY * deltaTime;
+    this.emitEvent('matchPhase', this.match.serialize());
+  }
 
-    // Boundary collision - bounce with damping to prevent getting stuck
-    const bounce = 0.5; // Bounce damping factor
-    const margin = 5; // Keep entities slightly away from exact edge
+  resetMatchStats(entity) {
+    entity.score = 0;
+    entity.kills = 0;
+    entity.deaths = 0;
+    entity.assists = 0;
+    entity.damageDealt = 0;
+    entity.timeAlive = 0;
+    entity.currentStreak = 0;
+    entity.highestKillStreak = 0;
+    entity.captures = 0;
+    entity.recentAttackers = new Map(); // attackerId -> simulation time of last hit
+  }
 
-    if (entity.x < margin) {
-      entity.x = margin;
-      entity.velocityX = Math.abs(entity.velocityX) * bounce; // Bounce back
-    }
-    if (entity.x > this.worldSize.width - margin) {
-      entity.x = this.worldSize.width - margin;
-      entity.velocityX = -Math.abs(entity.velocityX) * bounce; // Bounce back
-    }
-    if (entity.y < margin) {
-      entity.y = margin;
-      entity.velocityY = Math.abs(entity.velocityY) * bounce; // Bounce back
-    }
-    if (entity.y > this.worldSize.height - margin) {
-      entity.y = this.worldSize.height - margin;
-      entity.velocityY = -Math.abs(entity.velocityY) * bounce; // Bounce back
+  getMatchStats(entity) {
+    return {
+      kills: entity.kills,
+      deaths: entity.deaths,
+      assists: entity.assists,
+      damage: Math.round(entity.damageDealt),
+      survivalTime: Math.round(entity.timeAlive),
+      highestKillStreak: entity.highestKillStreak,
+      captures: entity.captures
+    };
+  }
+
+  /**
+   * Send each human their own matchEnd payload (shared results + personal stats)
+   */
+  sendMatchResults() {
+    const ranked = Match.rank([...this.players.values(), ...this.bots.values()]);
+    const winnerName = this.match.winnerId ? this.mode.getWinnerName(this.match.winnerId) : null;
+
+    const results = ranked.map((entity, index) => ({
+      id: entity.id,
+      name: entity.name,
+      isBot: !!entity.isBot,
+      shipType: entity.shipType,
+      team: entity.team,
+      score: entity.score,
+      placement: index + 1,
+      ...this.getMatchStats(entity)
+    }));
+    const teams = this.mode.getStandings();
+
+    // CRASH PREVENTION: Progression/rating bookkeeping must not stop the results going out
+    let extras = new Map();
+    if (this.onMatchResults) {
+      try {
+        extras = this.onMatchResults(this, { results: results, teams: teams, isDraw: this.match.isDraw }) || extras;
+      } catch (error) {
+        console.error(`[Game ${this.id}] Match results handler failed:`, error);
+      }
     }
 
+    this.players.forEach(player => {
+      const won = this.mode.isWinner(player, this.match.winnerId);
+      const stats = this.getMatchStats(player);
+
+      player.socket.emit('matchEnd', {
+        gameId: this.id,
+        winnerId: this.match.winnerId,
+        winnerName: winnerName,
+        isDraw: this.match.isDraw,
+        duration: Math.round(this.match.liveElapsed),
+        won: won,
+        score: player.score,
+        placement: results.findIndex(r => r.id === player.id) + 1,
+        ...stats,
+        totalDamage: stats.damage,
+        xpEarned: Match.calculateXP(stats, won),
+        results: results,
+        teams: teams,
+        ...extras.get(player.id)
+      });
+    });
+  }
+
+  updatePlayerPhysics(entity, deltaTime) {
+    // Movement is shared with client-side prediction (shared/ship-physics.js).
+    // Modes can slow ships down, e.g. flag carriers (sent to the client as speedFactor).
+    const maxSpeed = entity.maxSpeed;
+    entity.maxSpeed = maxSpeed * this.mode.getSpeedFactor(entity);
+    ShipPhysics.step(entity, entity.inputs, deltaTime, this.worldSize);
+    entity.maxSpeed = maxSpeed;
+
     // Update weapon cooldowns
     if (entity.weaponCooldown > 0) {
       entity.weaponCooldown -= deltaTime;
@@ -322,6 +524,28 @@ class Game {
     if (entity.secondaryWeaponCooldown > 0) {
       entity.secondaryWeaponCooldown -= deltaTime;
     }
+    if (entity.shipChangeCooldown > 0) {
+      entity.shipChangeCooldown -= deltaTime;
+      // A change queued during the cooldown goes through as soon as it ends
+      if (entity.shipChangeCooldown <= 0 && entity.pendingShipType) {
+        this.swapShip(entity, getShipConfig(entity.pendingShipType));
+      }
+    }
+
+    this.updateShield(entity, deltaTime);
+  }
+
+  /**
+   * Shields recharge once the ship has gone SHIELD_REGEN_DELAY seconds without damage
+   */
+  updateShield(entity, deltaTime) {
+    if (entity.shieldRegenDelay > 0) {
+      entity.shieldRegenDelay -= deltaTime;
+      return;
+    }
+    if (entity.shield < entity.maxShield) {
+      entity.shield = Math.min(entity.maxShield, entity.shield + COMBAT_CONFIG.SHIELD_REGEN_RATE * deltaTime);
+    }
   }
 
   updateProjectiles(deltaTime) {
@@ -334,7 +558,7 @@ class Game {
         let nearestDistance = Infinity;
 
         allEntities.forEach(entity => {
-          if (entity.id !== projectile.ownerId && !entity.isDead) {
+          if (entity.id !== projectile.ownerId && !entity.isDead && !this.mode.isAlly(entity, projectile)) {
             const dx = entity.x - projectile.x;
             const dy = entity.y - projectile.y;
             const distance = Math.sqrt(dx * dx + dy * dy);
@@ -397,37 +621,45 @@ class Game {
   }
 
   updateExplosions(deltaTime) {
-    const now = Date.now();
     this.explosions = this.explosions.filter(explosion => {
-      const age = (now - explosion.createdAt) / 1000; // Convert to seconds
+      const age = this.simulationTime - explosion.createdAt;
       return age < explosion.lifetime;
     });
   }
 
   updateFloatingTexts(deltaTime) {
-    const now = Date.now();
     this.floatingTexts = this.floatingTexts.filter(text => {
-      const age = (now - text.createdAt) / 1000; // Convert to seconds
+      const age = this.simulationTime - text.createdAt;
       return age < text.lifetime;
     });
   }
 
+  updateCollectibleSpawns() {
+    this.pendingCollectibleSpawns = this.pendingCollectibleSpawns.filter(spawnAt => {
+      if (this.simulationTime < spawnAt) return true;
+      if (this.collectibles.length < 15) {
+        this.spawnCollectibles(1);
+      }
+      return false;
+    });
+  }
+
   spawnFloatingText(x, y, text, color = '#ffffff', type = 'damage') {
     const floatingText = {
-      id: `text_${Date.now()}_${Math.random()}`,
+      id: this.createId('text'),
       x: x,
       y: y,
       text: text,
       color: color,
       type: type,
-      createdAt: Date.now(),
+      createdAt: this.simulationTime,
       lifetime: 1.5 // 1.5 seconds
     };
     this.floatingTexts.push(floatingText);
     console.log('[FloatingText] Created:', text, 'at', x.toFixed(0), y.toFixed(0), 'total:', this.floatingTexts.length);
   }
 
-  checkCollisions() {
+  checkCollisions(deltaTime) {
     // PERFORMANCE OPTIMIZATION: Use spatial grid to reduce O(n²) to O(n)
     //
     // OLD: 10 players × 100 projectiles = 1000 checks per frame
@@ -446,33 +678,43 @@ class Game {
 
       // Player/Bot vs Projectile collisions (using spatial grid)
       this.projectiles.forEach(projectile => {
-        // Only check entities near the projectile (3x3 grid area)
+        // Only check entities near the projectile (3x3 grid area).
+        // Rewound positions stay well within the neighbouring cells (maxSpeed × 200ms).
         const nearbyEntities = this.spatialGrid.getNearby(projectile);
+        const rewindTime = this.simulationTime - this.getRewindTime(projectile.ownerId);
 
         let projectileHit = false;
 
         nearbyEntities.forEach(entity => {
+          // A spent projectile can't also hit the ship next to its target (splash covers that)
+          if (projectileHit && !projectile.isPiercing) return;
+
           // Skip if not a player/bot or is the owner
           if (!entity.health || entity.id === projectile.ownerId || entity.isDead) {
             return;
           }
 
-          const dx = entity.x - projectile.x;
-          const dy = entity.y - projectile.y;
+          // Mode rules can let shots pass through (e.g. teammates with friendly fire off)
+          if (!this.mode.canDamage(projectile, entity)) return;
+
+          // Target as the shooter saw it (current position for bots / no history)
+          const position = this.positionHistory.getPosition(entity.id, rewindTime) || entity;
+          const dx = position.x - projectile.x;
+          const dy = position.y - projectile.y;
           const distance = Math.sqrt(dx * dx + dy * dy);
 
-          if (distance < 20) { // Hit detection radius
+          // Bigger shells connect from further out
+          if (distance < COMBAT_CONFIG.HIT_RADIUS + projectile.size) {
             projectileHit = true;
 
-            // For secondary projectiles, deal AoE damage
-            if (projectile.isSecondary) {
+            // Explosive weapons (homing missile) deal AoE damage instead
+            if (projectile.explosionRadius > 0) {
               // Mark for explosion
               projectile.shouldExplode = true;
               projectile.lifetime = 0;
             } else {
-              // Normal projectile - single target damage
-              const damage = projectile.damage;
-              entity.health -= damage;
+              // Normal projectile - crit roll and falloff (see damage.js)
+              const hit = calculateHitDamage(projectile, distance, this.random);
 
               // Piercing projectiles don't get destroyed on hit
               if (!projectile.isPiercing) {
@@ -480,69 +722,44 @@ class Game {
               }
 
               // Spawn damage text
-              this.spawnFloatingText(entity.x, entity.y - 20, `-${Math.round(damage)}`, '#ff4444', 'damage');
+              const critical = hit.type === HIT_TYPES.CRITICAL;
+              this.spawnFloatingText(entity.x, entity.y - 20, `-${hit.damage}${critical ? '!' : ''}`, critical ? '#ffdd00' : '#ff4444', 'damage');
 
-              if (entity.health <= 0) {
-                entity.isDead = true;
-                entity.health = 0;
-
-                // Award kill to shooter
-                const shooter = this.players.get(projectile.ownerId) || this.bots.get(projectile.ownerId);
-                if (shooter) {
-                  shooter.kills++;
-                  shooter.score += 100;
-                }
-
-                entity.deaths++;
-              }
+              this.applyDamage(entity, hit.damage, projectile.ownerId, { weapon: projectile.weapon, hitType: hit.type });
+              this.applySplash(projectile, entity, allEntities);
             }
           }
         });
 
-        // Handle secondary projectile explosion
+        // Handle explosive projectile explosion
         if (projectile.shouldExplode) {
-          const explosionRadius = 150;
+          const explosionRadius = projectile.explosionRadius;
 
           // Create explosion visual effect
           this.explosions.push({
-            id: `explosion_${Date.now()}_${Math.random()}`,
+            id: this.createId('explosion'),
             x: projectile.x,
             y: projectile.y,
             radius: explosionRadius,
-            createdAt: Date.now(),
+            createdAt: this.simulationTime,
             lifetime: 0.5 // Half second visual
           });
 
           allEntities.forEach(entity => {
             if (entity.id === projectile.ownerId || entity.isDead) return;
+            if (!this.mode.canDamage(projectile, entity)) return;
 
             const dx = entity.x - projectile.x;
             const dy = entity.y - projectile.y;
             const distance = Math.sqrt(dx * dx + dy * dy);
 
             if (distance < explosionRadius) {
-              // Falloff damage based on distance
-              const damageFalloff = 1 - (distance / explosionRadius);
-              const explosionDamage = projectile.damage * damageFalloff;
-
-              entity.health -= explosionDamage;
+              const explosionDamage = calculateExplosionDamage(projectile.damage, distance, explosionRadius);
 
               // Spawn explosion damage text
               this.spawnFloatingText(entity.x, entity.y - 20, `-${Math.round(explosionDamage)}`, '#ff8800', 'explosion');
 
-              if (entity.health <= 0) {
-                entity.isDead = true;
-                entity.health = 0;
-
-                // Award kill to shooter
-                const shooter = this.players.get(projectile.ownerId) || this.bots.get(projectile.ownerId);
-                if (shooter) {
-                  shooter.kills++;
-                  shooter.score += 100;
-                }
-
-                entity.deaths++;
-              }
+              this.applyDamage(entity, explosionDamage, projectile.ownerId, { weapon: projectile.weapon, hitType: HIT_TYPES.SPLASH });
             }
           });
         }
@@ -559,7 +776,7 @@ class Game {
 
         // Decrease cooldown
         if (entity.asteroidCollisionCooldown > 0) {
-          entity.asteroidCollisionCooldown -= 1 / this.tickRate;
+          entity.asteroidCollisionCooldown -= deltaTime;
         }
 
         // Only check asteroids near the entity
@@ -577,19 +794,13 @@ class Game {
             // Push entity away from asteroid
             const pushForce = 200;
             const angle = Math.atan2(dy, dx);
-            entity.velocityX += Math.cos(angle) * pushForce * (1 / this.tickRate);
-            entity.velocityY += Math.sin(angle) * pushForce * (1 / this.tickRate);
+            entity.velocityX += Math.cos(angle) * pushForce * deltaTime;
+            entity.velocityY += Math.sin(angle) * pushForce * deltaTime;
 
             // Damage from asteroid collision (with cooldown to prevent constant damage)
             if (entity.asteroidCollisionCooldown <= 0) {
-              entity.health -= 5;
               entity.asteroidCollisionCooldown = 0.5; // Half second cooldown
-
-              if (entity.health <= 0) {
-                entity.isDead = true;
-                entity.health = 0;
-                entity.deaths++;
-              }
+              this.applyDamage(entity, 5, null, { weapon: 'Asteroid' });
             }
           }
         });
@@ -619,14 +830,137 @@ class Game {
     }
   }
 
-  cleanupDeadEntities() {
-    // Respawn dead players after delay
-    const respawnDelay = 3; // seconds
+  /**
+   * Splash around a direct hit from a ship with areaOfEffect (Cruiser);
+   * the directly hit target only takes the hit itself
+   */
+  applySplash(projectile, target, entities) {
+    if (!projectile.areaOfEffect) return;
+
+    entities.forEach(entity => {
+      if (entity === target || entity.id === projectile.ownerId || entity.isDead) return;
+      if (!this.mode.canDamage(projectile, entity)) return;
+
+      const dx = entity.x - projectile.x;
+      const dy = entity.y - projectile.y;
+      const damage = calculateSplashDamage(projectile, Math.sqrt(dx * dx + dy * dy));
+      if (damage <= 0) return;
+
+      this.spawnFloatingText(entity.x, entity.y - 20, `-${damage}`, '#ff8800', 'damage');
+      this.applyDamage(entity, damage, projectile.ownerId, { weapon: projectile.weapon, hitType: HIT_TYPES.SPLASH });
+    });
+  }
 
+  /**
+   * How far back (seconds) to rewind targets for a projectile's owner:
+   * their round trip plus the client's interpolation delay, capped.
+   * Bots see the live world, so they get no rewind.
+   */
+  getRewindTime(ownerId) {
+    const owner = this.players.get(ownerId);
+    if (!owner) return 0;
+
+    const latency = this.latencyTracker ? this.latencyTracker.get(ownerId) : null;
+    const rewindMs = (latency ? latency.rtt : 0) + owner.interpolationDelay;
+    return Math.min(rewindMs, MAX_REWIND_MS) / 1000;
+  }
+
+  /**
+   * Apply damage to a ship and notify the room (damageDealt / playerKilled)
+   * attackerId is null for environmental damage such as asteroids
+   * hitType is one of HIT_TYPES (damage.js) for client feedback
+   */
+  applyDamage(target, damage, attackerId, { weapon = 'Blaster', hitType = HIT_TYPES.NORMAL } = {}) {
+    if (!target || target.isDead || damage <= 0) return;
+
+    const attacker = attackerId ? (this.players.get(attackerId) || this.bots.get(attackerId)) : null;
+    damage = this.mode.onDamage(target, damage, attacker);
+    if (damage <= 0) return;
+
+    // Shields soak up what they can; the rest goes to the hull
+    const shieldDamage = Math.min(target.shield || 0, damage);
+    target.shield -= shieldDamage;
+    target.shieldRegenDelay = COMBAT_CONFIG.SHIELD_REGEN_DELAY;
+    target.health -= damage - shieldDamage;
+    const targetDestroyed = target.health <= 0;
+
+    if (attacker && attacker !== target) {
+      attacker.damageDealt += damage;
+      target.recentAttackers.set(attacker.id, this.simulationTime);
+    }
+
+    this.emitEvent('damageDealt', {
+      attackerId: attackerId,
+      targetId: target.id,
+      damage: Math.round(damage),
+      shieldDamage: Math.round(shieldDamage),
+      hitType: hitType,
+      critical: hitType === HIT_TYPES.CRITICAL,
+      weapon: weapon,
+      x: target.x,
+      y: target.y,
+      targetDestroyed: targetDestroyed
+    });
+
+    if (targetDestroyed) {
+      this.killEntity(target, attackerId, weapon);
+    }
+  }
+
+  killEntity(victim, killerId, weapon) {
+    victim.isDead = true;
+    victim.health = 0;
+    victim.deaths++;
+
+    // Kill credit (none for environmental deaths or team kills)
+    const killer = killerId ? (this.players.get(killerId) || this.bots.get(killerId)) : null;
+    const teamKill = this.mode.isAlly(killer, victim);
+    const creditedKiller = killer && killer !== victim && !teamKill ? killer : null;
+    if (creditedKiller) {
+      creditedKiller.kills++;
+      creditedKiller.currentStreak++;
+      creditedKiller.highestKillStreak = Math.max(creditedKiller.highestKillStreak, creditedKiller.currentStreak);
+    }
+    victim.currentStreak = 0;
+
+    // Assist: damaged the victim in the last 10 seconds without landing the kill
+    const assistWindow = 10; // seconds
+    const assisters = [];
+    victim.recentAttackers.forEach((lastHitTime, attackerId) => {
+      if (attackerId === killerId || this.simulationTime - lastHitTime > assistWindow) return;
+      const assister = this.players.get(attackerId) || this.bots.get(attackerId);
+      if (assister && !this.mode.isAlly(assister, victim)) {
+        assister.assists++;
+        assisters.push(assister);
+      }
+    });
+    victim.recentAttackers.clear();
+
+    // Score rewards and mode side effects (team totals, dropped flags)
+    this.mode.onKill(victim, creditedKiller, assisters);
+
+    this.emitEvent('playerKilled', {
+      killerId: killer ? killer.id : null,
+      killerName: killer ? killer.name : weapon,
+      victimId: victim.id,
+      victimName: victim.name,
+      weapon: weapon,
+      teamKill: teamKill,
+      x: victim.x,
+      y: victim.y
+    });
+  }
+
+  emitEvent(type, payload) {
+    this.io.to(this.id).emit(type, payload);
+  }
+
+  cleanupDeadEntities(deltaTime) {
+    // Respawn dead players after the mode's delay
     this.players.forEach(player => {
       if (player.isDead) {
-        player.respawnTimer = (player.respawnTimer || 0) + (1 / this.tickRate);
-        if (player.respawnTimer >= respawnDelay) {
+        player.respawnTimer = (player.respawnTimer || 0) + deltaTime;
+        if (player.respawnTimer >= this.mode.getRespawnDelay(player)) {
           this.respawnPlayer(player);
         }
       }
@@ -634,8 +968,8 @@ class Game {
 
     this.bots.forEach(bot => {
       if (bot.isDead) {
-        bot.respawnTimer = (bot.respawnTimer || 0) + (1 / this.tickRate);
-        if (bot.respawnTimer >= respawnDelay) {
+        bot.respawnTimer = (bot.respawnTimer || 0) + deltaTime;
+        if (bot.respawnTimer >= this.mode.getRespawnDelay(bot)) {
           this.respawnPlayer(bot);
         }
       }
@@ -643,87 +977,89 @@ class Game {
   }
 
   applyCollectibleEffect(entity, collectible) {
-    let pickupText = '';
-    let textColor = collectible.color;
+    const powerUp = getPowerUp(collectible.effect);
+    if (!powerUp) return;
 
-    // Initialize weapon upgrades object
+    // Picking up a power-up already held restarts its timer
     entity.weaponUpgrades = entity.weaponUpgrades || {};
-
-    switch (collectible.effect) {
-      case 'triple-shot':
-        entity.weaponUpgrades.tripleShot = {
-          active: true,
-          endTime: Date.now() + (collectible.duration * 1000)
-        };
-        pickupText = 'TRIPLE SHOT!';
-        break;
-      case 'rapid-fire':
-        entity.weaponUpgrades.rapidFire = {
-          active: true,
-          endTime: Date.now() + (collectible.duration * 1000)
-        };
-        pickupText = 'RAPID FIRE!';
-        break;
-      case 'double-damage':
-        entity.weaponUpgrades.doubleDamage = {
-          active: true,
-          endTime: Date.now() + (collectible.duration * 1000)
-        };
-        pickupText = 'DOUBLE DAMAGE!';
-        break;
-      case 'piercing':
-        entity.weaponUpgrades.piercing = {
-          active: true,
-          endTime: Date.now() + (collectible.duration * 1000)
-        };
-        pickupText = 'PIERCING SHOTS!';
-        break;
-      case 'homing':
-        entity.weaponUpgrades.homing = {
-          active: true,
-          endTime: Date.now() + (collectible.duration * 1000)
-        };
-        pickupText = 'HOMING MISSILES!';
-        break;
-    }
+    entity.weaponUpgrades[powerUp.id] = {
+      active: true,
+      endTime: this.simulationTime + collectible.duration
+    };
 
     // Spawn pickup text
-    this.spawnFloatingText(collectible.x, collectible.y - 30, pickupText, textColor, 'pickup');
+    this.spawnFloatingText(collectible.x, collectible.y - 30, powerUp.pickupText, collectible.color, 'pickup');
+
+    this.emitEvent('powerUpCollected', {
+      playerId: entity.id,
+      powerUpId: collectible.id,
+      type: collectible.type,
+      name: powerUp.name,
+      icon: powerUp.icon,
+      color: collectible.color,
+      duration: collectible.duration,
+      x: collectible.x,
+      y: collectible.y
+    });
 
     // Respawn collectible after delay
-    setTimeout(() => {
-      if (this.isRunning && this.collectibles.length < 15) {
-        this.spawnCollectibles(1);
-      }
-    }, 15000);
+    this.pendingCollectibleSpawns.push(this.simulationTime + COLLECTIBLE_RESPAWN_DELAY);
   }
 
   respawnPlayer(player) {
-    player.x = Math.random() * this.worldSize.width;
-    player.y = Math.random() * this.worldSize.height;
+    this.placeAtSpawnPoint(player);
     player.velocityX = 0;
     player.velocityY = 0;
-    player.rotation = Math.random() * Math.PI * 2;
+    player.rotation = this.random.next() * Math.PI * 2;
+
+    // Apply a ship change queued while dead or on cooldown
+    if (player.pendingShipType) {
+      this.changeShip(player, getShipConfig(player.pendingShipType));
+    }
+
     player.health = player.maxHealth || 100; // Use ship-specific health
+    player.shield = player.maxShield;
+    player.shieldRegenDelay = 0;
+    player.energy = player.maxEnergy;
+    player.beamActive = false;
     player.isDead = false;
     player.respawnTimer = 0;
+
+    // Previous life's positions must not be hittable
+    this.positionHistory.forget(player.id);
+    this.mode.onSpawn(player);
+  }
+
+  placeAtSpawnPoint(entity) {
+    const spawn = this.mode.getSpawnPoint(entity);
+    entity.x = spawn.x;
+    entity.y = spawn.y;
   }
 
   addPlayer(socketId, socket, playerData) {
     // Get ship configuration (default to Gunship if not specified)
     const shipType = playerData.shipType || 'gunship';
     const shipConfig = getShipConfig(shipType);
+    const wireFormat = this.binaryWire && playerData.wireFormat === WIRE_FORMATS.BINARY
+      ? WIRE_FORMATS.BINARY
+      : WIRE_FORMATS.JSON;
 
     const player = {
       id: socketId,
       socket: socket,
       name: playerData.name || `Player${socketId.substring(0, 4)}`,
+      accountId: playerData.accountId || null, // Progression and rating owner (never sent to clients)
       isBot: false,
-      x: Math.random() * this.worldSize.width,
-      y: Math.random() * this.worldSize.height,
+      shipChangeCooldown: 0,
+      pendingShipType: null,
+      equippedSecondary: playerData.secondaryWeapon || null, // Loadout (null = the ship's own secondary)
+      lastInputSeq: 0,
+      inputTicks: 0,
+      x: 0, // Placed by the mode once the team is known
+      y: 0,
       velocityX: 0,
       velocityY: 0,
-      rotation: Math.random() * Math.PI * 2,
+      rotation: this.random.next() * Math.PI * 2,
       inputs: {
         forward: false,
         backward: false,
@@ -731,29 +1067,33 @@ class Game {
         right: false,
         brake: false
       },
-      // Ship-specific stats
-      shipType: shipConfig.id,
-      shipName: shipConfig.name,
-      maxSpeed: shipConfig.maxSpeed,
-      acceleration: shipConfig.acceleration,
-      rotationSpeed: shipConfig.rotationSpeed,
-      friction: shipConfig.friction,
-      fireRate: shipConfig.fireRate,
-      projectileSpeed: shipConfig.projectileSpeed,
-      projectileDamage: shipConfig.projectileDamage,
-      projectileLifetime: shipConfig.projectileLifetime,
-      size: shipConfig.size,
-      color: shipConfig.color,
-      shape: shipConfig.shape,
-      health: shipConfig.maxHealth,
-      maxHealth: shipConfig.maxHealth,
       isDead: false,
       score: 0,
       kills: 0,
       deaths: 0,
       weaponCooldown: 0,
-      secondaryWeaponCooldown: 0
+      secondaryWeaponCooldown: 0,
+      maxEnergy: COMBAT_CONFIG.MAX_ENERGY,
+      energy: COMBAT_CONFIG.MAX_ENERGY,
+      beamActive: false, // Beam secondary held down (see updateBeams)
+      beamTimer: 0,
+      beamLength: 0,
+      inputQueue: [], // Received inputs waiting for the next step
+      viewport: { ...DEFAULT_VIEWPORT }, // Camera size in world units (client-reported)
+      interpolationDelay: DEFAULT_INTERPOLATION_DELAY_MS, // How far behind the client renders others
+      visibleIds: new Set(), // Entities sent last broadcast (hysteresis)
+      snapshots: new SnapshotEncoder(), // Delta-compressed gameState per client
+      wireFormat: wireFormat,
+      wireEncoder: wireFormat === WIRE_FORMATS.BINARY ? new WireEncoder() : null
     };
+    this.applyShipConfig(player, shipConfig);
+    player.health = shipConfig.maxHealth;
+    player.shield = shipConfig.maxShield;
+    player.shieldRegenDelay = 0;
+    this.resetMatchStats(player);
+    this.mode.onJoin(player, playerData.team);
+    this.placeAtSpawnPoint(player);
+    this.mode.onSpawn(player);
 
     this.players.set(socketId, player);
 
@@ -763,23 +1103,221 @@ class Game {
       gameId: this.id,
       playerId: socketId,
       worldSize: this.worldSize,
+      shipConfig: shipConfig,
+      match: this.match.serialize(),
+      team: player.team,
+      wireFormat: wireFormat
+    });
+  }
+
+  /**
+   * Copy ship-specific stats onto a player entity
+   */
+  applyShipConfig(entity, shipConfig) {
+    entity.shipType = shipConfig.id;
+    entity.shipName = shipConfig.name;
+    entity.maxSpeed = shipConfig.maxSpeed;
+    entity.acceleration = shipConfig.acceleration;
+    entity.rotationSpeed = shipConfig.rotationSpeed;
+    entity.friction = shipConfig.friction;
+    entity.fireRate = shipConfig.fireRate;
+    entity.projectileSpeed = shipConfig.projectileSpeed;
+    entity.projectileDamage = shipConfig.projectileDamage;
+    entity.projectileLifetime = shipConfig.projectileLifetime;
+    entity.projectileSize = shipConfig.projectileSize;
+    entity.projectileColor = shipConfig.projectileColor;
+    entity.muzzleVelocityBonus = shipConfig.muzzleVelocityBonus;
+    entity.size = shipConfig.size;
+    entity.color = shipConfig.color;
+    entity.shape = shipConfig.shape;
+    entity.maxHealth = shipConfig.maxHealth;
+    entity.maxShield = shipConfig.maxShield;
+    entity.criticalChance = shipConfig.criticalChance || 0;
+    entity.areaOfEffect = shipConfig.areaOfEffect || 0;
+    entity.primaryWeapon = shipConfig.primaryWeapon;
+    entity.secondaryWeapon = entity.equippedSecondary || shipConfig.secondaryWeapon;
+  }
+
+  /**
+   * Swap a player's secondary weapon loadout (already checked against their unlocks)
+   * @param {string|null} weaponId - null goes back to the ship's own secondary
+   */
+  handleEquipSecondary(socketId, weaponId) {
+    const player = this.players.get(socketId);
+    if (!player) return;
+
+    player.equippedSecondary = weaponId;
+    player.secondaryWeapon = weaponId || getShipConfig(player.shipType).secondaryWeapon;
+    player.beamActive = false;
+
+    // The new weapon starts on its cooldown, so swapping can't skip one
+    this.startSecondaryCooldown(player);
+  }
+
+  /**
+   * Put a player's secondary weapon on its cooldown and tell their HUD
+   */
+  startSecondaryCooldown(player) {
+    player.secondaryWeaponCooldown = this.getWeaponCooldown(player, 'secondary');
+    player.socket.emit('weaponCooldown', {
+      slot: 'secondary',
+      weaponId: player.secondaryWeapon,
+      cooldown: player.secondaryWeaponCooldown
+    });
+  }
+
+  /**
+   * Mid-match ship change requested by a client (keys 1/2/3)
+   * Applied immediately when alive and off cooldown, otherwise queued until the
+   * cooldown ends (or the next respawn when dead)
+   */
+  handleChangeShip(socketId, shipType) {
+    const player = this.players.get(socketId);
+    if (!player || this.match.isFrozen()) return;
+
+    if (!isValidShipType(shipType)) {
+      player.socket.emit('shipChangeRejected', { shipType: shipType, reason: 'Unknown ship type' });
+      return;
+    }
+
+    const shipConfig = getShipConfig(shipType);
+    if (shipConfig.id === player.shipType) {
+      player.pendingShipType = null; // Changed their mind before respawn
+      return;
+    }
+
+    if (player.isDead || player.shipChangeCooldown > 0) {
+      player.pendingShipType = shipConfig.id;
+      player.socket.emit('shipChangeQueued', {
+        shipType: shipConfig.id,
+        shipName: shipConfig.name,
+        cooldown: player.isDead ? 0 : Math.max(0, player.shipChangeCooldown) // 0: on respawn
+      });
+      return;
+    }
+
+    this.swapShip(player, shipConfig);
+  }
+
+  /**
+   * Change a living ship's hull, keeping the health and shield ratios so
+   * swapping hulls can't be used to heal
+   */
+  swapShip(player, shipConfig) {
+    const healthRatio = player.health / player.maxHealth;
+    const shieldRatio = player.maxShield ? player.shield / player.maxShield : 1;
+    this.changeShip(player, shipConfig);
+    player.health = Math.max(1, Math.round(player.maxHealth * healthRatio));
+    player.shield = player.maxShield * shieldRatio;
+  }
+
+  changeShip(player, shipConfig) {
+    this.applyShipConfig(player, shipConfig);
+    player.pendingShipType = null;
+    player.shipChangeCooldown = SHIP_CHANGE_COOLDOWN;
+
+    this.emitEvent('shipChanged', {
+      playerId: player.id,
+      shipType: shipConfig.id,
+      shipName: shipConfig.name,
       shipConfig: shipConfig
     });
   }
 
-  addBot() {
-    const botId = `bot_${Date.now()}_${Math.random().toString(36).substring(7)}`;
+  /**
+   * @param {string} [team] - Team modes: side to join (smallest team if omitted)
+   */
+  addBot(team) {
+    const botId = this.createId('bot');
     const bot = new Bot(botId, {
-      x: Math.random() * this.worldSize.width,
-      y: Math.random() * this.worldSize.height,
-      rotation: Math.random() * Math.PI * 2
-    });
+      x: 0, // Placed by the mode once the team is known
+      y: 0,
+      rotation: this.random.next() * Math.PI * 2
+    }, this.random, this.botDifficulty);
+
+    this.resetMatchStats(bot);
+    this.mode.onJoin(bot, team);
+    this.placeAtSpawnPoint(bot);
+    this.mode.onSpawn(bot);
 
     this.bots.set(botId, bot);
   }
 
+  removeBot(botId) {
+    const bot = this.bots.get(botId);
+    if (bot) {
+      this.mode.onLeave(bot);
+    }
+    this.bots.delete(botId);
+    this.positionHistory.forget(botId);
+  }
+
+  /**
+   * Free a ship slot for a player joining mid-match by retiring a bot
+   * @returns {boolean} False when the game is full of humans
+   */
+  makeRoomForPlayer() {
+    if (this.players.size + this.bots.size < this.maxPlayers) return true;
+
+    const bot = this.mode.pickBotToReplace();
+    if (!bot) return false;
+
+    this.removeBot(bot.id);
+    console.log(`[Game ${this.id}] ${bot.name} left to make room for a player`);
+    return true;
+  }
+
   removePlayer(socketId) {
+    const player = this.players.get(socketId);
+    if (player) {
+      this.mode.onLeave(player);
+    }
     this.players.delete(socketId);
+    this.positionHistory.forget(socketId);
+  }
+
+  /**
+   * Subscribe a socket to this game's broadcasts without a ship. Spectators
+   * fly a free camera, so they get the whole map instead of a culled view.
+   * @returns {boolean} False when the spectator slots are full
+   */
+  addSpectator(socketId, socket, options = {}) {
+    if (this.spectators.size >= MAX_SPECTATORS) return false;
+
+    const wireFormat = this.binaryWire && options.wireFormat === WIRE_FORMATS.BINARY
+      ? WIRE_FORMATS.BINARY
+      : WIRE_FORMATS.JSON;
+
+    this.spectators.set(socketId, {
+      id: socketId,
+      socket: socket,
+      snapshots: new SnapshotEncoder(),
+      wireFormat: wireFormat,
+      wireEncoder: wireFormat === WIRE_FORMATS.BINARY ? new WireEncoder() : null
+    });
+
+    socket.join(this.id); // Room events (kills, chat, match phases)
+    socket.emit('spectateJoined', {
+      gameId: this.id,
+      worldSize: this.worldSize,
+      match: this.match.serialize(),
+      wireFormat: wireFormat
+    });
+
+    console.log(`[Game ${this.id}] Spectator ${socketId} joined (${this.spectators.size} watching)`);
+    return true;
+  }
+
+  removeSpectator(socketId) {
+    const spectator = this.spectators.get(socketId);
+    if (!spectator) return;
+
+    spectator.socket.leave(this.id);
+    this.spectators.delete(socketId);
+  }
+
+  hasSpectator(socketId) {
+    return this.spectators.has(socketId);
   }
 
   hasPlayer(socketId) {
@@ -790,9 +1328,85 @@ class Game {
     return this.players.size;
   }
 
+  /**
+   * Server browser entry (GET /rooms, roomList)
+   */
+  getRoomInfo() {
+    const pings = [];
+    if (this.latencyTracker) {
+      this.players.forEach((player, socketId) => {
+        const latency = this.latencyTracker.get(socketId);
+        if (latency) pings.push(latency.rtt);
+      });
+    }
+
+    return {
+      id: this.id,
+      mode: this.match.config.mode,
+      map: this.map.id,
+      mapName: this.map.name,
+      phase: this.match.phase,
+      timeRemaining: Math.ceil(this.match.getTimeRemaining()),
+      humans: this.players.size,
+      bots: this.bots.size,
+      maxPlayers: this.maxPlayers,
+      spectators: this.spectators.size,
+      averagePing: pings.length > 0
+        ? Math.round(pings.reduce((sum, rtt) => sum + rtt, 0) / pings.length)
+        : null,
+      joinable: this.canJoinInProgress()
+    };
+  }
+
+  /**
+   * Open to players mid-match: still running, results not in, and a ship
+   * slot free or a bot that can give up its place
+   */
+  canJoinInProgress() {
+    return this.isRunning && !this.match.isFrozen() && this.players.size < this.maxPlayers;
+  }
+
+  /**
+   * Queue a client input; it is applied at the start of the next simulation
+   * step so the outcome doesn't depend on when between steps it arrived
+   */
   handlePlayerInput(socketId, input) {
     const player = this.players.get(socketId);
-    if (!player || player.isDead) return;
+    if (!player || !input || this.match.isFrozen()) return;
+
+    player.inputQueue.push(input);
+    if (player.inputQueue.length > MAX_QUEUED_INPUTS) {
+      player.inputQueue.shift(); // Flooding client - keep the newest
+    }
+  }
+
+  applyQueuedInputs() {
+    this.players.forEach(player => {
+      if (player.inputQueue.length === 0) return;
+
+      const queue = player.inputQueue;
+      player.inputQueue = [];
+      queue.forEach(input => {
+        try {
+          if (this.replay) this.replay.recordInput(player.id, input);
+          this.applyPlayerInput(player, input);
+        } catch (err) {
+          console.error(`[Game ${this.id}] Player input error:`, err.message);
+          this.errorCount++;
+        }
+      });
+    });
+  }
+
+  applyPlayerInput(player, input) {
+    if (player.isDead) return;
+
+    // Sequence number lets the client replay inputs the server hasn't applied yet
+    if (Number.isInteger(input.seq)) {
+      if (input.seq <= player.lastInputSeq) return; // Stale or duplicate
+      player.lastInputSeq = input.seq;
+      player.inputTicks = 0;
+    }
 
     // Store movement inputs for physics update
     player.inputs = {
@@ -805,7 +1419,7 @@ class Game {
 
     // DEBUG: Log strafe inputs when active
     if (input.left || input.right) {
-      console.log(`[DEBUG] Player ${socketId.substring(0,4)} strafe: left=${input.left}, right=${input.right}`);
+      console.log(`[DEBUG] Player ${player.id.substring(0,4)} strafe: left=${input.left}, right=${input.right}`);
     }
 
     // Update rotation from mouse angle
@@ -816,24 +1430,49 @@ class Game {
     // Handle primary shooting (ship-specific fire rate) - only if alive
     if (!player.isDead && input.fire && player.weaponCooldown <= 0) {
       this.spawnProjectile(player, false);
-
-      // Apply rapid fire upgrade
-      let fireRate = (player.fireRate || 300) / 1000; // Convert ms to seconds
-      const upgrades = player.weaponUpgrades || {};
-      if (upgrades.rapidFire?.active && Date.now() < upgrades.rapidFire.endTime) {
-        fireRate *= 0.5; // 50% faster firing
-      }
-
-      player.weaponCooldown = fireRate;
+      player.weaponCooldown = this.getWeaponCooldown(player, 'primary');
     }
 
-    // Handle secondary shooting (more powerful, slower cooldown) - only if alive
-    if (!player.isDead && input.secondaryFire && player.secondaryWeaponCooldown <= 0) {
+    // Handle secondary shooting (equipped secondary weapon, own cooldown) - only if alive.
+    // Beams fire every step while the button is held (updateBeams).
+    const secondary = getWeapon(player.secondaryWeapon);
+    player.beamActive = Boolean(input.secondaryFire && secondary && secondary.type === WEAPON_TYPES.BEAM);
+    if (!player.isDead && input.secondaryFire && !player.beamActive && player.secondaryWeaponCooldown <= 0) {
       this.spawnProjectile(player, true);
-      player.secondaryWeaponCooldown = 3.0; // 3 second cooldown
+      this.startSecondaryCooldown(player);
     }
   }
 
+  /**
+   * Combined effect of the owner's active power-ups on one weapon slot
+   * @returns {Object} { spread, cooldownMultiplier, damageMultiplier, piercing, homingStrength }
+   */
+  getPowerUpEffects(owner, slot) {
+    const effects = { spread: null, cooldownMultiplier: 1, damageMultiplier: 1, piercing: false, homingStrength: 0 };
+
+    Object.entries(owner.weaponUpgrades || {}).forEach(([id, upgrade]) => {
+      const powerUp = getPowerUp(id);
+      if (!powerUp || !upgrade.active || this.simulationTime >= upgrade.endTime) return;
+      if (!powerUp.appliesTo.includes(slot)) return;
+
+      effects.spread = powerUp.spread || effects.spread;
+      effects.cooldownMultiplier *= powerUp.cooldownMultiplier;
+      effects.damageMultiplier *= powerUp.damageMultiplier;
+      effects.piercing = effects.piercing || powerUp.piercing;
+      effects.homingStrength = Math.max(effects.homingStrength, powerUp.homingStrength);
+    });
+    return effects;
+  }
+
+  /**
+   * Seconds until the slot can fire again (the weapon's cooldown, or the ship's fire rate)
+   */
+  getWeaponCooldown(owner, slot) {
+    const weapon = getWeapon(slot === 'secondary' ? owner.secondaryWeapon : owner.primaryWeapon);
+    const cooldown = weapon && weapon.cooldown !== undefined ? weapon.cooldown : (owner.fireRate || 300) / 1000;
+    return cooldown * this.getPowerUpEffects(owner, slot).cooldownMultiplier;
+  }
+
   spawnProjectile(owner, isSecondary = false) {
     // CRASH PREVENTION: Limit total projectiles to prevent memory overflow
     if (this.projectiles.length >= this.MAX_PROJECTILES) {
@@ -841,70 +1480,148 @@ class Game {
       this.projectiles.shift(); // Remove oldest projectile
     }
 
-    // Use ship-specific projectile stats
-    let projectileSpeed = owner.projectileSpeed || 300;
-    let damage = owner.projectileDamage || 20;
-    let lifetime = owner.projectileLifetime || 2.0;
+    // The ship's weapon for the slot (weapons.json) scales its projectile stats
+    const slot = isSecondary ? 'secondary' : 'primary';
+    const weapon = getWeapon(isSecondary ? owner.secondaryWeapon : owner.primaryWeapon);
+    if (!weapon || weapon.type !== WEAPON_TYPES.PROJECTILE) {
+      console.warn(`[Game ${this.id}] ${owner.id} has no ${slot} projectile weapon`);
+      return;
+    }
+    const effects = this.getPowerUpEffects(owner, slot);
+
+    const projectileSpeed = (owner.projectileSpeed || 300) * weapon.speedMultiplier;
+    const damage = (owner.projectileDamage || 20) * weapon.damageMultiplier * effects.damageMultiplier;
+    const lifetime = (owner.projectileLifetime || 2.0) * weapon.lifetimeMultiplier;
+    const homingStrength = Math.max(weapon.homingStrength, effects.homingStrength);
     const spawnOffset = owner.size || 25;
+    const inherited = this.getMuzzleVelocity(owner);
+    // Damage pipeline inputs (damage.js): shooter's crit chance, splash and the muzzle for falloff
+    const damageStats = {
+      criticalChance: owner.criticalChance || 0,
+      areaOfEffect: weapon.splash ? (owner.areaOfEffect || 0) : 0
+    };
 
-    // Apply weapon upgrades
-    const upgrades = owner.weaponUpgrades || {};
-
-    // Double damage upgrade
-    if (upgrades.doubleDamage?.active && Date.now() < upgrades.doubleDamage.endTime) {
-      damage *= 2;
-    }
-
-    // Secondary weapon: slower, more powerful, homing
-    if (isSecondary) {
-      projectileSpeed *= 0.7; // 30% slower
-      damage *= 3; // 3x damage
-      lifetime *= 1.5; // Lasts longer
-    }
-    const isHoming = isSecondary; // Secondary weapon is always homing
-
-    // Triple shot upgrade - shoot 3 projectiles in a spread
-    if (!isSecondary && upgrades.tripleShot?.active && Date.now() < upgrades.tripleShot.endTime) {
-      const spreadAngles = [-0.2, 0, 0.2]; // 3 shots with spread
-      spreadAngles.forEach(angleOffset => {
-        const angle = owner.rotation + angleOffset;
-        this.projectiles.push({
-          id: `proj_${Date.now()}_${Math.random()}`,
-          ownerId: owner.id,
-          x: owner.x + Math.cos(angle) * spawnOffset,
-          y: owner.y + Math.sin(angle) * spawnOffset,
-          velocityX: Math.cos(angle) * projectileSpeed + owner.velocityX,
-          velocityY: Math.sin(angle) * projectileSpeed + owner.velocityY,
-          damage: damage,
-          lifetime: lifetime,
-          isSecondary: false,
-          isPiercing: upgrades.piercing?.active && Date.now() < upgrades.piercing.endTime
-        });
+    // A spread power-up (triple shot) fires one projectile per angle offset
+    const angleOffsets = effects.spread || [0];
+    angleOffsets.forEach(angleOffset => {
+      const angle = owner.rotation + angleOffset;
+      const x = owner.x + Math.cos(angle) * spawnOffset;
+      const y = owner.y + Math.sin(angle) * spawnOffset;
+      this.projectiles.push({
+        id: this.createId('proj'),
+        ownerId: owner.id,
+        team: owner.team, // Kept so friendly fire rules outlive the owner
+        x: x,
+        y: y,
+        originX: x,
+        originY: y,
+        ...damageStats,
+        velocityX: Math.cos(angle) * projectileSpeed + inherited.x,
+        velocityY: Math.sin(angle) * projectileSpeed + inherited.y,
+        size: owner.projectileSize || 0,
+        color: weapon.color || owner.projectileColor || null,
+        damage: damage,
+        lifetime: lifetime,
+        isSecondary: isSecondary,
+        isPiercing: weapon.piercing || effects.piercing,
+        isHoming: homingStrength > 0,
+        homingStrength: homingStrength, // Acceleration towards target
+        explosionRadius: weapon.explosionRadius,
+        weapon: weapon.name
       });
-      return; // Skip normal projectile spawn
-    }
-
-    const projectile = {
-      id: `proj_${Date.now()}_${Math.random()}`,
-      ownerId: owner.id,
-      x: owner.x + Math.cos(owner.rotation) * spawnOffset,
-      y: owner.y + Math.sin(owner.rotation) * spawnOffset,
-      velocityX: Math.cos(owner.rotation) * projectileSpeed + owner.velocityX,
-      velocityY: Math.sin(owner.rotation) * projectileSpeed + owner.velocityY,
-      damage: damage,
-      lifetime: lifetime,
-      isSecondary: isSecondary,
-      isPiercing: upgrades.piercing?.active && Date.now() < upgrades.piercing.endTime,
-      isHoming: isHoming,
-      homingStrength: 200 // Acceleration towards target
+    });
+  }
+
+  /**
+   * Held beam weapons (laser): while firing they drain energy and hit the
+   * first ship along the beam every tickInterval. Running dry overheats the
+   * beam for the weapon's cooldown; energy recharges whenever no beam is on.
+   */
+  updateBeams(deltaTime) {
+    this.players.forEach(player => {
+      const weapon = player.beamActive ? getWeapon(player.secondaryWeapon) : null;
+      const firing = weapon && !player.isDead && player.secondaryWeaponCooldown <= 0 && player.energy > 0;
+
+      if (!firing) {
+        player.beamLength = 0;
+        player.beamTimer = 0;
+        player.energy = Math.min(player.maxEnergy, player.energy + COMBAT_CONFIG.ENERGY_REGEN_RATE * deltaTime);
+        return;
+      }
+
+      player.energy = Math.max(0, player.energy - weapon.energyPerSecond * deltaTime);
+      const hit = this.traceBeam(player, weapon.range);
+      player.beamLength = hit ? hit.distance : weapon.range;
+
+      player.beamTimer += deltaTime;
+      if (player.beamTimer >= weapon.tickInterval) {
+        player.beamTimer -= weapon.tickInterval;
+        if (hit && hit.target) {
+          const effects = this.getPowerUpEffects(player, 'secondary');
+          const damage = (player.projectileDamage || 20) * weapon.damageMultiplier * effects.damageMultiplier;
+          this.applyDamage(hit.target, damage, player.id, { weapon: weapon.name });
+        }
+      }
+
+      if (player.energy <= 0) {
+        player.beamActive = false;
+        this.startSecondaryCooldown(player);
+      }
+    });
+  }
+
+  /**
+   * First ship or asteroid along the owner's aim, within range. Ships are
+   * rewound like projectile targets (lag compensation); asteroids block the beam.
+   * @returns {Object|null} { distance, target } (target null for an asteroid)
+   */
+  traceBeam(owner, range) {
+    const dirX = Math.cos(owner.rotation);
+    const dirY = Math.sin(owner.rotation);
+    const rewindTime = this.simulationTime - this.getRewindTime(owner.id);
+    const source = { ownerId: owner.id, team: owner.team };
+    let nearest = null;
+
+    const check = (x, y, radius, target) => {
+      const dx = x - owner.x;
+      const dy = y - owner.y;
+      const along = dx * dirX + dy * dirY;
+      const offsetSq = dx * dx + dy * dy - along * along;
+      if (along < 0 || offsetSq > radius * radius) return;
+
+      const distance = Math.max(0, along - Math.sqrt(radius * radius - offsetSq));
+      if (distance <= range && (!nearest || distance < nearest.distance)) {
+        nearest = { distance: distance, target: target };
+      }
     };
 
-    this.projectiles.push(projectile);
+    [...this.players.values(), ...this.bots.values()].forEach(entity => {
+      if (entity.id === owner.id || entity.isDead || !this.mode.canDamage(source, entity)) return;
+      const position = this.positionHistory.getPosition(entity.id, rewindTime) || entity;
+      check(position.x, position.y, COMBAT_CONFIG.HIT_RADIUS, entity);
+    });
+    this.asteroids.forEach(asteroid => check(asteroid.x, asteroid.y, asteroid.radius, null));
+
+    return nearest;
+  }
+
+  /**
+   * Share of the shooter's velocity a projectile inherits: the ship's
+   * velocity capped at its muzzleVelocityBonus (px/s)
+   */
+  getMuzzleVelocity(owner) {
+    const speed = Math.sqrt(owner.velocityX * owner.velocityX + owner.velocityY * owner.velocityY);
+    const bonus = owner.muzzleVelocityBonus || 0;
+    if (speed <= bonus) {
+      return { x: owner.velocityX, y: owner.velocityY };
+    }
+    return { x: owner.velocityX / speed * bonus, y: owner.velocityY / speed * bonus };
   }
 
   getGameState() {
-    return {
+    const state = {
       worldSize: this.worldSize,
+      match: this.match.serialize(),
       players: Array.from(this.players.values()).map(p => ({
         id: p.id,
         name: p.name,
@@ -913,15 +1630,27 @@ class Game {
         rotation: p.rotation,
         health: p.health,
         maxHealth: p.maxHealth,
+        shield: p.shield,
+        maxShield: p.maxShield,
         isDead: p.isDead,
         score: p.score,
         kills: p.kills,
         deaths: p.deaths,
         velocityX: p.velocityX,
         velocityY: p.velocityY,
+        inputSeq: p.lastInputSeq,
+        inputTicks: p.inputTicks,
+        speedFactor: this.mode.getSpeedFactor(p),
         shipType: p.shipType,
         color: p.color,
-        size: p.size
+        team: p.team,
+        teamColor: p.teamColor,
+        size: p.size,
+        energy: p.energy,
+        maxEnergy: p.maxEnergy,
+        secondaryWeapon: p.secondaryWeapon,
+        beamLength: p.beamLength, // Beam drawn along rotation while firing (0 = off)
+        ...this.getPlayerLatency(p.id)
       })),
       bots: Array.from(this.bots.values()).map(b => ({
         id: b.id,
@@ -931,6 +1660,8 @@ class Game {
         rotation: b.rotation,
         health: b.health,
         maxHealth: b.maxHealth,
+        shield: b.shield,
+        maxShield: b.maxShield,
         isDead: b.isDead,
         score: b.score,
         kills: b.kills,
@@ -939,6 +1670,8 @@ class Game {
         velocityY: b.velocityY,
         shipType: b.shipType,
         color: b.color,
+        team: b.team,
+        teamColor: b.teamColor,
         size: b.size,
         shape: b.shape,
         isBot: true
@@ -947,7 +1680,11 @@ class Game {
         id: p.id,
         x: p.x,
         y: p.y,
-        isSecondary: p.isSecondary
+        velocityX: p.velocityX,
+        velocityY: p.velocityY,
+        isSecondary: p.isSecondary,
+        size: p.size,
+        color: p.color
       })),
       collectibles: this.collectibles.map(c => ({
         id: c.id,
@@ -962,14 +1699,17 @@ class Game {
         x: a.x,
         y: a.y,
         radius: a.radius,
-        rotation: a.rotation
+        rotation: a.rotation,
+        velocityX: a.velocityX,
+        velocityY: a.velocityY,
+        angularVelocity: a.rotationSpeed * this.tickRate // rotationSpeed is per tick
       })),
       explosions: this.explosions.map(e => ({
         id: e.id,
         x: e.x,
         y: e.y,
         radius: e.radius,
-        age: (Date.now() - e.createdAt) / 1000
+        createdAt: e.createdAt // Constant, so it delta-compresses (the client derives the age)
       })),
       floatingTexts: this.floatingTexts.map(t => ({
         id: t.id,
@@ -982,11 +1722,162 @@ class Game {
         lifetime: t.lifetime
       }))
     };
+
+    // Mode state such as team scores and flags (not culled - every client sees it)
+    Object.assign(state, this.mode.serializeModeState());
+    return state;
+  }
+
+  getPlayerLatency(socketId) {
+    const latency = this.latencyTracker ? this.latencyTracker.get(socketId) : null;
+    return {
+      ping: latency ? latency.rtt : null,
+      jitter: latency ? latency.jitter : null
+    };
   }
 
+  /**
+   * Send each client a delta of what is near its camera, against the last
+   * snapshot it acknowledged. Everything else only shows up on the radar.
+   */
   broadcastGameState() {
     const state = this.getGameState();
-    this.io.to(this.id).emit('gameState', state);
+    this.buildInterestGrid(state);
+
+    this.players.forEach(player => {
+      const visibleState = this.getVisibleState(state, player);
+      this.sendSnapshot(player, visibleState);
+    });
+    this.spectators.forEach(spectator => this.sendSnapshot(spectator, state));
+
+    this.broadcastCount++;
+    if (this.broadcastCount % RADAR_INTERVAL === 0) {
+      this.broadcastRadar(state);
+    }
+
+    // Replays keep the whole map, not one client's view
+    if (this.replay) {
+      this.replay.recordTick(this.tickCount, this.simulationTime, state);
+    }
+  }
+
+  /**
+   * Delta-encode a state against the client's acked baseline and emit it
+   */
+  sendSnapshot(client, state) {
+    const message = client.snapshots.encode(state, this.simulationTime);
+    client.socket.emit('gameState', client.wireEncoder ? client.wireEncoder.encodeSnapshot(message) : message);
+  }
+
+  /**
+   * Bucket this tick's serialized entities for the per-client viewport queries
+   */
+  buildInterestGrid(state) {
+    this.interestGrid.clear();
+    INTEREST_COLLECTIONS.forEach(key => {
+      (state[key] || []).forEach(entity => {
+        this.interestGrid.insert({ x: entity.x, y: entity.y, key: key, entity: entity });
+      });
+    });
+  }
+
+  /**
+   * Filter the shared state down to one player's area of interest
+   */
+  getVisibleState(state, player) {
+    const halfWidth = player.viewport.width / 2 + INTEREST_MARGIN;
+    const halfHeight = player.viewport.height / 2 + INTEREST_MARGIN;
+    const keepWidth = halfWidth + INTEREST_HYSTERESIS;
+    const keepHeight = halfHeight + INTEREST_HYSTERESIS;
+
+    const visibleState = { ...state };
+    INTEREST_COLLECTIONS.forEach(key => {
+      visibleState[key] = [];
+    });
+
+    const visibleIds = new Set();
+    const candidates = this.interestGrid.queryRect(
+      player.x - keepWidth, player.y - keepHeight,
+      player.x + keepWidth, player.y + keepHeight
+    );
+
+    candidates.forEach(item => {
+      const dx = Math.abs(item.x - player.x);
+      const dy = Math.abs(item.y - player.y);
+      const inView = dx <= halfWidth && dy <= halfHeight;
+      const stillKept = dx <= keepWidth && dy <= keepHeight && player.visibleIds.has(item.entity.id);
+
+      if (inView || stillKept) {
+        visibleState[item.key].push(item.entity);
+        visibleIds.add(item.entity.id);
+      }
+    });
+
+    // Own ship is always sent (prediction, HUD), even when outside the grid bounds
+    if (!visibleIds.has(player.id)) {
+      const self = state.players.find(p => p.id === player.id);
+      if (self) visibleState.players.push(self);
+    }
+
+    player.visibleIds = visibleIds;
+    return visibleState;
+  }
+
+  /**
+   * Coarse minimap channel: every ship and asteroid as [x, y] blips
+   * (ships are [x, y, teamId] in team modes)
+   */
+  broadcastRadar(state) {
+    const ships = state.players.concat(state.bots)
+      .filter(ship => !ship.isDead)
+      .map(ship => {
+        const blip = [Math.round(ship.x), Math.round(ship.y)];
+        if (ship.team) blip.push(ship.team);
+        return { id: ship.id, blip: blip };
+      });
+    const asteroids = state.asteroids.map(a => [Math.round(a.x), Math.round(a.y), Math.round(a.radius)]);
+
+    this.players.forEach(player => {
+      player.socket.emit('radar', {
+        ships: ships.filter(ship => ship.id !== player.id).map(ship => ship.blip),
+        asteroids: asteroids
+      });
+    });
+
+    if (this.spectators.size > 0) {
+      const radar = { ships: ships.map(ship => ship.blip), asteroids: asteroids };
+      this.spectators.forEach(spectator => spectator.socket.emit('radar', radar));
+    }
+  }
+
+  /**
+   * Client view settings: camera size in world units (canvas size / zoom)
+   * and, optionally, how far behind the server it renders other entities
+   */
+  handleViewport(socketId, viewport) {
+    const player = this.players.get(socketId);
+    if (!player || !viewport) return;
+
+    const interpolationDelay = Number(viewport.interpolationDelay);
+    if (Number.isFinite(interpolationDelay)) {
+      player.interpolationDelay = Math.min(MAX_INTERPOLATION_DELAY_MS, Math.max(0, interpolationDelay));
+    }
+
+    const width = Number(viewport.width);
+    const height = Number(viewport.height);
+    if (!Number.isFinite(width) || !Number.isFinite(height)) return;
+
+    player.viewport = {
+      width: Math.min(MAX_VIEWPORT.width, Math.max(MIN_VIEWPORT.width, width)),
+      height: Math.min(MAX_VIEWPORT.height, Math.max(MIN_VIEWPORT.height, height))
+    };
+  }
+
+  handleSnapshotAck(socketId, seq) {
+    const client = this.players.get(socketId) || this.spectators.get(socketId);
+    if (client) {
+      client.snapshots.acknowledge(seq);
+    }
   }
 
   broadcastChatMessage(senderId, message) {
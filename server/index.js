@@ -2,11 +2,39 @@ const path = require('path');
 const express = require('express');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
+const { getDefinitions, DefinitionError } = require('./definitions');
+
+// Ships, weapons and power-ups (shared/data) are loaded before the game modules
+// that read them, so a broken data file is reported on its own instead of as a stack trace
+try {
+  getDefinitions();
+} catch (error) {
+  if (!(error instanceof DefinitionError)) throw error;
+  console.error(`[Definitions] ${error.message}`);
+  process.exit(1);
+}
+
 const Game = require('./game');
+const LatencyTracker = require('./latency-tracker');
+const { MATCH_MODES } = require('./match');
+const { isTeamMode } = require('./modes');
+const { TEAMS } = require('./teams');
+const { LobbyManager } = require('./lobby');
+const { BOT_DIFFICULTIES, DEFAULT_BOT_DIFFICULTY, getBotDifficultyForRating } = require('./bot');
+const { MemoryStore, JsonFileStore } = require('./store');
+const { RatingService } = require('./rating');
+const { AccountService } = require('./accounts');
+const { LeaderboardService, LEADERBOARD_BOARDS } = require('./leaderboards');
+const { getShipConfig, isValidShipType } = require('./ship-types');
+const { applyMatch, equipSecondary } = require('./progression');
+const { findMatchGroup, DEFAULT_MAX_WAIT } = require('./matchmaking');
+const { listReplays, getReplayPath } = require('./replay-recorder');
+const { WIRE_FORMATS, isBinary, decodeInput } = require('../shared/wire-codec');
 
 const app = express();
 const httpServer = createServer(app);
 app.use(express.static(path.join(__dirname, '../client')));
+app.use('/shared', express.static(path.join(__dirname, '../shared')));
 const io = new Server(httpServer, {
   cors: {
     origin: '*',
@@ -19,46 +47,405 @@ const io = new Server(httpServer, {
 const PORT = process.env.PORT || 3000;
 const TICK_RATE = 60; // 60Hz server tick rate
 const TICK_INTERVAL = 1000 / TICK_RATE;
+const LATENCY_PROBE_INTERVAL = 2000; // ms between RTT probes per socket
+const LATENCY_PROBE_TIMEOUT = 5000;  // ms before a probe counts as lost
+const GUEST_PRUNE_INTERVAL = 60 * 60 * 1000; // ms between passes over saved guest accounts
+
+// WIRE_FORMAT=json forces JSON gameState/playerInput for every client (debugging)
+const BINARY_WIRE = process.env.WIRE_FORMAT !== WIRE_FORMATS.JSON;
+
+// Match recordings (RECORD_REPLAYS=false turns them off)
+const REPLAY_DIR = process.env.REPLAY_DIR || path.join(__dirname, '../replays');
+const RECORD_REPLAYS = process.env.RECORD_REPLAYS !== 'false';
 
 // Game instances map (room-based matchmaking)
 const games = new Map();
 let gameIdCounter = 0;
 
-// Matchmaking queue
+// Matchmaking queue (grouped by rating, see matchmaking.js)
 const matchmakingQueue = [];
 const MAX_PLAYERS_PER_MATCH = 10;
+const MATCHMAKING_INTERVAL = 1000; // ms between passes over the queue
+const MATCHMAKING_MAX_WAIT = process.env.MATCHMAKING_MAX_WAIT !== undefined && Number.isFinite(Number(process.env.MATCHMAKING_MAX_WAIT))
+  ? Number(process.env.MATCHMAKING_MAX_WAIT)
+  : DEFAULT_MAX_WAIT;
+
+// Skill ratings for matchmade games (RATING_STORE=memory forgets them on restart)
+const RATINGS_FILE = process.env.RATINGS_FILE || path.join(__dirname, '../data/ratings.json');
+const ratings = new RatingService(process.env.RATING_STORE === 'memory'
+  ? new MemoryStore()
+  : new JsonFileStore(RATINGS_FILE, 'Ratings'));
+
+// Player accounts and progression (ACCOUNT_STORE=memory forgets them on restart)
+const ACCOUNTS_FILE = process.env.ACCOUNTS_FILE || path.join(__dirname, '../data/accounts.json');
+const accounts = new AccountService(process.env.ACCOUNT_STORE === 'memory'
+  ? new MemoryStore()
+  : new JsonFileStore(ACCOUNTS_FILE, 'Accounts'));
+
+// All-time, weekly and per-ship totals (LEADERBOARD_STORE=memory forgets them on restart)
+const LEADERBOARDS_FILE = process.env.LEADERBOARDS_FILE || path.join(__dirname, '../data/leaderboards.json');
+const leaderboards = new LeaderboardService(process.env.LEADERBOARD_STORE === 'memory'
+  ? new MemoryStore()
+  : new JsonFileStore(LEADERBOARDS_FILE, 'Leaderboards'), ratings);
+
+// Private lobbies (join code -> Lobby), started by their host
+const lobbies = new LobbyManager(MAX_PLAYERS_PER_MATCH);
+
+// Smoothed RTT/jitter per socket (shared by all games)
+const latencyTracker = new LatencyTracker();
+
+/**
+ * Numeric setting from the environment; an explicit 0 is kept (no warmup, no score limit)
+ */
+function readNumberEnv(name, fallback) {
+  const value = process.env[name];
+  return value !== undefined && value !== '' && Number.isFinite(Number(value)) ? Number(value) : fallback;
+}
+
+// Match rules (seconds / points, overridable per deployment)
+const MATCH_CONFIG = {
+  mode: Object.values(MATCH_MODES).includes(process.env.GAME_MODE) ? process.env.GAME_MODE : MATCH_MODES.FFA,
+  warmupDuration: readNumberEnv('MATCH_WARMUP', 10),
+  timeLimit: readNumberEnv('MATCH_TIME_LIMIT', 300),
+  scoreLimit: readNumberEnv('MATCH_SCORE_LIMIT', 2000),
+  teamScoreLimit: readNumberEnv('TEAM_SCORE_LIMIT', 50),
+  captureLimit: readNumberEnv('CAPTURE_LIMIT', 3),
+  friendlyFire: process.env.FRIENDLY_FIRE === 'true',
+  overtimeDuration: 60,
+  resultsDuration: 10
+};
 
 app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     games: games.size,
     totalPlayers: Array.from(games.values()).reduce((sum, game) => sum + game.getPlayerCount(), 0),
-    queueSize: matchmakingQueue.length
+    queueSize: matchmakingQueue.length,
+    latency: latencyTracker.getSummary()
   });
 });
 
+// Validated ship, weapon and power-up definitions (defaults filled in) for the client
+app.get('/definitions', (req, res) => {
+  res.json(getDefinitions());
+});
+
+// Server browser: running matches with their mode, map, occupancy and ping
+app.get('/rooms', (req, res) => {
+  res.json(listRooms());
+});
+
+// Finished match recordings, newest first
+app.get('/replays', (req, res) => {
+  res.json(listReplays(REPLAY_DIR));
+});
+
+// Replay file, gzipped NDJSON - the browser inflates it transparently
+app.get('/replays/:id', (req, res) => {
+  const filePath = getReplayPath(REPLAY_DIR, req.params.id);
+  if (!filePath) {
+    return res.status(404).json({ error: 'Replay not found' });
+  }
+
+  res.set('Content-Type', 'application/x-ndjson');
+  res.set('Content-Encoding', 'gzip');
+  res.sendFile(filePath);
+});
+
+// Accounts: register a guest (Bearer guest token) or log in for a new token
+app.post('/accounts/register', express.json(), async (req, res) => {
+  try {
+    const account = accounts.authenticate(getBearerToken(req));
+    if (!account) {
+      return res.status(401).json({ error: 'Not signed in' });
+    }
+
+    const { error } = await accounts.register(account, req.body.username, req.body.password);
+    if (error) {
+      return res.status(400).json({ error: error });
+    }
+    leaderboards.rename(account.id, account.name);
+    res.json({ profile: getProfile(account) });
+  } catch (err) {
+    console.error('[Accounts] Register error:', err.message);
+    res.status(500).json({ error: 'Registration failed' });
+  }
+});
+
+app.post('/accounts/login', express.json(), async (req, res) => {
+  try {
+    const { account, token, error } = await accounts.login(req.body.username, req.body.password);
+    if (error) {
+      return res.status(401).json({ error: error });
+    }
+    res.json({ token: token, profile: getProfile(account) });
+  } catch (err) {
+    console.error('[Accounts] Login error:', err.message);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
+app.get('/accounts/me', (req, res) => {
+  const account = accounts.authenticate(getBearerToken(req));
+  if (!account) {
+    return res.status(401).json({ error: 'Not signed in' });
+  }
+  res.json({ profile: getProfile(account) });
+});
+
+// Leaderboards: ?sort=rating|kills|kd|wins|damage&page=&pageSize= - a Bearer
+// token adds the caller's own entry as player
+app.get('/leaderboards/all-time', (req, res) => {
+  sendLeaderboard(req, res, LEADERBOARD_BOARDS.ALL_TIME);
+});
+
+app.get('/leaderboards/weekly', (req, res) => {
+  sendLeaderboard(req, res, LEADERBOARD_BOARDS.WEEKLY);
+});
+
+app.get('/leaderboards/ships/:shipType', (req, res) => {
+  if (!isValidShipType(req.params.shipType)) {
+    return res.status(404).json({ error: 'Unknown ship type' });
+  }
+  sendLeaderboard(req, res, LEADERBOARD_BOARDS.SHIP, getShipConfig(req.params.shipType).id);
+});
+
+// Every socket is tied to an account: its session token (handshake auth.token)
+// or a new guest account whose token is sent back in 'session'
+io.use((socket, next) => {
+  try {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    let account = accounts.authenticate(token);
+    let issuedToken = null;
+    if (!account) {
+      ({ account, token: issuedToken } = accounts.createGuest());
+    }
+
+    socket.data.accountId = account.id;
+    socket.data.issuedToken = issuedToken;
+    next();
+  } catch (err) {
+    console.error('[Accounts] Socket auth error:', err.message);
+    next(new Error('Authentication failed'));
+  }
+});
+
 io.on('connection', (socket) => {
   console.log(`Player connected: ${socket.id}`);
 
+  const account = accounts.get(socket.data.accountId);
+  const dailyReset = accounts.touch(account);
+  socket.emit('session', {
+    token: socket.data.issuedToken, // Only for a new guest - keep it to come back as the same account
+    profile: getProfile(account),
+    progress: dailyReset
+  });
+
   socket.on('joinQueue', (playerData) => {
-    console.log(`Player ${socket.id} joined matchmaking queue`);
+    // Already waiting: the queue now holds players for a while, don't double up
+    if (matchmakingQueue.some(p => p.socketId === socket.id)) return;
 
-    // Add player to matchmaking queue
-    matchmakingQueue.push({
-      socketId: socket.id,
-      socket: socket,
-      playerData: playerData || { name: `Player${socket.id.substring(0, 4)}` }
-    });
+    stopSpectating(socket.id);
+    leaveLobby(socket);
+
+    const entry = enqueuePlayer(socket, sanitizePlayerData(socket, playerData));
+    console.log(`Player ${socket.id} joined matchmaking queue (rating ${entry.rating})`);
 
     // Try to create a match
     tryCreateMatch();
   });
 
-  socket.on('playerInput', (input) => {
+  // Watch a running match (data.gameId, or the busiest one) without a ship
+  socket.on('spectate', (data) => {
+    if (findGameByPlayer(socket.id) || matchmakingQueue.some(p => p.socketId === socket.id)) return;
+
+    stopSpectating(socket.id);
+    const options = data || {};
+    if (!startSpectating(socket, options)) {
+      socket.emit('spectateEnded', { reason: 'No match available to spectate' });
+    }
+  });
+
+  // Server browser
+  socket.on('listRooms', () => {
+    socket.emit('roomList', listRooms());
+  });
+
+  // Drop into a specific running match; a bot gives up its ship if it's full
+  socket.on('joinRoom', (data) => {
+    if (!data) return;
+
+    if (findGameByPlayer(socket.id)) {
+      socket.emit('joinRoomError', { message: 'Already in a match' });
+      return;
+    }
+
+    const game = games.get(data.gameId);
+    if (!game || !game.canJoinInProgress()) {
+      socket.emit('joinRoomError', { message: game ? 'Match is not open to new players' : 'Match not found' });
+      return;
+    }
+    if (!game.makeRoomForPlayer()) {
+      socket.emit('joinRoomError', { message: 'Match is full' });
+      return;
+    }
+
+    const queueIndex = matchmakingQueue.findIndex(p => p.socketId === socket.id);
+    if (queueIndex !== -1) {
+      matchmakingQueue.splice(queueIndex, 1);
+    }
+    stopSpectating(socket.id);
+    leaveLobby(socket);
+
+    game.addPlayer(socket.id, socket, sanitizePlayerData(socket, data));
+    console.log(`Player ${socket.id} joined ${game.id} in progress (${game.getPlayerCount()} players, ${game.bots.size} bots)`);
+  });
+
+  // Private lobby: create one (the creator hosts) or join one by code
+  socket.on('createLobby', (playerData) => {
+    if (!canEnterLobby(socket)) return;
+
+    leaveLobby(socket);
+    const lobby = lobbies.create(socket, sanitizePlayerData(socket, playerData));
+    socket.join(getLobbyRoom(lobby));
+    console.log(`Lobby ${lobby.code} created by ${socket.id}`);
+    broadcastLobby(lobby);
+  });
+
+  socket.on('joinLobby', (data) => {
+    if (!data || !canEnterLobby(socket)) return;
+
+    // Switching lobbies: only leave the current one for a lobby that exists
+    // and has room, so a refused join keeps the player where they were
+    const target = lobbies.get(data.code);
+    if (target && !target.hasMember(socket.id) && !target.isFull()) {
+      leaveLobby(socket);
+    }
+
+    const { lobby, error } = lobbies.join(data.code, socket, sanitizePlayerData(socket, data));
+    if (error) {
+      socket.emit('lobbyError', { message: error });
+      return;
+    }
+    socket.join(getLobbyRoom(lobby));
+    broadcastLobby(lobby);
+  });
+
+  socket.on('leaveLobby', () => {
+    leaveLobby(socket);
+  });
+
+  socket.on('lobbyReady', (ready) => {
+    const lobby = lobbies.findByMember(socket.id);
+    if (lobby) {
+      lobby.setReady(socket.id, ready);
+      broadcastLobby(lobby);
+    }
+  });
+
+  // Host controls
+  socket.on('lobbySettings', (settings) => {
+    const lobby = lobbies.findByMember(socket.id);
+    if (lobby && lobby.isHost(socket.id)) {
+      lobby.updateSettings(settings);
+      broadcastLobby(lobby);
+    }
+  });
+
+  socket.on('lobbyKick', (data) => {
+    const lobby = lobbies.findByMember(socket.id);
+    if (!lobby || !lobby.isHost(socket.id) || !data || data.playerId === socket.id) return;
+
+    const member = lobby.members.get(data.playerId);
+    if (member) {
+      leaveLobby(member.socket);
+      member.socket.emit('lobbyKicked', { code: lobby.code });
+    }
+  });
+
+  socket.on('startLobby', () => {
+    const lobby = lobbies.findByMember(socket.id);
+    if (!lobby || !lobby.isHost(socket.id)) return;
+
+    if (!lobby.canStart()) {
+      socket.emit('lobbyError', { message: 'Not everyone is ready' });
+      return;
+    }
+    startLobbyMatch(lobby);
+  });
+
+  socket.on('playerInput', (data) => {
+    const game = findGameByPlayer(socket.id);
+    if (!game || !data) return;
+
+    // CRASH PREVENTION: Malformed binary input is dropped, not thrown
+    let input = data;
+    if (isBinary(data)) {
+      try {
+        input = decodeInput(data);
+      } catch (err) {
+        console.error(`[Wire] Bad input from ${socket.id}:`, err.message);
+        return;
+      }
+    }
+
+    game.handlePlayerInput(socket.id, input);
+  });
+
+  socket.on('changeShip', (data) => {
+    const game = findGameByPlayer(socket.id);
+    if (game && data) {
+      game.handleChangeShip(socket.id, data.shipType);
+    }
+  });
+
+  // Secondary weapon loadout (data.weaponId, null = the ship's own): kept on the
+  // account and applied to the current match, queue entry or lobby seat
+  socket.on('equipWeapon', (data) => {
+    const account = accounts.get(socket.data.accountId);
+    const weaponId = data && typeof data.weaponId === 'string' ? data.weaponId : null;
+    const error = equipSecondary(account.progression, weaponId);
+    if (error) {
+      socket.emit('equipRejected', { weaponId: weaponId, reason: error });
+      return;
+    }
+    accounts.save(account);
+
+    const queued = matchmakingQueue.find(p => p.socketId === socket.id);
+    if (queued) {
+      queued.playerData.secondaryWeapon = weaponId;
+    }
+    const lobby = lobbies.findByMember(socket.id);
+    if (lobby) {
+      lobby.members.get(socket.id).playerData.secondaryWeapon = weaponId;
+    }
     const game = findGameByPlayer(socket.id);
     if (game) {
-      game.handlePlayerInput(socket.id, input);
+      game.handleEquipSecondary(socket.id, weaponId);
     }
+
+    socket.emit('weaponEquipped', { weaponId: weaponId, profile: getProfile(account) });
+  });
+
+  // Camera size, drives which entities are sent to this client
+  socket.on('viewport', (viewport) => {
+    const game = findGameByPlayer(socket.id);
+    if (game) {
+      game.handleViewport(socket.id, viewport);
+    }
+  });
+
+  // Client decoded a gameState snapshot - it becomes the delta baseline
+  socket.on('snapshotAck', (seq) => {
+    const game = findGameByPlayer(socket.id) || findGameBySpectator(socket.id);
+    if (game) {
+      game.handleSnapshotAck(socket.id, seq);
+    }
+  });
+
+  // Client-side latency measurement (echo back the client's timestamp)
+  socket.on('ping', (timestamp) => {
+    socket.emit('pong', timestamp);
   });
 
   socket.on('chatMessage', (message) => {
@@ -71,12 +458,25 @@ io.on('connection', (socket) => {
   socket.on('disconnect', () => {
     console.log(`Player disconnected: ${socket.id}`);
 
+    latencyTracker.remove(socket.id);
+
     // Remove from matchmaking queue
     const queueIndex = matchmakingQueue.findIndex(p => p.socketId === socket.id);
     if (queueIndex !== -1) {
       matchmakingQueue.splice(queueIndex, 1);
     }
 
+    stopSpectating(socket.id);
+    leaveLobby(socket);
+
+    // A guest that never got saved is forgotten once its last connection closes
+    const accountId = socket.data.accountId;
+    const stillConnected = Array.from(io.sockets.sockets.values())
+      .some(other => other.id !== socket.id && other.data.accountId === accountId);
+    if (!stillConnected) {
+      accounts.release(accountId);
+    }
+
     // Remove from active game
     const game = findGameByPlayer(socket.id);
     if (game) {
@@ -87,37 +487,378 @@ io.on('connection', (socket) => {
         game.stop();
         games.delete(game.id);
         console.log(`Game ${game.id} destroyed (no players)`);
+        relocateSpectators(game);
       }
     }
   });
 });
 
+/**
+ * New game with the server's match rules
+ * @param {Object} settings - { mode, map, botDifficulty, rated } (lobby picks; defaults otherwise)
+ */
+function createGame(settings = {}) {
+  const gameId = `game_${++gameIdCounter}`;
+  return new Game(gameId, io, TICK_RATE, {
+    match: { ...MATCH_CONFIG, mode: settings.mode || MATCH_CONFIG.mode },
+    map: settings.map,
+    botDifficulty: settings.botDifficulty,
+    latencyTracker: latencyTracker,
+    binaryWire: BINARY_WIRE,
+    replayDir: RECORD_REPLAYS ? REPLAY_DIR : null,
+    onTeardown: handleGameTeardown,
+    onMatchResults: (game, summary) => handleMatchResults(game, summary, !!settings.rated)
+  });
+}
+
+/**
+ * Start every match the queue can fill (also run on a timer, since search
+ * windows widen while players wait)
+ */
 function tryCreateMatch() {
-  // Need at least 1 player to start a match (can fill rest with bots)
-  if (matchmakingQueue.length >= 1) {
-    const gameId = `game_${++gameIdCounter}`;
-    const playersForMatch = matchmakingQueue.splice(0, Math.min(MAX_PLAYERS_PER_MATCH, matchmakingQueue.length));
+  let group;
+  while ((group = findMatchGroup(matchmakingQueue, Date.now(), { maxPlayers: MAX_PLAYERS_PER_MATCH, maxWait: MATCHMAKING_MAX_WAIT }))) {
+    group.forEach(entry => matchmakingQueue.splice(matchmakingQueue.indexOf(entry), 1));
+    startQueuedMatch(group);
+  }
+}
 
-    const game = new Game(gameId, io, TICK_RATE);
+function startQueuedMatch(playersForMatch) {
+  // Bots play at the level of the humans they are filling in for
+  const averageRating = playersForMatch.reduce((sum, player) => sum + player.rating, 0) / playersForMatch.length;
+  const botDifficulty = getBotDifficultyForRating(averageRating);
+  const game = createGame({ botDifficulty: botDifficulty, rated: true });
 
-    // Add human players
-    playersForMatch.forEach(player => {
-      game.addPlayer(player.socketId, player.socket, player.playerData);
-    });
+  // Add human players (team modes deal them out across the teams in turn, best rated first)
+  const teamMode = isTeamMode(MATCH_CONFIG.mode);
+  if (teamMode) {
+    playersForMatch.sort((a, b) => b.rating - a.rating);
+  }
+  playersForMatch.forEach((player, index) => {
+    const team = teamMode ? TEAMS[index % TEAMS.length].id : undefined;
+    game.addPlayer(player.socketId, player.socket, { ...player.playerData, team: team });
+  });
 
-    // Fill remaining slots with bots
+  // Fill remaining slots with bots (team modes top up each team to an even size)
+  if (teamMode) {
+    const teamSize = Math.floor(MAX_PLAYERS_PER_MATCH / TEAMS.length);
+    TEAMS.forEach((team, teamIndex) => {
+      const humans = playersForMatch.filter((player, index) => index % TEAMS.length === teamIndex).length;
+      for (let i = humans; i < teamSize; i++) {
+        game.addBot(team.id);
+      }
+    });
+  } else {
     const botCount = MAX_PLAYERS_PER_MATCH - playersForMatch.length;
     for (let i = 0; i < botCount; i++) {
       game.addBot();
     }
+  }
+
+  games.set(game.id, game);
+  game.start();
+
+  console.log(`Game ${game.id} created with ${playersForMatch.length} players and ${game.bots.size} ${botDifficulty} bots (${MATCH_CONFIG.mode}, average rating ${Math.round(averageRating)})`);
+}
+
+function enqueuePlayer(socket, playerData) {
+  const entry = {
+    socketId: socket.id,
+    socket: socket,
+    playerData: playerData,
+    rating: ratings.getRating(playerData.accountId),
+    queuedAt: Date.now()
+  };
+  matchmakingQueue.push(entry);
+  return entry;
+}
+
+/**
+ * Game onMatchResults: grant every human's progression and leaderboard totals
+ * from the server's results, and rate matchmade games
+ * @returns {Map} playerId -> extra matchEnd fields ({ progression, profile, rating })
+ */
+function handleMatchResults(game, summary, rated) {
+  const ratingUpdates = rated ? recordMatchRatings(game, summary) : new Map();
+  const extras = new Map();
+
+  game.players.forEach(player => {
+    const account = accounts.get(player.accountId);
+    if (!account) return;
+
+    const match = {
+      ...game.getMatchStats(player),
+      won: game.mode.isWinner(player, game.match.winnerId)
+    };
+    const progression = applyMatch(account.progression, match);
+    accounts.save(account);
+    leaderboards.recordMatch({ ...match, accountId: account.id, name: player.name, shipType: player.shipType });
+
+    extras.set(player.id, {
+      progression: progression,
+      profile: getProfile(account),
+      rating: ratingUpdates.get(player.id) || null
+    });
+  });
+  return extras;
+}
+
+/**
+ * Rate a finished matchmade game. Ties on score share a placement; in team
+ * modes ships are placed by their team's standing and bots count at their
+ * difficulty's rating.
+ * @returns {Map} playerId -> { rating, change }
+ */
+function recordMatchRatings(game, { results, teams }) {
+  const placeByScore = (scores, score) => scores.indexOf(score) + 1;
+  const teamScores = teams ? teams.map(team => team.score) : null;
+  const resultScores = results.map(result => result.score);
+
+  const participants = results.map(result => {
+    const player = result.isBot ? null : game.players.get(result.id);
+    const bot = result.isBot ? game.bots.get(result.id) : null;
+    const team = teams ? teams.find(standing => standing.id === result.team) : null;
+    const key = player ? player.accountId : null;
+
+    return {
+      id: result.id,
+      key: key,
+      rating: bot
+        ? BOT_DIFFICULTIES[bot.difficulty || DEFAULT_BOT_DIFFICULTY].rating
+        : ratings.getRating(key),
+      placement: team ? placeByScore(teamScores, team.score) : placeByScore(resultScores, result.score)
+    };
+  });
+
+  const updates = ratings.recordMatch(participants);
+  const byPlayer = new Map();
+  participants.forEach(participant => {
+    if (participant.key && updates.has(participant.key)) {
+      byPlayer.set(participant.id, updates.get(participant.key));
+    }
+  });
+  return byPlayer;
+}
 
-    games.set(gameId, game);
-    game.start();
+/**
+ * Host pressed start: the lobby becomes a game with its settings
+ */
+function startLobbyMatch(lobby) {
+  const game = createGame(lobby.settings);
+  const room = getLobbyRoom(lobby);
 
-    console.log(`Game ${gameId} created with ${playersForMatch.length} players and ${botCount} bots`);
+  // Humans are spread over the teams by the mode; bots fill the smallest team
+  lobby.members.forEach(member => {
+    member.socket.leave(room);
+    member.socket.emit('lobbyStarted', { code: lobby.code, gameId: game.id });
+    game.addPlayer(member.id, member.socket, member.playerData);
+  });
+  const botCount = lobby.getBotCount();
+  for (let i = 0; i < botCount; i++) {
+    game.addBot();
   }
+
+  lobbies.remove(lobby.code);
+  games.set(game.id, game);
+  game.start();
+
+  console.log(`Lobby ${lobby.code} started ${game.id} with ${lobby.members.size} players and ${game.bots.size} bots (${lobby.settings.mode}, ${lobby.settings.map})`);
 }
 
+/**
+ * Running matches for the server browser, fullest first
+ */
+function listRooms() {
+  return Array.from(games.values())
+    .filter(game => game.isRunning)
+    .map(game => game.getRoomInfo())
+    .sort((a, b) => b.humans - a.humans);
+}
+
+function getLobbyRoom(lobby) {
+  return `lobby_${lobby.code}`;
+}
+
+function broadcastLobby(lobby) {
+  io.to(getLobbyRoom(lobby)).emit('lobbyUpdate', lobby.serialize());
+}
+
+/**
+ * Lobbies are for players not already flying or queued
+ */
+function canEnterLobby(socket) {
+  if (findGameByPlayer(socket.id)) {
+    socket.emit('lobbyError', { message: 'Already in a match' });
+    return false;
+  }
+
+  const queueIndex = matchmakingQueue.findIndex(p => p.socketId === socket.id);
+  if (queueIndex !== -1) {
+    matchmakingQueue.splice(queueIndex, 1);
+  }
+  stopSpectating(socket.id);
+  return true;
+}
+
+function leaveLobby(socket) {
+  const lobby = lobbies.leave(socket.id);
+  if (!lobby) return;
+
+  socket.leave(getLobbyRoom(lobby));
+  socket.emit('lobbyLeft', { code: lobby.code });
+  if (!lobby.isEmpty()) {
+    broadcastLobby(lobby);
+  }
+}
+
+/**
+ * Registered accounts play under their username; guests pick a name
+ */
+function sanitizePlayerData(socket, data) {
+  const playerData = data || {};
+  const account = accounts.get(socket.data.accountId);
+  let name = typeof playerData.name === 'string' && playerData.name.trim()
+    ? playerData.name.trim().substring(0, 20)
+    : `Player${socket.id.substring(0, 4)}`;
+  if (account) {
+    name = account.guest && playerData.name ? name : account.name;
+  }
+
+  return {
+    name: name,
+    shipType: isValidShipType(playerData.shipType) ? playerData.shipType : null,
+    secondaryWeapon: account ? account.progression.equipped.secondary || null : null,
+    wireFormat: playerData.wireFormat,
+    accountId: account ? account.id : null // Ratings and progression are kept under it
+  };
+}
+
+function getProfile(account) {
+  return { ...accounts.getProfile(account), rating: ratings.getRating(account.id) };
+}
+
+function sendLeaderboard(req, res, board, shipType = null) {
+  const account = accounts.authenticate(getBearerToken(req));
+  res.json(leaderboards.getBoard({
+    board: board,
+    shipType: shipType,
+    sort: req.query.sort,
+    page: Number(req.query.page),
+    pageSize: Number(req.query.pageSize),
+    accountId: account ? account.id : null
+  }));
+}
+
+function getBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+}
+
+function handleGameTeardown(game) {
+  games.delete(game.id);
+  console.log(`Game ${game.id} torn down after match end`);
+
+  // Humans still connected go straight back into matchmaking (same ship,
+  // and the account's current loadout like every other join)
+  game.players.forEach(player => {
+    player.socket.leave(game.id);
+    enqueuePlayer(player.socket, sanitizePlayerData(player.socket, {
+      name: player.name,
+      shipType: player.shipType,
+      wireFormat: player.wireFormat
+    }));
+  });
+
+  tryCreateMatch();
+  relocateSpectators(game);
+}
+
+/**
+ * Subscribe a socket to a running game's broadcasts
+ * @param {Object} options - { gameId, wireFormat }
+ * @returns {boolean} False if no game could take the spectator
+ */
+function startSpectating(socket, options) {
+  let candidates = Array.from(games.values()).filter(game => game.isRunning);
+  if (options.gameId) {
+    candidates = candidates.filter(game => game.id === options.gameId);
+  }
+
+  // Busiest match first, falling through when one is full
+  candidates.sort((a, b) => b.getPlayerCount() - a.getPlayerCount());
+  return candidates.some(game => game.addSpectator(socket.id, socket, { wireFormat: options.wireFormat }));
+}
+
+function stopSpectating(socketId) {
+  const game = findGameBySpectator(socketId);
+  if (game) {
+    game.removeSpectator(socketId);
+  }
+}
+
+/**
+ * A game went away: move its spectators to another match, if there is one
+ */
+function relocateSpectators(game) {
+  game.spectators.forEach(spectator => {
+    game.removeSpectator(spectator.id);
+    if (!startSpectating(spectator.socket, { wireFormat: spectator.wireFormat })) {
+      spectator.socket.emit('spectateEnded', { reason: 'Match ended' });
+    }
+  });
+}
+
+/**
+ * Server-initiated round trip: the client acks latencyProbe immediately
+ */
+function probeLatency(socket) {
+  const sentAt = Date.now();
+  socket.timeout(LATENCY_PROBE_TIMEOUT).emit('latencyProbe', (err) => {
+    if (err) return; // No reply in time - drop this sample
+    latencyTracker.recordSample(socket.id, Date.now() - sentAt);
+  });
+}
+
+// CRASH PREVENTION: Single probe timer for all sockets, cleared on shutdown
+const latencyProbeTimer = setInterval(() => {
+  try {
+    io.sockets.sockets.forEach(probeLatency);
+  } catch (err) {
+    console.error('[Latency] Probe error:', err.message);
+  }
+}, LATENCY_PROBE_INTERVAL);
+
+// Search windows widen while players wait, so the queue is re-checked regularly
+const matchmakingTimer = setInterval(() => {
+  try {
+    tryCreateMatch();
+  } catch (err) {
+    console.error('[Matchmaking] Error:', err.message);
+  }
+}, MATCHMAKING_INTERVAL);
+
+// Saved guests that stopped playing are pruned on start and then regularly,
+// together with their rating and leaderboard entries (nobody can claim them again)
+function pruneGuestAccounts() {
+  const pruned = accounts.pruneGuests();
+  pruned.forEach(accountId => {
+    ratings.remove(accountId);
+    leaderboards.remove(accountId);
+  });
+  if (pruned.length > 0) {
+    console.log(`[Accounts] Pruned ${pruned.length} inactive guest accounts`);
+  }
+}
+
+pruneGuestAccounts();
+const guestPruneTimer = setInterval(() => {
+  try {
+    pruneGuestAccounts();
+  } catch (err) {
+    console.error('[Accounts] Guest pruning error:', err.message);
+  }
+}, GUEST_PRUNE_INTERVAL);
+
 function findGameByPlayer(socketId) {
   for (const game of games.values()) {
     if (game.hasPlayer(socketId)) {
@@ -127,6 +868,15 @@ function findGameByPlayer(socketId) {
   return null;
 }
 
+function findGameBySpectator(socketId) {
+  for (const game of games.values()) {
+    if (game.hasSpectator(socketId)) {
+      return game;
+    }
+  }
+  return null;
+}
+
 // Start server
 httpServer.listen(PORT, () => {
   console.log(`Stellar Warfare server running on port ${PORT}`);
@@ -136,6 +886,12 @@ httpServer.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully...');
+  clearInterval(latencyProbeTimer);
+  clearInterval(matchmakingTimer);
+  clearInterval(guestPruneTimer);
+  ratings.flush();
+  accounts.flush();
+  leaderboards.flush();
   games.forEach(game => game.stop());
   httpServer.close(() => {
     console.log('Server closed');
@@ -0,0 +1,97 @@
+/**
+ * Latency Tracker - smoothed round-trip time and jitter per socket
+ *
+ * Uses the TCP retransmission-timer estimator (RFC 6298):
+ *   rtt    = (1 - 1/8) * rtt    + 1/8 * sample
+ *   jitter = (1 - 1/4) * jitter + 1/4 * |rtt - sample|
+ *
+ * Samples come from server-initiated latencyProbe round trips, so a client
+ * can't report a fake ping.
+ */
+
+const RTT_GAIN = 1 / 8;
+const JITTER_GAIN = 1 / 4;
+const MAX_SAMPLE_MS = 5000; // Anything slower is treated as a lost probe
+const LAGGY_RTT_MS = 150;   // Flagged in /health
+
+class LatencyTracker {
+  constructor() {
+    this.stats = new Map(); // socketId -> { rtt, jitter, samples, lastSampleAt }
+  }
+
+  /**
+   * Record one round-trip measurement
+   * @param {string} socketId - Socket the probe was sent to
+   * @param {number} sampleMs - Measured round-trip time in milliseconds
+   */
+  recordSample(socketId, sampleMs) {
+    if (!Number.isFinite(sampleMs) || sampleMs < 0 || sampleMs > MAX_SAMPLE_MS) {
+      return;
+    }
+
+    const entry = this.stats.get(socketId);
+
+    if (!entry) {
+      // First sample seeds the estimator (RFC 6298 section 2.2)
+      this.stats.set(socketId, {
+        rtt: sampleMs,
+        jitter: sampleMs / 2,
+        samples: 1,
+        lastSampleAt: Date.now()
+      });
+      return;
+    }
+
+    entry.jitter = (1 - JITTER_GAIN) * entry.jitter + JITTER_GAIN * Math.abs(entry.rtt - sampleMs);
+    entry.rtt = (1 - RTT_GAIN) * entry.rtt + RTT_GAIN * sampleMs;
+    entry.samples++;
+    entry.lastSampleAt = Date.now();
+  }
+
+  /**
+   * Get smoothed stats for a socket
+   * @returns {Object|null} { rtt, jitter } in milliseconds, or null if never measured
+   */
+  get(socketId) {
+    const entry = this.stats.get(socketId);
+    if (!entry) return null;
+
+    return {
+      rtt: Math.round(entry.rtt),
+      jitter: Math.round(entry.jitter)
+    };
+  }
+
+  remove(socketId) {
+    this.stats.delete(socketId);
+  }
+
+  /**
+   * Aggregate view for monitoring
+   */
+  getSummary() {
+    const entries = Array.from(this.stats.entries());
+    if (entries.length === 0) {
+      return { tracked: 0, averageRtt: 0, maxRtt: 0, averageJitter: 0, laggyPlayers: [] };
+    }
+
+    const totalRtt = entries.reduce((sum, [, entry]) => sum + entry.rtt, 0);
+    const totalJitter = entries.reduce((sum, [, entry]) => sum + entry.jitter, 0);
+
+    return {
+      tracked: entries.length,
+      averageRtt: Math.round(totalRtt / entries.length),
+      maxRtt: Math.round(Math.max(...entries.map(([, entry]) => entry.rtt))),
+      averageJitter: Math.round(totalJitter / entries.length),
+      laggyPlayers: entries
+        .filter(([, entry]) => entry.rtt > LAGGY_RTT_MS)
+        .map(([socketId, entry]) => ({
+          socketId: socketId,
+          rtt: Math.round(entry.rtt),
+          jitter: Math.round(entry.jitter)
+        }))
+    };
+  }
+}
+
+module.exports = LatencyTracker;
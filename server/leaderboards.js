@@ -0,0 +1,185 @@
+/**
+ * Leaderboards - per-account match totals ranked across all players
+ *
+ * Every finished match adds a player's kills, deaths, win and damage to
+ * three sets of totals: all-time, the current week (the season, reset each
+ * ISO week) and the ship they finished the match in. Boards are ranked on
+ * request by any stat or by current rating. Records are
+ * { id, name, allTime, seasonId, season, ships, updatedAt } keyed by account id.
+ */
+
+const { MemoryStore } = require('./store');
+
+const BOARDS = {
+  ALL_TIME: 'all-time',
+  WEEKLY: 'weekly',
+  SHIP: 'ship'
+};
+
+const SORT_KEYS = ['rating', 'kills', 'kd', 'wins', 'damage'];
+const DEFAULT_SORT = 'rating';
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+function createTotals() {
+  return { matches: 0, wins: 0, kills: 0, deaths: 0, damage: 0 };
+}
+
+function addMatch(totals, match) {
+  totals.matches++;
+  totals.kills += match.kills || 0;
+  totals.deaths += match.deaths || 0;
+  totals.damage += match.damage || 0;
+  if (match.won) {
+    totals.wins++;
+  }
+}
+
+/**
+ * ISO week the timestamp falls in, e.g. "2026-W07" (weeks start on Monday)
+ */
+function getSeasonId(now = Date.now()) {
+  const date = new Date(now);
+  const day = (date.getUTCDay() + 6) % 7; // Monday = 0
+  // The Thursday of this week decides which year the week belongs to
+  const thursday = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - day + 3);
+  const year = new Date(thursday).getUTCFullYear();
+  const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * 24 * 60 * 60 * 1000)) + 1;
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+class LeaderboardService {
+  /**
+   * @param {Object} store - Leaderboard records by account id (see store.js)
+   * @param {Object} ratings - RatingService for the rating column
+   */
+  constructor(store = new MemoryStore(), ratings = null) {
+    this.store = store;
+    this.ratings = ratings;
+  }
+
+  /**
+   * Add one player's finished match to their totals
+   * @param {Object} match - { accountId, name, shipType, kills, deaths, damage, won }
+   */
+  recordMatch(match, now = Date.now()) {
+    if (!match.accountId) return;
+
+    const seasonId = getSeasonId(now);
+    const record = this.store.get(match.accountId) || {
+      id: match.accountId,
+      allTime: createTotals(),
+      seasonId: seasonId,
+      season: createTotals(),
+      ships: {}
+    };
+
+    if (record.seasonId !== seasonId) {
+      record.seasonId = seasonId;
+      record.season = createTotals();
+    }
+    if (match.shipType && !record.ships[match.shipType]) {
+      record.ships[match.shipType] = createTotals();
+    }
+
+    addMatch(record.allTime, match);
+    addMatch(record.season, match);
+    if (match.shipType) {
+      addMatch(record.ships[match.shipType], match);
+    }
+
+    record.name = match.name;
+    record.updatedAt = now;
+    this.store.set(record.id, record);
+  }
+
+  /**
+   * Keep a renamed account (guest registered) up to date on the boards
+   */
+  rename(accountId, name) {
+    const record = this.store.get(accountId);
+    if (!record) return;
+    record.name = name;
+    this.store.set(accountId, record);
+  }
+
+  /**
+   * Take a deleted account off every board
+   */
+  remove(accountId) {
+    this.store.delete(accountId);
+  }
+
+  flush() {
+    if (typeof this.store.save === 'function') {
+      this.store.save();
+    }
+  }
+
+  /**
+   * One page of a ranked board
+   * @param {Object} options - { board, shipType, sort, page (1-based), pageSize, accountId }
+   * @returns {Object} { board, shipType, season, sort, page, pageSize, pageCount, total, entries, player }
+   *   where player is the accountId's own entry (null when not on the board)
+   */
+  getBoard(options = {}, now = Date.now()) {
+    const board = Object.values(BOARDS).includes(options.board) ? options.board : BOARDS.ALL_TIME;
+    const sort = SORT_KEYS.includes(options.sort) ? options.sort : DEFAULT_SORT;
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(options.pageSize) || DEFAULT_PAGE_SIZE));
+    const seasonId = getSeasonId(now);
+
+    const entries = [];
+    this.store.values().forEach(record => {
+      const totals = this.getTotals(record, board, options.shipType, seasonId);
+      if (!totals || totals.matches === 0) return;
+
+      entries.push({
+        id: record.id,
+        name: record.name,
+        ...totals,
+        kd: Math.round(totals.kills / Math.max(1, totals.deaths) * 100) / 100,
+        rating: this.ratings ? this.ratings.getRating(record.id) : null
+      });
+    });
+
+    // Ties fall back to kills, then the name, so pages stay stable between requests
+    entries.sort((a, b) => (b[sort] - a[sort]) || (b.kills - a.kills) || String(a.name).localeCompare(String(b.name)));
+    entries.forEach((entry, index) => {
+      entry.rank = index + 1;
+    });
+
+    const pageCount = Math.max(1, Math.ceil(entries.length / pageSize));
+    const page = Math.min(pageCount, Math.max(1, Math.floor(options.page) || 1));
+    const start = (page - 1) * pageSize;
+
+    return {
+      board: board,
+      shipType: board === BOARDS.SHIP ? options.shipType : null,
+      season: board === BOARDS.WEEKLY ? seasonId : null,
+      sort: sort,
+      page: page,
+      pageSize: pageSize,
+      pageCount: pageCount,
+      total: entries.length,
+      entries: entries.slice(start, start + pageSize),
+      player: (options.accountId && entries.find(entry => entry.id === options.accountId)) || null
+    };
+  }
+
+  getTotals(record, board, shipType, seasonId) {
+    if (board === BOARDS.WEEKLY) {
+      return record.seasonId === seasonId ? record.season : null;
+    }
+    if (board === BOARDS.SHIP) {
+      return record.ships[shipType] || null;
+    }
+    return record.allTime;
+  }
+}
+
+module.exports = {
+  LeaderboardService,
+  LEADERBOARD_BOARDS: BOARDS,
+  LEADERBOARD_SORT_KEYS: SORT_KEYS,
+  getSeasonId
+};
@@ -0,0 +1,224 @@
+/**
+ * Private Lobbies - invite-code rooms where a host sets up a match
+ *
+ * The host creates a lobby and shares its join code. Members toggle ready,
+ * the host picks mode, map, bot count and bot difficulty, can kick members,
+ * and starts the match once everyone else is ready. The server (index.js)
+ * owns the socket events and turns a started lobby into a Game.
+ */
+
+const { MATCH_MODES } = require('./match');
+const { MAPS, DEFAULT_MAP_ID, isValidMap } = require('./maps');
+const { BOT_DIFFICULTIES, DEFAULT_BOT_DIFFICULTY } = require('./bot');
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I lookalikes
+const CODE_LENGTH = 5;
+const DEFAULT_MAX_MEMBERS = 10;
+
+// What the host can pick from (sent with every lobbyUpdate for the settings screen)
+const LOBBY_OPTIONS = {
+  modes: Object.values(MATCH_MODES),
+  maps: MAPS.map(map => ({ id: map.id, name: map.name })),
+  botDifficulties: Object.keys(BOT_DIFFICULTIES)
+};
+
+class Lobby {
+  constructor(code, maxMembers = DEFAULT_MAX_MEMBERS) {
+    this.code = code;
+    this.maxMembers = maxMembers;
+    this.members = new Map(); // socketId -> { id, socket, playerData, ready }
+    this.hostId = null;
+    this.settings = {
+      mode: MATCH_MODES.FFA,
+      map: DEFAULT_MAP_ID,
+      botCount: maxMembers - 1,
+      botDifficulty: DEFAULT_BOT_DIFFICULTY
+    };
+  }
+
+  /**
+   * @returns {boolean} False when the lobby is full
+   */
+  addMember(socket, playerData) {
+    if (this.isFull()) return false;
+
+    this.members.set(socket.id, {
+      id: socket.id,
+      socket: socket,
+      playerData: playerData,
+      ready: false
+    });
+    if (!this.hostId) {
+      this.hostId = socket.id;
+    }
+    return true;
+  }
+
+  /**
+   * Host leaving hands the lobby to the longest-standing member
+   */
+  removeMember(socketId) {
+    this.members.delete(socketId);
+    if (this.hostId === socketId) {
+      const next = this.members.keys().next();
+      this.hostId = next.done ? null : next.value;
+    }
+  }
+
+  hasMember(socketId) {
+    return this.members.has(socketId);
+  }
+
+  isHost(socketId) {
+    return this.hostId === socketId;
+  }
+
+  isEmpty() {
+    return this.members.size === 0;
+  }
+
+  isFull() {
+    return this.members.size >= this.maxMembers;
+  }
+
+  setReady(socketId, ready) {
+    const member = this.members.get(socketId);
+    if (member) {
+      member.ready = !!ready;
+    }
+  }
+
+  /**
+   * Apply the host's picks; invalid values are ignored, bot count is clamped
+   */
+  updateSettings(settings) {
+    if (!settings) return;
+
+    if (Object.values(MATCH_MODES).includes(settings.mode)) {
+      this.settings.mode = settings.mode;
+    }
+    if (isValidMap(settings.map)) {
+      this.settings.map = settings.map;
+    }
+    if (BOT_DIFFICULTIES[settings.botDifficulty]) {
+      this.settings.botDifficulty = settings.botDifficulty;
+    }
+
+    const botCount = Math.floor(Number(settings.botCount));
+    if (Number.isFinite(botCount)) {
+      this.settings.botCount = Math.max(0, Math.min(this.maxMembers - 1, botCount));
+    }
+  }
+
+  /**
+   * Bots that fit next to the humans (the match is capped at maxMembers ships)
+   */
+  getBotCount() {
+    return Math.max(0, Math.min(this.settings.botCount, this.maxMembers - this.members.size));
+  }
+
+  /**
+   * Everyone but the host has readied up
+   */
+  canStart() {
+    for (const member of this.members.values()) {
+      if (member.id !== this.hostId && !member.ready) return false;
+    }
+    return this.members.size > 0;
+  }
+
+  serialize() {
+    return {
+      code: this.code,
+      hostId: this.hostId,
+      maxMembers: this.maxMembers,
+      members: Array.from(this.members.values()).map(member => ({
+        id: member.id,
+        name: member.playerData.name,
+        shipType: member.playerData.shipType,
+        ready: member.ready,
+        isHost: member.id === this.hostId
+      })),
+      settings: { ...this.settings },
+      canStart: this.canStart(),
+      options: LOBBY_OPTIONS
+    };
+  }
+}
+
+class LobbyManager {
+  constructor(maxMembers = DEFAULT_MAX_MEMBERS) {
+    this.maxMembers = maxMembers;
+    this.lobbies = new Map(); // code -> Lobby
+  }
+
+  create(socket, playerData) {
+    const lobby = new Lobby(this.generateCode(), this.maxMembers);
+    lobby.addMember(socket, playerData);
+    this.lobbies.set(lobby.code, lobby);
+    return lobby;
+  }
+
+  /**
+   * @returns {Object} { lobby } on success, { error } otherwise
+   */
+  join(code, socket, playerData) {
+    const lobby = this.get(code);
+    if (!lobby) {
+      return { error: 'No lobby with that code' };
+    }
+    if (!lobby.hasMember(socket.id) && !lobby.addMember(socket, playerData)) {
+      return { error: 'Lobby is full' };
+    }
+    return { lobby: lobby };
+  }
+
+  /**
+   * Take a socket out of whatever lobby it is in; empty lobbies are closed
+   * @returns {Lobby|null} The lobby it left
+   */
+  leave(socketId) {
+    const lobby = this.findByMember(socketId);
+    if (!lobby) return null;
+
+    lobby.removeMember(socketId);
+    if (lobby.isEmpty()) {
+      this.lobbies.delete(lobby.code);
+    }
+    return lobby;
+  }
+
+  get(code) {
+    return this.lobbies.get(String(code || '').trim().toUpperCase()) || null;
+  }
+
+  findByMember(socketId) {
+    for (const lobby of this.lobbies.values()) {
+      if (lobby.hasMember(socketId)) {
+        return lobby;
+      }
+    }
+    return null;
+  }
+
+  remove(code) {
+    this.lobbies.delete(code);
+  }
+
+  generateCode() {
+    let code;
+    do {
+      code = '';
+      for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[Math.floor(Math.random() * CODE_ALPHABET.length)];
+      }
+    } while (this.lobbies.has(code));
+    return code;
+  }
+}
+
+module.exports = {
+  Lobby,
+  LobbyManager,
+  LOBBY_OPTIONS
+};
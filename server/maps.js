@@ -0,0 +1,54 @@
+/**
+ * Maps - arena layouts a match can be played on
+ *
+ * Every map keeps the 3000x2000 world the clients are built around; maps
+ * differ in how crowded the asteroid field is and how many power-ups lie
+ * around. Map ids go over the wire (lobby settings, room listings).
+ */
+
+const MAPS = [
+  {
+    id: 'asteroid-field',
+    name: 'Asteroid Field',
+    worldSize: { width: 3000, height: 2000 },
+    asteroidCount: 30,
+    asteroidRadius: { min: 20, max: 60 },
+    collectibleCount: 10
+  },
+  {
+    id: 'open-space',
+    name: 'Open Space',
+    worldSize: { width: 3000, height: 2000 },
+    asteroidCount: 8,
+    asteroidRadius: { min: 20, max: 40 },
+    collectibleCount: 6
+  },
+  {
+    id: 'dense-belt',
+    name: 'Dense Belt',
+    worldSize: { width: 3000, height: 2000 },
+    asteroidCount: 50,
+    asteroidRadius: { min: 15, max: 45 },
+    collectibleCount: 14
+  }
+];
+
+const DEFAULT_MAP_ID = 'asteroid-field';
+
+/**
+ * Map by id, or the default map for unknown ids
+ */
+function getMap(mapId) {
+  return MAPS.find(map => map.id === mapId) || MAPS.find(map => map.id === DEFAULT_MAP_ID);
+}
+
+function isValidMap(mapId) {
+  return MAPS.some(map => map.id === mapId);
+}
+
+module.exports = {
+  MAPS,
+  DEFAULT_MAP_ID,
+  getMap,
+  isValidMap
+};
@@ -0,0 +1,223 @@
+/**
+ * Match Lifecycle - timed matches with a results phase
+ *
+ * Phases: warmup → live → overtime → results → teardown
+ *
+ * - warmup:   players can fly and shoot, nothing counts
+ * - live:     stats count, ends on score limit or time limit
+ * - overtime: sudden death when the leaders are tied at the time limit
+ * - results:  simulation frozen, matchEnd sent, results shown to clients
+ * - teardown: terminal, the owner destroys the game
+ *
+ * What is ranked and when the leader has won is up to the game mode
+ * (server/modes): free-for-all ranks ships against scoreLimit, team
+ * deathmatch ranks teams against teamScoreLimit, capture the flag ranks
+ * teams against captureLimit.
+ */
+
+const MATCH_PHASES = {
+  WARMUP: 'warmup',
+  LIVE: 'live',
+  OVERTIME: 'overtime',
+  RESULTS: 'results',
+  TEARDOWN: 'teardown'
+};
+
+const MATCH_MODES = {
+  FFA: 'ffa',
+  TDM: 'tdm',
+  CTF: 'ctf'
+};
+
+const DEFAULT_MATCH_CONFIG = {
+  mode: MATCH_MODES.FFA,
+  warmupDuration: 10,    // seconds
+  timeLimit: 300,        // seconds of live play
+  scoreLimit: 2000,      // first to reach it wins (0 = no score limit)
+  teamScoreLimit: 50,    // team deathmatch: team kills to win (0 = no limit)
+  captureLimit: 3,       // capture the flag: captures to win (0 = no limit)
+  friendlyFire: false,   // team modes: whether teammates can damage each other
+  overtimeDuration: 60,  // max seconds of sudden death before a draw
+  resultsDuration: 10    // seconds before teardown
+};
+
+// XP rewards (mirrors ProgressionSystem.xpRewards on the client)
+const XP_REWARDS = {
+  kill: 100,
+  assist: 50,
+  damagePerPoint: 1,
+  win: 500,
+  loss: 200,
+  survivalBonus: 10 // per second alive
+};
+
+class Match {
+  constructor(config = {}, hooks = {}) {
+    this.config = { ...DEFAULT_MATCH_CONFIG, ...config };
+    // onPhaseChange(newPhase, oldPhase), checkWinCondition(ranked), getScoreLimit()
+    this.hooks = hooks;
+
+    this.phase = MATCH_PHASES.WARMUP;
+    this.phaseElapsed = 0;
+    this.liveElapsed = 0;
+    this.winnerId = null;
+    this.isDraw = false;
+  }
+
+  /**
+   * Advance the state machine
+   * @param {number} deltaTime - Seconds since last update
+   * @param {Array} contenders - Entities (or teams) with id, score, kills, deaths
+   */
+  update(deltaTime, contenders) {
+    this.phaseElapsed += deltaTime;
+
+    switch (this.phase) {
+      case MATCH_PHASES.WARMUP:
+        if (this.phaseElapsed >= this.config.warmupDuration) {
+          this.setPhase(MATCH_PHASES.LIVE);
+        }
+        break;
+
+      case MATCH_PHASES.LIVE: {
+        this.liveElapsed += deltaTime;
+        const ranked = Match.rank(contenders);
+
+        if (this.checkWinCondition(ranked)) {
+          this.finish(ranked);
+        } else if (this.liveElapsed >= this.config.timeLimit) {
+          if (Match.hasClearLeader(ranked)) {
+            this.finish(ranked);
+          } else {
+            this.setPhase(MATCH_PHASES.OVERTIME);
+          }
+        }
+        break;
+      }
+
+      case MATCH_PHASES.OVERTIME: {
+        this.liveElapsed += deltaTime;
+        const ranked = Match.rank(contenders);
+
+        // Sudden death: first to break the tie wins
+        if (Match.hasClearLeader(ranked) || this.phaseElapsed >= this.config.overtimeDuration) {
+          this.finish(ranked);
+        }
+        break;
+      }
+
+      case MATCH_PHASES.RESULTS:
+        if (this.phaseElapsed >= this.config.resultsDuration) {
+          this.setPhase(MATCH_PHASES.TEARDOWN);
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  finish(ranked) {
+    this.isDraw = !Match.hasClearLeader(ranked);
+    this.winnerId = !this.isDraw && ranked.length > 0 ? ranked[0].id : null;
+    this.setPhase(MATCH_PHASES.RESULTS);
+  }
+
+  setPhase(phase) {
+    const previous = this.phase;
+    this.phase = phase;
+    this.phaseElapsed = 0;
+
+    if (this.hooks.onPhaseChange) {
+      this.hooks.onPhaseChange(phase, previous);
+    }
+  }
+
+  /**
+   * Leader has won outright (the mode's rule, or the plain score limit)
+   */
+  checkWinCondition(ranked) {
+    if (this.hooks.checkWinCondition) {
+      return this.hooks.checkWinCondition(ranked);
+    }
+    const scoreLimit = this.getScoreLimit();
+    return scoreLimit > 0 && ranked.length > 0 && ranked[0].score >= scoreLimit;
+  }
+
+  getScoreLimit() {
+    return this.hooks.getScoreLimit ? this.hooks.getScoreLimit() : this.config.scoreLimit;
+  }
+
+  /**
+   * Stats only count while the match is being contested
+   */
+  isInPlay() {
+    return this.phase === MATCH_PHASES.LIVE || this.phase === MATCH_PHASES.OVERTIME;
+  }
+
+  /**
+   * Simulation is frozen once the results are in
+   */
+  isFrozen() {
+    return this.phase === MATCH_PHASES.RESULTS || this.phase === MATCH_PHASES.TEARDOWN;
+  }
+
+  getTimeRemaining() {
+    switch (this.phase) {
+      case MATCH_PHASES.WARMUP:
+        return Math.max(0, this.config.warmupDuration - this.phaseElapsed);
+      case MATCH_PHASES.LIVE:
+        return Math.max(0, this.config.timeLimit - this.liveElapsed);
+      case MATCH_PHASES.OVERTIME:
+        return Math.max(0, this.config.overtimeDuration - this.phaseElapsed);
+      case MATCH_PHASES.RESULTS:
+        return Math.max(0, this.config.resultsDuration - this.phaseElapsed);
+      default:
+        return 0;
+    }
+  }
+
+  serialize() {
+    return {
+      mode: this.config.mode,
+      phase: this.phase,
+      timeRemaining: Math.ceil(this.getTimeRemaining()),
+      timeLimit: this.config.timeLimit,
+      scoreLimit: this.getScoreLimit(),
+      friendlyFire: this.config.friendlyFire,
+      winnerId: this.winnerId
+    };
+  }
+
+  /**
+   * Sort contenders by score, then kills, then fewest deaths
+   */
+  static rank(contenders) {
+    return [...contenders].sort((a, b) =>
+      (b.score - a.score) || (b.kills - a.kills) || (a.deaths - b.deaths)
+    );
+  }
+
+  static hasClearLeader(ranked) {
+    if (ranked.length < 2) return ranked.length === 1;
+    const [first, second] = ranked;
+    return first.score !== second.score || first.kills !== second.kills;
+  }
+
+  static calculateXP(stats, won) {
+    let xp = 0;
+    xp += stats.kills * XP_REWARDS.kill;
+    xp += stats.assists * XP_REWARDS.assist;
+    xp += Math.floor(stats.damage * XP_REWARDS.damagePerPoint);
+    xp += won ? XP_REWARDS.win : XP_REWARDS.loss;
+    xp += Math.floor(stats.survivalTime * XP_REWARDS.survivalBonus);
+    return xp;
+  }
+}
+
+module.exports = {
+  Match,
+  MATCH_PHASES,
+  MATCH_MODES,
+  DEFAULT_MATCH_CONFIG
+};
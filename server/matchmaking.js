@@ -0,0 +1,56 @@
+/**
+ * Skill-based matchmaking - groups queued players by rating
+ *
+ * Each queued player searches a rating window around their own rating that
+ * widens the longer they wait. The oldest entry anchors a group of everyone
+ * inside the window; the group starts once it fills a match or its anchor
+ * has waited long enough, and bots take the empty slots.
+ */
+
+const SEARCH_WINDOW_BASE = 100;   // ± rating accepted straight away
+const SEARCH_WINDOW_GROWTH = 25;  // Extra ± rating per second waited
+const SEARCH_WINDOW_MAX = 1000;   // Wide enough to match anyone eventually
+const DEFAULT_MAX_WAIT = 10;      // Seconds before starting with fewer humans
+
+/**
+ * @param {number} waitSeconds - Time spent in the queue
+ * @returns {number} Accepted rating difference
+ */
+function getSearchWindow(waitSeconds) {
+  return Math.min(SEARCH_WINDOW_MAX, SEARCH_WINDOW_BASE + SEARCH_WINDOW_GROWTH * Math.max(0, waitSeconds));
+}
+
+/**
+ * Next group ready to play, if any
+ * @param {Array} queue - Entries { rating, queuedAt } in join order
+ * @param {number} now - Current time (ms)
+ * @param {Object} options - { maxPlayers, maxWait (s) }
+ * @returns {Array|null} Entries to put in a match (anchor first)
+ */
+function findMatchGroup(queue, now, options) {
+  const { maxPlayers, maxWait = DEFAULT_MAX_WAIT } = options;
+  const waitOf = entry => (now - entry.queuedAt) / 1000;
+
+  for (const anchor of queue) {
+    const anchorWait = waitOf(anchor);
+
+    // A pairing is allowed once either side's window covers the gap
+    const group = queue
+      .filter(entry => entry !== anchor &&
+        Math.abs(entry.rating - anchor.rating) <= Math.max(getSearchWindow(anchorWait), getSearchWindow(waitOf(entry))))
+      .sort((a, b) => Math.abs(a.rating - anchor.rating) - Math.abs(b.rating - anchor.rating))
+      .slice(0, maxPlayers - 1);
+    group.unshift(anchor);
+
+    if (group.length >= maxPlayers || anchorWait >= maxWait) {
+      return group;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  findMatchGroup,
+  getSearchWindow,
+  DEFAULT_MAX_WAIT
+};
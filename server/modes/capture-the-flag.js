@@ -0,0 +1,239 @@
+/**
+ * Capture the Flag - a base and flag per team at opposite ends of the map
+ *
+ * Carried flags follow their carrier, enemies touching a flag take it,
+ * teammates touching a dropped flag return it, and a carrier reaching its
+ * own base (with its own flag home) captures. Team score is captures.
+ */
+
+const TeamMode = require('./team-mode');
+
+const BASE_RADIUS = 80;                 // Capture zone around a team's flag stand
+const BASE_EDGE_OFFSET = 200;           // Bases sit this far in from the left/right map edges
+const FLAG_TOUCH_RADIUS = 40;           // Ship-to-flag distance for pickups and returns
+const FLAG_RETURN_TIME = 30;            // Seconds a dropped flag lies around before going home
+const FLAG_CARRIER_SPEED_FACTOR = 0.75; // Carriers fly at 75% of their max speed
+const CAPTURE_SCORE = 300;              // Carrier's personal score per capture
+const RETURN_SCORE = 50;                // Personal score for bringing the own flag home
+const BASE_SPAWN_RADIUS = 250;          // Spawns scatter this far outside the own base
+
+class CaptureTheFlagMode extends TeamMode {
+  constructor(game, config) {
+    super(game, config);
+
+    this.bases = [];
+    this.flags = new Map(); // teamId -> { id, team, color, x, y, carrierId, atBase, droppedAt }
+    this.createBases();
+  }
+
+  createBases() {
+    const { width, height } = this.game.worldSize;
+    const edges = [BASE_EDGE_OFFSET, width - BASE_EDGE_OFFSET];
+    [...this.teams.values()].forEach((team, index) => {
+      const base = {
+        id: `base_${team.id}`,
+        team: team.id,
+        color: team.color,
+        x: edges[index % edges.length],
+        y: height / 2,
+        radius: BASE_RADIUS
+      };
+      this.bases.push(base);
+      this.flags.set(team.id, {
+        id: `flag_${team.id}`,
+        team: team.id,
+        color: team.color,
+        x: base.x,
+        y: base.y,
+        carrierId: null,
+        atBase: true,
+        droppedAt: 0
+      });
+    });
+  }
+
+  getBase(teamId) {
+    return this.bases.find(base => base.team === teamId) || null;
+  }
+
+  /**
+   * The enemy flag a ship is holding, if any
+   */
+  getCarriedFlag(entity) {
+    for (const flag of this.flags.values()) {
+      if (flag.carrierId === entity.id) return flag;
+    }
+    return null;
+  }
+
+  getSpeedFactor(entity) {
+    return this.getCarriedFlag(entity) ? FLAG_CARRIER_SPEED_FACTOR : 1;
+  }
+
+  /**
+   * Around the own base
+   */
+  getSpawnPoint(entity) {
+    const base = this.getBase(entity.team);
+    if (!base) return super.getSpawnPoint(entity);
+
+    const { width, height } = this.game.worldSize;
+    const angle = this.game.random.next() * Math.PI * 2;
+    const distance = base.radius + this.game.random.next() * BASE_SPAWN_RADIUS;
+    return {
+      x: Math.min(width, Math.max(0, base.x + Math.cos(angle) * distance)),
+      y: Math.min(height, Math.max(0, base.y + Math.sin(angle) * distance))
+    };
+  }
+
+  getScoreLimit() {
+    return this.config.captureLimit;
+  }
+
+  onMatchStart() {
+    super.onMatchStart();
+    this.flags.forEach(flag => this.resetFlag(flag));
+  }
+
+  /**
+   * Kills still count for the team's kills, but only captures score
+   */
+  onKill(victim, killer, assisters) {
+    super.onKill(victim, killer, assisters);
+    this.dropFlag(victim);
+  }
+
+  onLeave(entity) {
+    this.dropFlag(entity);
+  }
+
+  /**
+   * Flag pickups, returns and captures (after deaths have dropped their flags)
+   */
+  onTick(deltaTime) {
+    const game = this.game;
+    const ships = [...game.players.values(), ...game.bots.values()].filter(ship => !ship.isDead);
+
+    this.flags.forEach(flag => {
+      const carrier = flag.carrierId ? (game.players.get(flag.carrierId) || game.bots.get(flag.carrierId)) : null;
+      if (carrier) {
+        flag.x = carrier.x;
+        flag.y = carrier.y;
+        this.checkCapture(carrier, flag);
+        return;
+      }
+
+      if (!flag.atBase && game.simulationTime - flag.droppedAt >= FLAG_RETURN_TIME) {
+        this.returnFlag(flag, null);
+        return;
+      }
+
+      // Flags only change hands while the match is being contested
+      if (!game.match.isInPlay()) return;
+
+      for (const ship of ships) {
+        const dx = ship.x - flag.x;
+        const dy = ship.y - flag.y;
+        if (dx * dx + dy * dy > FLAG_TOUCH_RADIUS * FLAG_TOUCH_RADIUS) continue;
+
+        if (ship.team !== flag.team && !this.getCarriedFlag(ship)) {
+          this.takeFlag(ship, flag);
+          break;
+        }
+        if (ship.team === flag.team && !flag.atBase) {
+          this.returnFlag(flag, ship);
+          break;
+        }
+      }
+    });
+  }
+
+  takeFlag(ship, flag) {
+    flag.carrierId = ship.id;
+    flag.atBase = false;
+    this.emitFlagEvent('taken', flag, ship);
+  }
+
+  /**
+   * Carrier died or left: the flag stays where it fell until touched or timed out
+   */
+  dropFlag(entity) {
+    const flag = this.getCarriedFlag(entity);
+    if (!flag) return;
+
+    flag.carrierId = null;
+    flag.x = entity.x;
+    flag.y = entity.y;
+    flag.droppedAt = this.game.simulationTime;
+    this.emitFlagEvent('dropped', flag, entity);
+  }
+
+  /**
+   * @param {Object|null} returner - Teammate who touched it (null = timed out)
+   */
+  returnFlag(flag, returner) {
+    this.resetFlag(flag);
+    if (returner) {
+      returner.score += RETURN_SCORE;
+    }
+    this.emitFlagEvent('returned', flag, returner);
+  }
+
+  checkCapture(carrier, flag) {
+    const base = this.getBase(carrier.team);
+    const ownFlag = this.flags.get(carrier.team);
+    if (!base || !ownFlag || !ownFlag.atBase) return;
+
+    const dx = carrier.x - base.x;
+    const dy = carrier.y - base.y;
+    if (dx * dx + dy * dy > base.radius * base.radius) return;
+
+    const team = this.teams.get(carrier.team);
+    team.score++;
+    carrier.captures++;
+    carrier.score += CAPTURE_SCORE;
+    this.resetFlag(flag);
+    this.game.spawnFloatingText(carrier.x, carrier.y - 40, 'FLAG CAPTURED!', team.color, 'capture');
+    this.emitFlagEvent('captured', flag, carrier);
+  }
+
+  resetFlag(flag) {
+    const base = this.getBase(flag.team);
+    flag.carrierId = null;
+    flag.atBase = true;
+    flag.x = base.x;
+    flag.y = base.y;
+  }
+
+  emitFlagEvent(type, flag, entity) {
+    this.game.emitEvent('flagEvent', {
+      type: type, // taken | dropped | returned | captured
+      flagTeam: flag.team,
+      playerId: entity ? entity.id : null,
+      playerName: entity ? entity.name : null,
+      x: flag.x,
+      y: flag.y
+    });
+  }
+
+  /**
+   * Objectives are on the minimap, so they go out unculled with the team scores
+   */
+  serializeModeState() {
+    return {
+      ...super.serializeModeState(),
+      bases: this.bases.map(base => ({ ...base })),
+      flags: Array.from(this.flags.values()).map(flag => ({
+        id: flag.id,
+        team: flag.team,
+        color: flag.color,
+        x: flag.x,
+        y: flag.y,
+        carrierId: flag.carrierId,
+        atBase: flag.atBase
+      }))
+    };
+  }
+}
+
+module.exports = CaptureTheFlagMode;
@@ -0,0 +1,165 @@
+/**
+ * Game Mode - the rules a Game delegates to
+ *
+ * The Game owns the simulation (physics, projectiles, collisions, stats);
+ * the mode decides what those events are worth: kill rewards, who can hurt
+ * whom, where ships spawn, when the match is won and what extra state
+ * clients need. The base class is the free-for-all ruleset, so a mode only
+ * overrides the hooks it changes.
+ *
+ * Hooks called by the Game:
+ *   onJoin(entity, preferredTeam)   ship added (before its first spawn)
+ *   onSpawn(entity)                 ship placed in the world (join and respawn)
+ *   onLeave(entity)                 player removed
+ *   onTick(deltaTime)               every simulation step, after collisions
+ *   onDamage(target, damage, attacker) → damage actually applied (0 = none)
+ *   onKill(victim, killer, assisters)   every death (killer null when uncredited)
+ *   onMatchStart()                  warmup over, stats reset
+ *   getSpawnPoint(entity)           → { x, y }
+ *   pickBotToReplace()              → bot to retire for a mid-match joiner (or null)
+ *   checkWinCondition(ranked)       → true when the leader has won outright
+ *   serializeModeState()            → extra gameState collections
+ */
+
+const KILL_SCORE = 100;
+const ASSIST_SCORE = 50;
+const RESPAWN_DELAY = 3; // seconds
+
+class GameMode {
+  /**
+   * @param {Game} game - Game the rules apply to
+   * @param {Object} config - Match config (mode, limits, friendlyFire)
+   */
+  constructor(game, config) {
+    this.game = game;
+    this.config = config;
+  }
+
+  // --- Lifecycle ---
+
+  onJoin(entity, preferredTeam) {
+    entity.team = null;
+    entity.teamColor = null;
+  }
+
+  onSpawn(entity) {}
+
+  onLeave(entity) {}
+
+  onTick(deltaTime) {}
+
+  onMatchStart() {}
+
+  // --- Combat ---
+
+  /**
+   * Same side (never true in free-for-all)
+   */
+  isAlly(a, b) {
+    return false;
+  }
+
+  /**
+   * Whether a projectile (or other team-tagged source) collides with a ship at all
+   */
+  canDamage(source, target) {
+    return true;
+  }
+
+  /**
+   * @returns {number} Damage to apply
+   */
+  onDamage(target, damage, attacker) {
+    return damage;
+  }
+
+  /**
+   * Rewards for a death. Kill/assist counters are already updated by the
+   * Game; killer is null for environmental deaths and team kills.
+   */
+  onKill(victim, killer, assisters) {
+    if (killer) {
+      killer.score += KILL_SCORE;
+    }
+    assisters.forEach(assister => {
+      assister.score += ASSIST_SCORE;
+    });
+  }
+
+  // --- Movement and spawning ---
+
+  getSpawnPoint(entity) {
+    return {
+      x: this.game.random.next() * this.game.worldSize.width,
+      y: this.game.random.next() * this.game.worldSize.height
+    };
+  }
+
+  getRespawnDelay(entity) {
+    return RESPAWN_DELAY;
+  }
+
+  /**
+   * Max speed multiplier applied around the shared ship physics
+   */
+  getSpeedFactor(entity) {
+    return 1;
+  }
+
+  /**
+   * Newest bot goes first when a player joins a full match
+   */
+  pickBotToReplace() {
+    const bots = [...this.game.bots.values()];
+    return bots.length > 0 ? bots[bots.length - 1] : null;
+  }
+
+  // --- Match ---
+
+  /**
+   * What the match ranks: ships in free-for-all
+   */
+  getContenders() {
+    return [...this.game.players.values(), ...this.game.bots.values()];
+  }
+
+  getScoreLimit() {
+    return this.config.scoreLimit;
+  }
+
+  /**
+   * @param {Array} ranked - Contenders sorted by Match.rank
+   */
+  checkWinCondition(ranked) {
+    const scoreLimit = this.getScoreLimit();
+    return scoreLimit > 0 && ranked.length > 0 && ranked[0].score >= scoreLimit;
+  }
+
+  /**
+   * Whether a ship is on the winning side of a finished match
+   */
+  isWinner(entity, winnerId) {
+    return entity.id === winnerId;
+  }
+
+  getWinnerName(winnerId) {
+    const winner = this.getContenders().find(contender => contender.id === winnerId);
+    return winner ? winner.name : null;
+  }
+
+  /**
+   * Side standings for the scoreboard and matchEnd (null without sides)
+   */
+  getStandings() {
+    return null;
+  }
+
+  /**
+   * Extra collections merged into every gameState (sent unculled)
+   */
+  serializeModeState() {
+    return {};
+  }
+}
+
+module.exports = GameMode;
@@ -0,0 +1,41 @@
+/**
+ * Game mode registry - MATCH_MODES id → rules class
+ */
+
+const { MATCH_MODES } = require('../match');
+const GameMode = require('./game-mode');
+const TeamMode = require('./team-mode');
+const TeamDeathmatchMode = require('./team-deathmatch');
+const CaptureTheFlagMode = require('./capture-the-flag');
+
+const GAME_MODES = {
+  [MATCH_MODES.FFA]: GameMode, // The base rules are free-for-all
+  [MATCH_MODES.TDM]: TeamDeathmatchMode,
+  [MATCH_MODES.CTF]: CaptureTheFlagMode
+};
+
+/**
+ * Rules for a game; unknown modes fall back to free-for-all
+ * @param {Game} game - Game the rules apply to
+ * @param {Object} config - Match config (config.mode picks the class)
+ */
+function createGameMode(game, config) {
+  const ModeClass = GAME_MODES[config.mode] || GameMode;
+  return new ModeClass(game, config);
+}
+
+/**
+ * Whether a mode splits ships into teams (used when filling a new match)
+ */
+function isTeamMode(mode) {
+  const ModeClass = GAME_MODES[mode];
+  return !!ModeClass && ModeClass.prototype instanceof TeamMode;
+}
+
+module.exports = {
+  GameMode,
+  TeamMode,
+  GAME_MODES,
+  createGameMode,
+  isTeamMode
+};
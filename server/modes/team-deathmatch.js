@@ -0,0 +1,22 @@
+/**
+ * Team Deathmatch - red vs blue, team score is enemy kills
+ */
+
+const TeamMode = require('./team-mode');
+
+class TeamDeathmatchMode extends TeamMode {
+  onKill(victim, killer, assisters) {
+    super.onKill(victim, killer, assisters);
+
+    const killerTeam = killer ? this.teams.get(killer.team) : null;
+    if (killerTeam) {
+      killerTeam.score++;
+    }
+  }
+
+  getScoreLimit() {
+    return this.config.teamScoreLimit;
+  }
+}
+
+module.exports = TeamDeathmatchMode;
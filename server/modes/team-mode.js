@@ -0,0 +1,132 @@
+/**
+ * Team Mode - shared rules for the red vs blue modes
+ * Ships are put on a team when they join, teammates can't hurt each other
+ * unless friendlyFire is on, and the match ranks teams instead of ships.
+ */
+
+const GameMode = require('./game-mode');
+const { Match } = require('../match');
+const { TEAMS } = require('../teams');
+
+class TeamMode extends GameMode {
+  constructor(game, config) {
+    super(game, config);
+
+    // Running totals per team
+    this.teams = new Map(); // teamId -> { id, name, color, score, kills, deaths }
+    TEAMS.forEach(team => this.teams.set(team.id, { ...team, score: 0, kills: 0, deaths: 0 }));
+  }
+
+  /**
+   * The requested team if valid, otherwise whichever side is short-handed
+   */
+  onJoin(entity, preferredTeam) {
+    const team = this.teams.get(preferredTeam) || this.getSmallestTeam();
+    entity.team = team.id;
+    entity.teamColor = team.color;
+  }
+
+  /**
+   * @returns {Map} teamId -> ships (players and bots) on it
+   */
+  getTeamSizes() {
+    const counts = new Map([...this.teams.keys()].map(id => [id, 0]));
+    [...this.game.players.values(), ...this.game.bots.values()].forEach(entity => {
+      if (counts.has(entity.team)) counts.set(entity.team, counts.get(entity.team) + 1);
+    });
+    return counts;
+  }
+
+  getSmallestTeam() {
+    const counts = this.getTeamSizes();
+    let smallest = null;
+    this.teams.forEach(team => {
+      if (!smallest || counts.get(team.id) < counts.get(smallest.id)) smallest = team;
+    });
+    return smallest;
+  }
+
+  /**
+   * A bot from the biggest team, so the joiner evens the sides back out
+   */
+  pickBotToReplace() {
+    const counts = this.getTeamSizes();
+    let picked = null;
+    this.game.bots.forEach(bot => {
+      if (!picked || (counts.get(bot.team) || 0) >= (counts.get(picked.team) || 0)) picked = bot;
+    });
+    return picked;
+  }
+
+  onMatchStart() {
+    this.teams.forEach(team => {
+      team.score = 0;
+      team.kills = 0;
+      team.deaths = 0;
+    });
+  }
+
+  isAlly(a, b) {
+    return !!a && !!b && a.team != null && a.team === b.team;
+  }
+
+  /**
+   * Friendly fire off: shots pass through teammates (projectiles carry
+   * their owner's team, so this holds after the owner has left)
+   */
+  canDamage(source, target) {
+    return this.config.friendlyFire || source.team == null || source.team !== target.team;
+  }
+
+  onDamage(target, damage, attacker) {
+    if (attacker && attacker !== target && !this.config.friendlyFire && this.isAlly(attacker, target)) {
+      return 0;
+    }
+    return damage;
+  }
+
+  onKill(victim, killer, assisters) {
+    super.onKill(victim, killer, assisters);
+
+    const killerTeam = killer ? this.teams.get(killer.team) : null;
+    if (killerTeam) {
+      killerTeam.kills++;
+    }
+
+    const victimTeam = this.teams.get(victim.team);
+    if (victimTeam) {
+      victimTeam.deaths++;
+    }
+  }
+
+  getContenders() {
+    return [...this.teams.values()];
+  }
+
+  isWinner(entity, winnerId) {
+    return entity.team === winnerId;
+  }
+
+  /**
+   * Teams ranked for the scoreboard and results
+   */
+  getStandings() {
+    return Match.rank([...this.teams.values()]).map(team => ({
+      id: team.id,
+      name: team.name,
+      color: team.color,
+      score: team.score,
+      kills: team.kills,
+      deaths: team.deaths
+    }));
+  }
+
+  /**
+   * Team scoreboard (every client sees both teams' totals)
+   */
+  serializeModeState() {
+    return { teams: this.getStandings() };
+  }
+}
+
+module.exports = TeamMode;
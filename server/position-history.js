@@ -0,0 +1,83 @@
+/**
+ * Position History - short ring buffer of ship positions for lag compensation
+ *
+ * One frame is recorded per simulation tick. Hit registration can then ask
+ * where a target was at an earlier simulation time (what a laggy shooter saw
+ * on screen) instead of where it is now. Positions between two recorded
+ * ticks are linearly interpolated.
+ */
+
+class PositionHistory {
+  /**
+   * @param {number} capacity - Frames kept (rewind window = capacity ticks)
+   */
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.frames = []; // Oldest first: { time, positions: Map(id -> { x, y }) }
+  }
+
+  /**
+   * Record where every entity is at the given simulation time
+   * @param {number} time - Simulation time in seconds
+   * @param {Array} entities - Ships with id, x, y (dead ones are skipped)
+   */
+  record(time, entities) {
+    const positions = new Map();
+    entities.forEach(entity => {
+      if (entity && !entity.isDead) {
+        positions.set(entity.id, { x: entity.x, y: entity.y });
+      }
+    });
+
+    this.frames.push({ time, positions });
+    if (this.frames.length > this.capacity) {
+      this.frames.shift();
+    }
+  }
+
+  /**
+   * Where an entity was at a past simulation time
+   * @returns {Object|null} { x, y }, or null if it wasn't recorded then
+   */
+  getPosition(id, time) {
+    const frames = this.frames;
+    if (frames.length === 0) return null;
+
+    // Older than the buffer - the oldest frame is as far back as we go
+    if (time <= frames[0].time) {
+      return frames[0].positions.get(id) || null;
+    }
+
+    for (let i = frames.length - 1; i > 0; i--) {
+      const newer = frames[i];
+      const older = frames[i - 1];
+      if (time < older.time) continue;
+
+      const from = older.positions.get(id);
+      const to = newer.positions.get(id);
+      if (!from || !to) return to || from || null;
+
+      const span = newer.time - older.time;
+      const t = span > 0 ? Math.min(1, (time - older.time) / span) : 1;
+      return {
+        x: from.x + (to.x - from.x) * t,
+        y: from.y + (to.y - from.y) * t
+      };
+    }
+
+    return frames[frames.length - 1].positions.get(id) || null;
+  }
+
+  /**
+   * Drop an entity's past positions (respawn teleport, left the game)
+   */
+  forget(id) {
+    this.frames.forEach(frame => frame.positions.delete(id));
+  }
+
+  clear() {
+    this.frames = [];
+  }
+}
+
+module.exports = PositionHistory;
@@ -0,0 +1,55 @@
+/**
+ * Seeded PRNG (mulberry32) for the deterministic simulation
+ *
+ * Every random decision in a game (spawns, bot personalities, AI wandering)
+ * goes through the game's own Random instance instead of Math.random(), so a
+ * game's seed plus its inputs reproduce the exact same match.
+ */
+
+class Random {
+  /**
+   * @param {number} [seed] - 32-bit seed (a random one if omitted)
+   */
+  constructor(seed = Random.randomSeed()) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * @returns {number} Float in [0, 1), drop-in for Math.random()
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * @returns {number} Float in [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * @returns {number} Integer in [0, max)
+   */
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * @returns {*} Random element of a non-empty array
+   */
+  pick(array) {
+    return array[this.int(array.length)];
+  }
+
+  static randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+  }
+}
+
+module.exports = Random;
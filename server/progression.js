@@ -0,0 +1,341 @@
+/**
+ * Player Progression - XP, levels, credits, unlocks, achievements and daily
+ * challenges, kept on the server with the player's account
+ *
+ * Every grant is computed here from server-side match results, so clients
+ * only display what they are sent (see client/systems/progression.js).
+ */
+
+const { Match } = require('./match');
+const { getDefinitions, getWeapon } = require('./definitions');
+
+const MAX_LEVEL = 50;
+const STARTING_CREDITS = 1000;
+const LEVEL_UP_CREDITS = 100;       // × the level reached
+const DAILY_CHALLENGE_COUNT = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// XP needed to go from level - 1 to level (exponential curve with some smoothing)
+const XP_TABLE = [];
+for (let level = 1; level <= MAX_LEVEL; level++) {
+  XP_TABLE[level] = Math.floor(100 * Math.pow(1.5, level / 10) * level);
+}
+
+// What unlocks at each level (weapon items are weapon ids in shared/data/weapons.json)
+const UNLOCK_TREE = {
+  2: { type: 'ship', item: 'Gunship', name: 'Gunship Unlocked!' },
+  3: { type: 'ability', item: 'boost', name: 'Boost Ability' },
+  5: { type: 'skin', item: 'carbon', name: 'Carbon Skin' },
+  7: { type: 'weapon', item: 'plasma', name: 'Plasma Cannon' },
+  10: { type: 'ship', item: 'Cruiser', name: 'Cruiser Unlocked!' },
+  12: { type: 'title', item: 'Veteran', name: 'Veteran Title' },
+  15: { type: 'skin', item: 'neon', name: 'Neon Skin' },
+  18: { type: 'ability', item: 'shield', name: 'Shield Ability' },
+  20: { type: 'weapon', item: 'heavy-cannon', name: 'Heavy Cannon' },
+  25: { type: 'title', item: 'Ace', name: 'Ace Pilot Title' },
+  28: { type: 'weapon', item: 'laser', name: 'Laser Beam' },
+  30: { type: 'skin', item: 'golden', name: 'Golden Skin' },
+  35: { type: 'ship', item: 'Dreadnought', name: 'Dreadnought Unlocked!' },
+  40: { type: 'ability', item: 'cloak', name: 'Cloaking Device' },
+  45: { type: 'title', item: 'Legend', name: 'Legendary Title' },
+  50: { type: 'skin', item: 'galaxy', name: 'Galaxy Skin' }
+};
+
+// Where each unlock type is kept in progression.unlocks
+const UNLOCK_COLLECTIONS = {
+  ship: 'ships',
+  skin: 'skins',
+  weapon: 'weapons',
+  ability: 'abilities',
+  title: 'titles'
+};
+
+const ACHIEVEMENTS = [
+  {
+    id: 'first_blood',
+    name: 'First Blood',
+    description: 'Get your first kill',
+    condition: (stats) => stats.kills >= 1,
+    xpReward: 500,
+    icon: '🎯'
+  },
+  {
+    id: 'sharpshooter',
+    name: 'Sharpshooter',
+    description: 'Get 100 kills',
+    condition: (stats) => stats.kills >= 100,
+    xpReward: 2000,
+    icon: '🎯'
+  },
+  {
+    id: 'survivor',
+    name: 'Survivor',
+    description: 'Win a match without dying',
+    condition: (stats, lastMatch) => lastMatch && lastMatch.won && lastMatch.deaths === 0,
+    xpReward: 3000,
+    icon: '🛡️'
+  },
+  {
+    id: 'killing_spree',
+    name: 'Killing Spree',
+    description: 'Get a 10 kill streak',
+    condition: (stats) => stats.highestKillStreak >= 10,
+    xpReward: 2500,
+    icon: '🔥'
+  },
+  {
+    id: 'dedicated',
+    name: 'Dedicated Pilot',
+    description: 'Play 100 matches',
+    condition: (stats) => stats.matchesPlayed >= 100,
+    xpReward: 5000,
+    icon: '⭐'
+  },
+  {
+    id: 'dominator',
+    name: 'Dominator',
+    description: 'Deal 1,000,000 total damage',
+    condition: (stats) => stats.damageDealt >= 1000000,
+    xpReward: 10000,
+    icon: '💥'
+  }
+];
+
+const CHALLENGE_TEMPLATES = [
+  { text: 'Get 10 kills', target: 10, type: 'kills', xp: 500 },
+  { text: 'Deal 5000 damage', target: 5000, type: 'damage', xp: 500 },
+  { text: 'Win 3 matches', target: 3, type: 'wins', xp: 750 },
+  { text: 'Play 5 matches', target: 5, type: 'matches', xp: 400 },
+  { text: 'Get 5 kill streak', target: 5, type: 'streak', xp: 600 },
+  { text: 'Survive 10 minutes total', target: 600, type: 'survivalTime', xp: 500 }
+];
+
+/**
+ * Fresh progression for a new account
+ */
+function createProgression(now = Date.now()) {
+  return {
+    level: 1,
+    xp: 0, // Towards the next level
+    totalXP: 0,
+    credits: STARTING_CREDITS,
+    stats: {
+      kills: 0,
+      deaths: 0,
+      assists: 0,
+      damageDealt: 0,
+      matchesPlayed: 0,
+      matchesWon: 0,
+      highestKillStreak: 0,
+      playTime: 0
+    },
+    unlocks: {
+      ships: ['Interceptor'],
+      skins: ['default'],
+      weapons: ['blaster'],
+      abilities: [],
+      titles: ['Rookie']
+    },
+    achievements: [],
+    dailyProgress: {
+      lastReset: now,
+      challenges: generateDailyChallenges(now),
+      loginStreak: 1,
+      lastLogin: now
+    },
+    equipped: {
+      ship: 'Interceptor',
+      skin: 'default',
+      weapon: 'blaster',
+      secondary: null, // Secondary weapon loadout (null = the ship's own)
+      title: 'Rookie'
+    }
+  };
+}
+
+function generateDailyChallenges(now) {
+  const indices = CHALLENGE_TEMPLATES.map((template, index) => index);
+  const challenges = [];
+  while (challenges.length < DAILY_CHALLENGE_COUNT) {
+    const [index] = indices.splice(Math.floor(Math.random() * indices.length), 1);
+    challenges.push({
+      ...CHALLENGE_TEMPLATES[index],
+      id: `daily_${index}_${now}`,
+      progress: 0,
+      completed: false
+    });
+  }
+  return challenges;
+}
+
+/**
+ * What a grant pass hands back to the client (see applyMatch)
+ */
+function createSummary() {
+  return { xpEarned: 0, creditsEarned: 0, rewards: [], levelUps: [], unlocks: [], achievements: [] };
+}
+
+function addXP(progression, amount, reason, summary) {
+  progression.xp += amount;
+  progression.totalXP += amount;
+  summary.xpEarned += amount;
+  summary.rewards.push({ amount: amount, reason: reason });
+
+  while (progression.level < MAX_LEVEL && progression.xp >= XP_TABLE[progression.level + 1]) {
+    progression.xp -= XP_TABLE[progression.level + 1];
+    progression.level++;
+    summary.levelUps.push(progression.level);
+
+    const unlock = UNLOCK_TREE[progression.level];
+    if (unlock) {
+      progression.unlocks[UNLOCK_COLLECTIONS[unlock.type]].push(unlock.item);
+      summary.unlocks.push(unlock);
+    }
+
+    const credits = LEVEL_UP_CREDITS * progression.level;
+    progression.credits += credits;
+    summary.creditsEarned += credits;
+  }
+}
+
+/**
+ * Grant a finished match: stats, match XP, daily challenges, achievements
+ * @param {Object} match - Server match stats plus won
+ * @returns {Object} Summary of what was granted
+ */
+function applyMatch(progression, match) {
+  const summary = createSummary();
+  const stats = progression.stats;
+
+  stats.kills += match.kills || 0;
+  stats.deaths += match.deaths || 0;
+  stats.assists += match.assists || 0;
+  stats.damageDealt += match.damage || 0;
+  stats.playTime += match.survivalTime || 0;
+  stats.matchesPlayed++;
+  if (match.won) {
+    stats.matchesWon++;
+  }
+  stats.highestKillStreak = Math.max(stats.highestKillStreak, match.highestKillStreak || 0);
+
+  progression.dailyProgress.challenges.forEach(challenge => {
+    if (challenge.completed) return;
+
+    const progress = {
+      kills: match.kills || 0,
+      damage: match.damage || 0,
+      wins: match.won ? 1 : 0,
+      matches: 1,
+      streak: (match.highestKillStreak || 0) >= challenge.target ? challenge.target : 0,
+      survivalTime: match.survivalTime || 0
+    }[challenge.type] || 0;
+
+    challenge.progress = Math.min(challenge.target, challenge.progress + progress);
+    if (challenge.progress >= challenge.target) {
+      challenge.completed = true;
+      addXP(progression, challenge.xp, `Challenge: ${challenge.text}`, summary);
+    }
+  });
+
+  ACHIEVEMENTS.forEach(achievement => {
+    if (progression.achievements.includes(achievement.id)) return;
+    if (achievement.condition(stats, match)) {
+      progression.achievements.push(achievement.id);
+      summary.achievements.push(serializeAchievement(achievement));
+      addXP(progression, achievement.xpReward, `Achievement: ${achievement.name}`, summary);
+    }
+  });
+
+  addXP(progression, Match.calculateXP(match, match.won), 'Match Complete', summary);
+  return summary;
+}
+
+/**
+ * New day: fresh challenges and the login streak bonus
+ * @returns {Object|null} Summary when a reset happened
+ */
+function checkDailyReset(progression, now = Date.now()) {
+  const daily = progression.dailyProgress;
+  if (now - daily.lastReset <= DAY_MS) return null;
+
+  const summary = createSummary();
+  daily.challenges = generateDailyChallenges(now);
+  daily.lastReset = now;
+
+  if (now - daily.lastLogin < 2 * DAY_MS) {
+    daily.loginStreak++;
+    addXP(progression, 100 * daily.loginStreak, 'Login Streak Bonus', summary);
+  } else {
+    daily.loginStreak = 1;
+  }
+  daily.lastLogin = now;
+  return summary;
+}
+
+function serializeAchievement(achievement) {
+  const { condition, ...fields } = achievement;
+  return fields;
+}
+
+/**
+ * Secondary weapons the player can equip: every ship's own secondary, the
+ * weapons their level has reached in UNLOCK_TREE and any other unlocks.
+ * Going by the level means accounts that passed a level before its weapon
+ * was added to the tree still get it.
+ * @returns {string[]} Weapon ids
+ */
+function getAvailableSecondaries(progression) {
+  const available = new Set(getDefinitions().ships.map(ship => ship.secondaryWeapon));
+  progression.unlocks.weapons.forEach(id => available.add(id));
+  Object.keys(UNLOCK_TREE).forEach(level => {
+    const unlock = UNLOCK_TREE[level];
+    if (unlock.type === 'weapon' && Number(level) <= progression.level) {
+      available.add(unlock.item);
+    }
+  });
+
+  return getDefinitions().weapons
+    .filter(weapon => weapon.slot === 'secondary' && available.has(weapon.id))
+    .map(weapon => weapon.id);
+}
+
+/**
+ * Equip a secondary weapon loadout
+ * @param {string|null} weaponId - null goes back to the ship's own secondary
+ * @returns {string|null} Why it can't be equipped, or null when equipped
+ */
+function equipSecondary(progression, weaponId) {
+  if (weaponId !== null) {
+    const weapon = getWeapon(weaponId);
+    if (!weapon || weapon.slot !== 'secondary') {
+      return 'Unknown secondary weapon';
+    }
+    if (!getAvailableSecondaries(progression).includes(weaponId)) {
+      return `${weapon.name} is not unlocked yet`;
+    }
+  }
+  progression.equipped.secondary = weaponId;
+  return null;
+}
+
+/**
+ * Client view (adds the XP needed for the next level)
+ */
+function serializeProgression(progression) {
+  return {
+    ...progression,
+    nextLevelXP: progression.level < MAX_LEVEL ? XP_TABLE[progression.level + 1] : null,
+    secondaries: getAvailableSecondaries(progression)
+  };
+}
+
+module.exports = {
+  createProgression,
+  applyMatch,
+  checkDailyReset,
+  serializeProgression,
+  equipSecondary,
+  ACHIEVEMENTS,
+  UNLOCK_TREE,
+  MAX_LEVEL
+};
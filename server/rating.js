@@ -0,0 +1,103 @@
+/**
+ * Player Ratings - Elo skill ratings for matchmaking
+ *
+ * Every finished match is scored as a round of pairwise results: each human
+ * is compared with every other ship by placement (team placement in team
+ * modes), bots standing in at their difficulty's fixed rating. The store
+ * behind the service is pluggable (see store.js); records are
+ * { rating, games, updatedAt } keyed by account id.
+ */
+
+const { MemoryStore } = require('./store');
+
+const DEFAULT_RATING = 1200;
+const K_FACTOR = 32;              // Max rating swing per match once established
+const PROVISIONAL_K_FACTOR = 64;  // New players move faster to their real level
+const PROVISIONAL_GAMES = 10;
+
+class RatingService {
+  /**
+   * @param {Object} store - { get(key), set(key, record), delete(key) }
+   */
+  constructor(store = new MemoryStore()) {
+    this.store = store;
+  }
+
+  /**
+   * @param {string|null} key - Account id (null plays unrated)
+   */
+  getRating(key) {
+    const record = key ? this.store.get(key) : null;
+    return record ? record.rating : DEFAULT_RATING;
+  }
+
+  /**
+   * Persist pending changes now (shutdown); a no-op for stores without save()
+   */
+  flush() {
+    if (typeof this.store.save === 'function') {
+      this.store.save();
+    }
+  }
+
+  /**
+   * Drop a deleted account's rating
+   */
+  remove(key) {
+    this.store.delete(key);
+  }
+
+  /**
+   * Expected score of a against b (0..1)
+   */
+  static expectedScore(ratingA, ratingB) {
+    return 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+  }
+
+  /**
+   * Rate a finished match. Participants with a key are updated; the others
+   * (bots, guests) only act as opponents.
+   * @param {Array} participants - [{ key, rating, placement }], lower placement = better
+   * @returns {Map} key -> { rating, change }
+   */
+  recordMatch(participants) {
+    const updates = new Map();
+    if (participants.length < 2) return updates;
+
+    participants.forEach(participant => {
+      if (!participant.key || updates.has(participant.key)) return;
+
+      let actual = 0;
+      let expected = 0;
+      participants.forEach(opponent => {
+        if (opponent === participant) return;
+        if (participant.placement < opponent.placement) actual += 1;
+        else if (participant.placement === opponent.placement) actual += 0.5;
+        expected += RatingService.expectedScore(participant.rating, opponent.rating);
+      });
+
+      const record = this.store.get(participant.key) || { rating: DEFAULT_RATING, games: 0 };
+      const kFactor = record.games < PROVISIONAL_GAMES ? PROVISIONAL_K_FACTOR : K_FACTOR;
+      const change = Math.round(kFactor * (actual - expected) / (participants.length - 1));
+
+      updates.set(participant.key, { rating: record.rating + change, change: change });
+    });
+
+    // Applied after every change is computed so all pairs use pre-match ratings
+    updates.forEach((update, key) => {
+      const record = this.store.get(key) || { rating: DEFAULT_RATING, games: 0 };
+      this.store.set(key, {
+        rating: update.rating,
+        games: record.games + 1,
+        updatedAt: Date.now()
+      });
+    });
+
+    return updates;
+  }
+}
+
+module.exports = {
+  RatingService,
+  DEFAULT_RATING
+};
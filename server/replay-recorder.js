@@ -0,0 +1,188 @@
+/**
+ * Replay Recorder - server-authoritative match log
+ *
+ * Writes one gzipped NDJSON file per match (replays/<id>.ndjson.gz), one
+ * JSON object per line:
+ *   { type: 'header', version, id, gameId, seed, tickRate, worldSize, startedAt }
+ *   { type: 'tick', tick, inputs: [[playerId, input], ...], snapshot }
+ *   { type: 'end', tick, endedAt }
+ *
+ * `inputs` lists the inputs processed during that tick (omitted when none) and
+ * `snapshot` is present every SNAPSHOT_INTERVAL ticks. Snapshots use the
+ * delta format from snapshot.js, each one against the previous, with a full
+ * keyframe every KEYFRAME_INTERVAL ticks so viewers can seek without
+ * decoding from the start.
+ *
+ * The file is written as <id>.ndjson.gz.part and renamed when the match
+ * ends, so only complete replays are listed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { SnapshotEncoder } = require('./snapshot');
+
+const REPLAY_VERSION = 1;
+const SNAPSHOT_INTERVAL = 3;   // Ticks between recorded snapshots (20Hz at 60Hz)
+const KEYFRAME_INTERVAL = 300; // Ticks between full snapshots (5s at 60Hz)
+const REPLAY_EXTENSION = '.ndjson.gz';
+const PARTIAL_EXTENSION = '.part';
+
+// Input fields worth keeping (clients can send anything)
+const INPUT_KEYS = ['seq', 'forward', 'backward', 'left', 'right', 'brake', 'fire', 'secondaryFire', 'angle'];
+
+class ReplayRecorder {
+  /**
+   * @param {string} directory - Where replay files go (created if missing)
+   * @param {Object} info - { gameId, seed, tickRate, worldSize }
+   */
+  constructor(directory, info) {
+    this.directory = directory;
+    this.id = `${info.gameId}_${Date.now()}`;
+    this.filePath = path.join(directory, this.id + REPLAY_EXTENSION);
+    this.partialPath = this.filePath + PARTIAL_EXTENSION;
+
+    this.snapshots = new SnapshotEncoder();
+    this.pendingInputs = [];
+    this.failed = false;
+    this.closed = false;
+
+    // CRASH PREVENTION: A full disk or bad path stops recording, never the game
+    try {
+      fs.mkdirSync(directory, { recursive: true });
+      this.gzip = zlib.createGzip();
+      this.file = fs.createWriteStream(this.partialPath);
+      this.gzip.on('error', err => this.handleError(err));
+      this.file.on('error', err => this.handleError(err));
+      this.gzip.pipe(this.file);
+    } catch (err) {
+      this.handleError(err);
+      return;
+    }
+
+    this.writeLine({
+      type: 'header',
+      version: REPLAY_VERSION,
+      id: this.id,
+      gameId: info.gameId,
+      seed: info.seed,
+      tickRate: info.tickRate,
+      worldSize: info.worldSize,
+      startedAt: Date.now()
+    });
+  }
+
+  /**
+   * An input processed this tick (flushed with the tick's line)
+   */
+  recordInput(playerId, input) {
+    if (this.failed || this.closed) return;
+
+    const recorded = {};
+    INPUT_KEYS.forEach(key => {
+      if (input[key] !== undefined) recorded[key] = input[key];
+    });
+    this.pendingInputs.push([playerId, recorded]);
+  }
+
+  /**
+   * Close out a tick: its inputs plus, at the snapshot rate, the world state
+   * @param {number} tick - Game.tickCount
+   * @param {number} time - Simulation time in seconds
+   * @param {Object} state - Full (unculled) Game.getGameState()
+   */
+  recordTick(tick, time, state) {
+    if (this.failed || this.closed) return;
+
+    const line = { type: 'tick', tick: tick };
+    if (this.pendingInputs.length > 0) {
+      line.inputs = this.pendingInputs;
+      this.pendingInputs = [];
+    }
+
+    if (tick % SNAPSHOT_INTERVAL === 0) {
+      if (tick % KEYFRAME_INTERVAL === 0) {
+        this.snapshots.reset();
+      }
+      const snapshot = this.snapshots.encode(state, time);
+      this.snapshots.acknowledge(snapshot.seq); // Next one is a delta against this
+      line.snapshot = snapshot;
+    }
+
+    if (line.inputs || line.snapshot) {
+      this.writeLine(line);
+    }
+  }
+
+  /**
+   * Finish the file and make it visible to the replay list
+   */
+  close(tick) {
+    if (this.closed) return;
+    this.closed = true;
+    if (this.failed) return;
+
+    this.writeLine({ type: 'end', tick: tick, endedAt: Date.now() });
+    this.file.on('finish', () => {
+      fs.rename(this.partialPath, this.filePath, err => {
+        if (err) {
+          console.error('[Replay] Rename error:', err.message);
+          return;
+        }
+        console.log(`[Replay] Saved ${this.id}`);
+      });
+    });
+    this.gzip.end();
+  }
+
+  writeLine(object) {
+    this.gzip.write(JSON.stringify(object) + '\n');
+  }
+
+  handleError(err) {
+    if (this.failed) return;
+    this.failed = true;
+    console.error(`[Replay] Recording ${this.id} stopped:`, err.message);
+  }
+}
+
+/**
+ * Finished replays in a directory, newest first
+ * @returns {Array} [{ id, size, createdAt }]
+ */
+function listReplays(directory) {
+  let files;
+  try {
+    files = fs.readdirSync(directory);
+  } catch (err) {
+    return []; // Nothing recorded yet
+  }
+
+  return files
+    .filter(file => file.endsWith(REPLAY_EXTENSION))
+    .map(file => {
+      const stats = fs.statSync(path.join(directory, file));
+      return {
+        id: file.slice(0, -REPLAY_EXTENSION.length),
+        size: stats.size,
+        createdAt: stats.mtimeMs
+      };
+    })
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Path of a finished replay, or null for unknown/unsafe ids
+ */
+function getReplayPath(directory, id) {
+  if (typeof id !== 'string' || !/^[\w-]+$/.test(id)) return null;
+
+  const filePath = path.join(directory, id + REPLAY_EXTENSION);
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+module.exports = {
+  ReplayRecorder,
+  listReplays,
+  getReplayPath
+};
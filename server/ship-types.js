@@ -1,104 +1,114 @@
 /**
- * Ship Type Configuration System - ASTEROIDS-STYLE SPEEDS
+ * Ship Type Configuration System - BALANCED COMBAT EDITION
  *
- * Balanced for Asteroids-style gameplay with slower, more controlled movement
+ * Optimized for deliberate, tactical combat with 5-15 second engagements
+ * Fire rates reduced for strategic shooting, damage increased for impact
+ *
+ * Design Philosophy:
+ * - Every shot should feel meaningful
+ * - Combat should last 5-15 seconds
+ * - Players need time to react and strategize
+ * - Skill should be rewarded over spam
  */
 
-const SHIP_TYPES = {
-  INTERCEPTOR: {
-    id: 'interceptor',
-    name: 'Interceptor',
-    description: 'Fast and agile fighter - hit and run tactics',
-
-    // Stats (Fast action gameplay)
-    maxHealth: 60,
-    maxSpeed: 300,           // Reduced from 500 for bots
-    acceleration: 400,       // Reduced from 800
-    rotationSpeed: 6.0,      // Fast rotation
-    friction: 0.99,          // Low friction = drift          
-
-    // Combat (slower bullets = visible)
-    fireRate: 500,           // Increased from 200 (was 5 shots/sec, now 2 shots/sec)           
-    projectileSpeed: 400,    // Faster bullets
-    projectileDamage: 15,    
-    projectileLifetime: 2.5, // Increased range to compensate
-
-    // Visual
-    size: 25,
-    color: '#00FFFF',        
-    shape: 'triangle',       
-
-    // Gameplay
-    difficulty: 'Medium',
-    role: 'Skirmisher'
-  },
-
-  GUNSHIP: {
-    id: 'gunship',
-    name: 'Gunship',
-    description: 'Balanced combat vessel - all-around performance',
-
-    // Stats (Fast action gameplay - balanced)
-    maxHealth: 100,
-    maxSpeed: 250,           // Reduced from 420
-    acceleration: 350,       // Reduced from 650
-    rotationSpeed: 4.5,      // Good rotation
-    friction: 0.985,         // Low friction for drift          
-
-    // Combat
-    fireRate: 600,           // Increased from 300 (was 3.3 shots/sec, now 1.67 shots/sec)           
-    projectileSpeed: 350,    // Fast bullets
-    projectileDamage: 25,    
-    projectileLifetime: 3.0, 
-
-    // Visual
-    size: 30,
-    color: '#FFD700',        
-    shape: 'rectangle',      
-
-    // Gameplay
-    difficulty: 'Easy',
-    role: 'All-Rounder'
-  },
-
-  CRUISER: {
-    id: 'cruiser',
-    name: 'Cruiser',
-    description: 'Heavy battleship - devastating firepower',
-
-    // Stats (Fast action gameplay - heavy but powerful)
-    maxHealth: 150,
-    maxSpeed: 200,           // Reduced from 360
-    acceleration: 250,       // Reduced from 500
-    rotationSpeed: 3.0,      // Slower rotation
-    friction: 0.97,          // More friction for heavy          
-
-    // Combat
-    fireRate: 800,           // Increased from 500 (was 2 shots/sec, now 1.25 shots/sec)           
-    projectileSpeed: 300,    // Decent bullets
-    projectileDamage: 40,    
-    projectileLifetime: 4.0, 
-
-    // Visual
-    size: 40,
-    color: '#FF4444',        
-    shape: 'hexagon',        
-
-    // Gameplay
-    difficulty: 'Hard',
-    role: 'Tank'
-  }
+const { getDefinitions } = require('./definitions');
+
+// Hull stats come from shared/data/ships.json (validated by definitions.js),
+// keyed by upper-case id: SHIP_TYPES.INTERCEPTOR
+const definitions = getDefinitions();
+const SHIP_TYPES = {};
+definitions.ships.forEach(ship => {
+  SHIP_TYPES[ship.id.toUpperCase()] = ship;
+});
+const DEFAULT_SHIP_TYPE = definitions.defaultShip.toUpperCase();
+
+// Combat balance configuration
+const COMBAT_CONFIG = {
+  // Global modifiers for testing
+  FIRE_RATE_MODIFIER: 1.0,     // Multiply all fire rates (higher = slower)
+  DAMAGE_MODIFIER: 1.0,         // Multiply all damage
+  PROJECTILE_SPEED_MODIFIER: 1.0, // Multiply all projectile speeds
+
+  // Hit registration
+  HIT_RADIUS: 20,               // Base hit detection radius
+  HEADSHOT_RADIUS: 5,           // Precision hit zone for bonus damage
+
+  // Combat feedback
+  ENABLE_SCREEN_SHAKE: true,
+  ENABLE_HIT_MARKERS: true,
+  ENABLE_DAMAGE_NUMBERS: true,
+  ENABLE_CRITICAL_HITS: true,
+
+  // Engagement ranges (for AI and HUD indicators)
+  CLOSE_RANGE: 200,
+  MEDIUM_RANGE: 400,
+  LONG_RANGE: 600,
+
+  // Time-to-kill targets
+  MIN_TTK: 3,                   // Minimum seconds (glass cannon vs tank)
+  TARGET_TTK: 8,                // Target average engagement time
+  MAX_TTK: 15,                  // Maximum seconds (tank vs tank)
+
+  // Respawn and recovery
+  RESPAWN_TIME: 3,              // Seconds
+  SHIELD_REGEN_DELAY: 5,        // Seconds after taking damage
+  SHIELD_REGEN_RATE: 10,        // Points per second
+
+  // Energy (drained by beam weapons)
+  MAX_ENERGY: 100,
+  ENERGY_REGEN_RATE: 20,        // Points per second while not firing a beam
 };
 
-function getShipConfig(shipType) {
-  const type = shipType ? shipType.toUpperCase() : 'GUNSHIP';
+// Helper function to get ship config with modifiers applied
+function getShipConfig(shipType, applyModifiers = true) {
+  let type = shipType ? shipType.toUpperCase() : DEFAULT_SHIP_TYPE;
 
   if (!SHIP_TYPES[type]) {
-    console.warn(`[ShipTypes] Unknown ship type "${shipType}", defaulting to Gunship`);
-    return SHIP_TYPES.GUNSHIP;
+    console.warn(`[ShipTypes] Unknown ship type "${shipType}", defaulting to ${SHIP_TYPES[DEFAULT_SHIP_TYPE].name}`);
+    type = DEFAULT_SHIP_TYPE;
   }
 
-  return SHIP_TYPES[type];
+  const config = { ...SHIP_TYPES[type] };
+
+  if (applyModifiers) {
+    // Apply global combat modifiers for easy testing
+    config.fireRate *= COMBAT_CONFIG.FIRE_RATE_MODIFIER;
+    config.projectileDamage *= COMBAT_CONFIG.DAMAGE_MODIFIER;
+    config.projectileSpeed *= COMBAT_CONFIG.PROJECTILE_SPEED_MODIFIER;
+  }
+
+  return config;
+}
+
+// Calculate actual time-to-kill between ship types
+function calculateTTK(attackerType, defenderType) {
+  const attacker = getShipConfig(attackerType);
+  const defender = getShipConfig(defenderType);
+
+  const shotsToKill = Math.ceil(defender.maxHealth / attacker.projectileDamage);
+  const timeToKill = (shotsToKill - 1) * (attacker.fireRate / 1000);
+
+  return {
+    shotsRequired: shotsToKill,
+    timeToKill: timeToKill,
+    attackerType: attacker.name,
+    defenderType: defender.name
+  };
+}
+
+// Get combat balance matrix for all ship matchups
+function getCombatMatrix() {
+  const ships = Object.keys(SHIP_TYPES);
+  const matrix = {};
+
+  ships.forEach(attacker => {
+    matrix[attacker] = {};
+    ships.forEach(defender => {
+      matrix[attacker][defender] = calculateTTK(attacker, defender);
+    });
+  });
+
+  return matrix;
 }
 
 function getAllShipTypes() {
@@ -106,18 +116,22 @@ function getAllShipTypes() {
 }
 
 function isValidShipType(shipType) {
-  if (!shipType) return false;
+  // CRASH PREVENTION: shipType comes straight from socket data and may not be a string
+  if (typeof shipType !== 'string' || !shipType) return false;
   return SHIP_TYPES.hasOwnProperty(shipType.toUpperCase());
 }
 
 function getDefaultShip() {
-  return SHIP_TYPES.GUNSHIP;
+  return SHIP_TYPES[DEFAULT_SHIP_TYPE];
 }
 
 module.exports = {
   SHIP_TYPES,
+  COMBAT_CONFIG,
   getShipConfig,
   getAllShipTypes,
   isValidShipType,
-  getDefaultShip
-};
+  getDefaultShip,
+  calculateTTK,
+  getCombatMatrix
+};
\ No newline at end of file
@@ -0,0 +1,239 @@
+/**
+ * Delta Snapshots - per-client delta compression of game state
+ *
+ * Every broadcast is captured as a numbered snapshot. The client acknowledges
+ * the last snapshot it decoded (snapshotAck); the next one it receives is
+ * encoded against that baseline and only carries:
+ *   - top-level values that changed (worldSize, match, ...)
+ *   - per entity collection: added entities, changed fields, removed ids
+ *
+ * Positions and rotations are extrapolated from the baseline's velocities on
+ * both ends, so an entity coasting in a straight line costs nothing until it
+ * drifts past the tolerance.
+ *
+ * A client without a usable baseline gets a full snapshot (baseline: null).
+ * Wire format (decoded by client/snapshot-decoder.js):
+ *   {
+ *     seq: 42,
+ *     baseline: 37,                       // or null for a full snapshot
+ *     time: 12.345,                       // simulation clock for extrapolation
+ *     values: { match: {...} },           // changed top-level values
+ *     collections: {
+ *       players: { added: [...], changed: [{ id, x, y }], removed: ['id'] }
+ *     }
+ *   }
+ */
+
+const { quantize } = require('../shared/wire-codec');
+
+const SNAPSHOT_HISTORY = 64; // Baselines kept per client (~1s at 60Hz)
+
+// Fields the client extrapolates from the baseline: field -> rate field (units per second).
+// They are only sent when the extrapolation drifts past the tolerance.
+const EXTRAPOLATED_FIELDS = {
+  x: 'velocityX',
+  y: 'velocityY',
+  rotation: 'angularVelocity'
+};
+const EXTRAPOLATION_TOLERANCE = {
+  x: 0.5,
+  y: 0.5,
+  rotation: 0.02
+};
+
+/**
+ * Round every number to its wire precision so sub-precision jitter doesn't count as a change
+ */
+function quantizeEntity(entity) {
+  const quantized = {};
+  for (const key in entity) {
+    const value = entity[key];
+    quantized[key] = typeof value === 'number' ? quantize(key, value) : value;
+  }
+  return quantized;
+}
+
+/**
+ * Split a game state into top-level values and id-keyed entity collections
+ */
+function captureState(state) {
+  const values = {};
+  const collections = {};
+
+  for (const key in state) {
+    const value = state[key];
+    if (Array.isArray(value)) {
+      const entities = new Map();
+      value.forEach(entity => entities.set(entity.id, quantizeEntity(entity)));
+      collections[key] = entities;
+    } else {
+      values[key] = JSON.stringify(value);
+    }
+  }
+
+  return { values, collections };
+}
+
+/**
+ * Distance between two field values (rotations wrap around)
+ */
+function fieldDistance(key, a, b) {
+  const distance = Math.abs(a - b);
+  if (key !== 'rotation') return distance;
+  const wrapped = distance % (Math.PI * 2);
+  return Math.min(wrapped, Math.PI * 2 - wrapped);
+}
+
+/**
+ * Where the client will put an extrapolated field, or undefined if it can't
+ */
+function extrapolate(entity, key, elapsed) {
+  const rateKey = EXTRAPOLATED_FIELDS[key];
+  if (!rateKey || typeof entity[key] !== 'number' || typeof entity[rateKey] !== 'number') {
+    return undefined;
+  }
+  return quantize(key, entity[key] + entity[rateKey] * elapsed);
+}
+
+/**
+ * Diff one entity against what the client holds for it
+ * @returns {Object} { changed: fields to send (or null), known: the client's resulting copy }
+ */
+function diffEntity(previous, current, elapsed) {
+  let changed = null;
+  const known = {};
+
+  for (const key in current) {
+    const value = current[key];
+    const predicted = extrapolate(previous, key, elapsed);
+
+    if (predicted !== undefined && typeof value === 'number' &&
+        fieldDistance(key, value, predicted) <= EXTRAPOLATION_TOLERANCE[key]) {
+      known[key] = predicted;
+      continue;
+    }
+
+    if (predicted === undefined &&
+        (value === previous[key] || JSON.stringify(value) === JSON.stringify(previous[key]))) {
+      known[key] = previous[key];
+      continue;
+    }
+
+    changed = changed || { id: current.id };
+    changed[key] = value;
+    known[key] = value;
+  }
+
+  // Fields that disappeared are sent as null
+  for (const key in previous) {
+    if (!(key in current)) {
+      changed = changed || { id: current.id };
+      changed[key] = null;
+    }
+  }
+
+  return { changed, known };
+}
+
+class SnapshotEncoder {
+  constructor() {
+    this.seq = 0;
+    this.ackedSeq = null;
+    this.history = new Map(); // seq -> captured snapshot
+  }
+
+  /**
+   * Capture a state and encode it against the client's acknowledged baseline
+   * @param {Object} state - Output of Game.getGameState()
+   * @param {number} time - Simulation time in seconds (extrapolation clock)
+   * @returns {Object} Delta message ready to emit
+   */
+  encode(state, time) {
+    const seq = ++this.seq;
+    const current = captureState(state);
+    const baseline = this.ackedSeq !== null ? this.history.get(this.ackedSeq) : null;
+    const snapshotTime = Math.round(time * 1000) / 1000;
+    const elapsed = baseline ? snapshotTime - baseline.time : 0;
+
+    const message = {
+      seq: seq,
+      baseline: baseline ? this.ackedSeq : null,
+      time: snapshotTime,
+      values: {},
+      collections: {}
+    };
+
+    // What the client will hold after decoding this message (next baseline candidate)
+    const known = { time: snapshotTime, values: current.values, collections: {} };
+
+    for (const key in current.values) {
+      if (!baseline || baseline.values[key] !== current.values[key]) {
+        message.values[key] = JSON.parse(current.values[key]);
+      }
+    }
+
+    for (const key in current.collections) {
+      const entities = current.collections[key];
+      const previous = baseline && baseline.collections[key] ? baseline.collections[key] : new Map();
+      const knownEntities = new Map();
+      const delta = { added: [], changed: [], removed: [] };
+
+      entities.forEach((entity, id) => {
+        const previousEntity = previous.get(id);
+        if (!previousEntity) {
+          delta.added.push(entity);
+          knownEntities.set(id, entity);
+        } else {
+          const diff = diffEntity(previousEntity, entity, elapsed);
+          if (diff.changed) delta.changed.push(diff.changed);
+          knownEntities.set(id, diff.known);
+        }
+      });
+
+      previous.forEach((entity, id) => {
+        if (!entities.has(id)) delta.removed.push(id);
+      });
+
+      known.collections[key] = knownEntities;
+
+      // Full snapshots always list every collection so empty ones exist on the client
+      if (!baseline || delta.added.length || delta.changed.length || delta.removed.length) {
+        message.collections[key] = delta;
+      }
+    }
+
+    this.history.set(seq, known);
+
+    // Drop baselines the client can no longer reference
+    const oldest = seq - SNAPSHOT_HISTORY;
+    for (const storedSeq of this.history.keys()) {
+      if (storedSeq > oldest) break;
+      this.history.delete(storedSeq);
+    }
+
+    return message;
+  }
+
+  /**
+   * Client confirmed it decoded snapshot `seq` - use it as the next baseline
+   */
+  acknowledge(seq) {
+    if (!Number.isInteger(seq) || seq > this.seq) return;
+    if (this.ackedSeq !== null && seq <= this.ackedSeq) return;
+    if (!this.history.has(seq)) return;
+
+    this.ackedSeq = seq;
+  }
+
+  /**
+   * Forget the baseline (e.g. after a reconnect) so the next snapshot is full
+   */
+  reset() {
+    this.ackedSeq = null;
+  }
+}
+
+module.exports = {
+  SnapshotEncoder,
+  SNAPSHOT_HISTORY
+};
@@ -118,6 +118,34 @@ class SpatialGrid {
     }
   }
 
+  /**
+   * Get all entities in cells overlapping a rectangle (area-of-interest queries)
+   * Cells overhang the rectangle, so callers still do an exact bounds check
+   */
+  queryRect(minX, minY, maxX, maxY) {
+    try {
+      const minCol = Math.max(0, Math.floor(minX / this.cellSize));
+      const maxCol = Math.min(this.cols - 1, Math.floor(maxX / this.cellSize));
+      const minRow = Math.max(0, Math.floor(minY / this.cellSize));
+      const maxRow = Math.min(this.rows - 1, Math.floor(maxY / this.cellSize));
+      const results = [];
+
+      for (let col = minCol; col <= maxCol; col++) {
+        for (let row = minRow; row <= maxRow; row++) {
+          const cellEntities = this.grid.get(this.getCellKey(col, row));
+          if (cellEntities) {
+            results.push(...cellEntities);
+          }
+        }
+      }
+
+      return results;
+    } catch (err) {
+      console.error('[SpatialGrid] QueryRect error:', err.message);
+      return [];
+    }
+  }
+
   /**
    * Get all entities in a specific cell
    */
@@ -0,0 +1,108 @@
+/**
+ * Key-value stores for server-side records (ratings, player accounts, leaderboards)
+ *
+ * Services only rely on get(key), set(key, record), delete(key) and
+ * values(), so a database-backed store can replace these without touching
+ * them. save() is optional and called on shutdown.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SAVE_DELAY = 1000; // ms to batch file writes
+
+/**
+ * Records kept for the lifetime of the process
+ */
+class MemoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  get(key) {
+    return this.records.get(key) || null;
+  }
+
+  set(key, record) {
+    this.records.set(key, record);
+  }
+
+  delete(key) {
+    this.records.delete(key);
+  }
+
+  values() {
+    return Array.from(this.records.values());
+  }
+}
+
+/**
+ * Records loaded from and saved back to a JSON file ({ key: record })
+ */
+class JsonFileStore extends MemoryStore {
+  /**
+   * @param {string} filePath - JSON file (created on first save)
+   * @param {string} label - Log prefix
+   */
+  constructor(filePath, label = 'Store') {
+    super();
+    this.filePath = filePath;
+    this.label = label;
+    this.saveTimer = null;
+    this.load();
+  }
+
+  load() {
+    // CRASH PREVENTION: A missing or corrupt file starts empty
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      Object.entries(data).forEach(([key, record]) => this.records.set(key, record));
+      console.log(`[${this.label}] Loaded ${this.records.size} records from ${this.filePath}`);
+    } catch (error) {
+      console.error(`[${this.label}] Failed to load ${this.filePath}:`, error.message);
+    }
+  }
+
+  set(key, record) {
+    super.set(key, record);
+    this.scheduleSave();
+  }
+
+  delete(key) {
+    super.delete(key);
+    this.scheduleSave();
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY);
+  }
+
+  /**
+   * Write to a temp file and rename, so a crash mid-write keeps the old file
+   */
+  save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(Object.fromEntries(this.records)));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error(`[${this.label}] Failed to save ${this.filePath}:`, error.message);
+    }
+  }
+}
+
+module.exports = {
+  MemoryStore,
+  JsonFileStore
+};
@@ -0,0 +1,20 @@
+/**
+ * Teams for team modes (Team Deathmatch)
+ *
+ * Team ids go over the wire (ships' `team`, radar blips, match winnerId);
+ * colors are what clients draw ships and minimap blips in.
+ */
+
+const TEAMS = [
+  { id: 'red', name: 'Red Team', color: '#ff4444' },
+  { id: 'blue', name: 'Blue Team', color: '#4499ff' }
+];
+
+function getTeam(teamId) {
+  return TEAMS.find(team => team.id === teamId) || null;
+}
+
+module.exports = {
+  TEAMS,
+  getTeam
+};
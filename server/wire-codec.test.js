@@ -0,0 +1,270 @@
+/**
+ * Wire codec round trip - real Game.getGameState() output through the
+ * server encoders (SnapshotEncoder, WireEncoder) and back through the
+ * client decoders (client/snapshot-decoder.js, WireDecoder)
+ *
+ * Run: npm test
+ */
+
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const WireCodec = require('../shared/wire-codec');
+const { SnapshotEncoder, SNAPSHOT_HISTORY } = require('./snapshot');
+const Game = require('./game');
+
+const { quantize, WireEncoder } = WireCodec;
+
+// Extrapolated fields may land anywhere within the encoder's tolerance of the quantized value
+const TOLERANCE = { x: 0.5, y: 0.5, rotation: 0.02 };
+const STEPS = 300;
+
+let SnapshotDecoder;
+
+before(async () => {
+  // The client decoder is an ES module that expects the codec as a global
+  global.WireCodec = WireCodec;
+  const source = fs.readFileSync(path.join(__dirname, '../client/snapshot-decoder.js'), 'utf8');
+  ({ SnapshotDecoder } = await import(`data:text/javascript,${encodeURIComponent(source)}`));
+});
+
+/**
+ * A seeded match with one steering, shooting player and a few bots
+ */
+function createGame(seed = 42) {
+  const io = { to() { return { emit() {} }; }, sockets: { sockets: new Map() } };
+  const socket = { id: 'pilot', rooms: new Set(), join() {}, leave() {}, emit() {}, on() {} };
+  const game = new Game('codec-test', io, 60, { seed: seed });
+  game.addPlayer('pilot', socket, { name: 'Pilot', shipType: 'interceptor' });
+  for (let i = 0; i < 4; i++) {
+    game.addBot();
+  }
+  game.isRunning = true;
+  return game;
+}
+
+/**
+ * Step the game, feeding the player some input so ships turn, move and fire
+ */
+function step(game, tick) {
+  if (tick % 3 === 0) {
+    game.handlePlayerInput('pilot', {
+      seq: tick + 1,
+      forward: tick % 60 < 40,
+      fire: tick % 20 < 10,
+      angle: tick / 40
+    });
+  }
+  game.step();
+}
+
+function angleDistance(a, b) {
+  const wrapped = Math.abs(a - b) % (Math.PI * 2);
+  return Math.min(wrapped, Math.PI * 2 - wrapped);
+}
+
+/**
+ * Deep-compare a decoded state with the state it was encoded from
+ */
+function assertStateMatches(decoded, source, label) {
+  for (const key in source) {
+    const value = source[key];
+    if (!Array.isArray(value)) {
+      assert.deepEqual(decoded[key], JSON.parse(JSON.stringify(value)), `${label}: ${key}`);
+      continue;
+    }
+
+    assert.ok(Array.isArray(decoded[key]), `${label}: ${key} is missing`);
+    const decodedById = new Map(decoded[key].map(entity => [entity.id, entity]));
+    assert.deepEqual(
+      Array.from(decodedById.keys()).sort(),
+      value.map(entity => entity.id).sort(),
+      `${label}: ${key} ids`
+    );
+
+    value.forEach(entity => {
+      const decodedEntity = decodedById.get(entity.id);
+      const where = `${label}: ${key} ${entity.id}`;
+      assert.deepEqual(Object.keys(decodedEntity).sort(), Object.keys(entity).sort(), `${where} fields`);
+
+      for (const field in entity) {
+        const expected = entity[field];
+        const actual = decodedEntity[field];
+        if (typeof expected !== 'number') {
+          assert.deepEqual(actual, expected, `${where}.${field}`);
+        } else if (TOLERANCE[field] !== undefined) {
+          const sent = quantize(field, expected);
+          const distance = field === 'rotation' ? angleDistance(actual, sent) : Math.abs(actual - sent);
+          assert.ok(distance <= TOLERANCE[field] + 1e-9, `${where}.${field}: ${actual} vs ${expected}`);
+        } else {
+          // + 0 folds -0 into 0 (quantizing a tiny negative gives -0)
+          assert.equal(actual + 0, quantize(field, expected) + 0, `${where}.${field}`);
+        }
+      }
+    });
+  }
+}
+
+/**
+ * One client connection: server-side encoders plus client-side decoder
+ * @param {Object} options - { binary, ack(seq, tick) → whether the client acks this snapshot }
+ */
+function runConnection(game, options) {
+  const snapshots = new SnapshotEncoder();
+  const wireEncoder = options.binary ? new WireEncoder() : null;
+  const decoder = new SnapshotDecoder();
+  const baselines = [];
+
+  for (let tick = 0; tick < STEPS; tick++) {
+    step(game, tick);
+
+    const state = game.getGameState();
+    const message = snapshots.encode(state, game.simulationTime);
+    baselines.push(message.baseline);
+
+    const payload = wireEncoder ? wireEncoder.encodeSnapshot(message) : JSON.parse(JSON.stringify(message));
+    if (wireEncoder) {
+      assert.ok(payload instanceof Uint8Array, 'binary snapshot is a byte array');
+    }
+
+    const decoded = decoder.decode(payload);
+    assert.ok(decoded, `snapshot ${message.seq} decodes`);
+    assert.equal(decoded.seq, message.seq);
+    assert.equal(decoded.time, message.time);
+    assertStateMatches(decoded, state, `tick ${tick}`);
+
+    if (options.ack(message.seq, tick)) {
+      snapshots.acknowledge(decoded.seq);
+    }
+  }
+
+  return baselines;
+}
+
+for (const binary of [false, true]) {
+  const format = binary ? 'binary' : 'JSON';
+
+  test(`${format}: every snapshot acked decodes against the previous one`, () => {
+    const baselines = runConnection(createGame(), { binary, ack: () => true });
+    assert.equal(baselines[0], null, 'first snapshot is full');
+    baselines.slice(1).forEach((baseline, index) => assert.equal(baseline, index + 1));
+  });
+
+  test(`${format}: without acks every snapshot is full`, () => {
+    const baselines = runConnection(createGame(), { binary, ack: () => false });
+    assert.ok(baselines.every(baseline => baseline === null));
+  });
+
+  test(`${format}: sparse acks keep decoding against older baselines`, () => {
+    const baselines = runConnection(createGame(7), { binary, ack: seq => seq % 10 === 0 });
+    assert.ok(baselines.slice(0, 10).every(baseline => baseline === null), 'full until the first ack');
+    baselines.slice(10).forEach((baseline, index) => {
+      const seq = index + 11;
+      assert.equal(baseline, Math.floor((seq - 1) / 10) * 10);
+    });
+  });
+}
+
+for (const binary of [false, true]) {
+  test(`${binary ? 'binary' : 'JSON'}: a field that disappears is removed on the client`, () => {
+    const game = createGame();
+    const snapshots = new SnapshotEncoder();
+    const wireEncoder = binary ? new WireEncoder() : null;
+    const decoder = new SnapshotDecoder();
+    const send = (state) => {
+      const message = snapshots.encode(state, game.simulationTime);
+      const decoded = decoder.decode(wireEncoder ? wireEncoder.encodeSnapshot(message) : JSON.parse(JSON.stringify(message)));
+      snapshots.acknowledge(decoded.seq);
+      return decoded;
+    };
+
+    step(game, 0);
+    send(game.getGameState());
+
+    step(game, 1);
+    const state = game.getGameState();
+    delete state.players[0].shipType;
+    delete state.bots[0].shape;
+    const decoded = send(state);
+    assert.ok(!('shipType' in decoded.players[0]));
+    assertStateMatches(decoded, state, 'after removal');
+  });
+}
+
+test('acks for unknown, future or expired snapshots are ignored', () => {
+  const game = createGame();
+  const snapshots = new SnapshotEncoder();
+  const decoder = new SnapshotDecoder();
+
+  for (let tick = 0; tick < SNAPSHOT_HISTORY + 5; tick++) {
+    step(game, tick);
+    decoder.decode(JSON.parse(JSON.stringify(snapshots.encode(game.getGameState(), game.simulationTime))));
+  }
+
+  snapshots.acknowledge(snapshots.seq + 1); // Not sent yet
+  snapshots.acknowledge(1.5);               // Not a sequence number
+  snapshots.acknowledge(1);                 // Dropped from the history
+  step(game, SNAPSHOT_HISTORY + 5);
+  let state = game.getGameState();
+  let message = snapshots.encode(state, game.simulationTime);
+  assert.equal(message.baseline, null);
+  assertStateMatches(decoder.decode(JSON.parse(JSON.stringify(message))), state, 'after bad acks');
+
+  // A real ack is used, and an older one after it doesn't move the baseline back
+  snapshots.acknowledge(message.seq);
+  snapshots.acknowledge(message.seq - 1);
+  step(game, SNAPSHOT_HISTORY + 6);
+  state = game.getGameState();
+  message = snapshots.encode(state, game.simulationTime);
+  assert.equal(message.baseline, message.seq - 1);
+  assertStateMatches(decoder.decode(JSON.parse(JSON.stringify(message))), state, 'after a good ack');
+});
+
+test('a reset encoder sends a full snapshot the decoder accepts', () => {
+  const game = createGame();
+  const snapshots = new SnapshotEncoder();
+  const wireEncoder = new WireEncoder();
+  const decoder = new SnapshotDecoder();
+
+  for (let tick = 0; tick < 20; tick++) {
+    step(game, tick);
+    const decoded = decoder.decode(wireEncoder.encodeSnapshot(snapshots.encode(game.getGameState(), game.simulationTime)));
+    snapshots.acknowledge(decoded.seq);
+  }
+
+  snapshots.reset();
+  step(game, 20);
+  const state = game.getGameState();
+  const message = snapshots.encode(state, game.simulationTime);
+  assert.equal(message.baseline, null);
+  assertStateMatches(decoder.decode(wireEncoder.encodeSnapshot(message)), state, 'after reset');
+});
+
+test('a snapshot whose baseline the client no longer has is skipped, not misapplied', () => {
+  const game = createGame();
+  const snapshots = new SnapshotEncoder();
+  const decoder = new SnapshotDecoder();
+
+  step(game, 0);
+  const first = decoder.decode(JSON.parse(JSON.stringify(snapshots.encode(game.getGameState(), game.simulationTime))));
+  snapshots.acknowledge(first.seq);
+
+  // The client starts over (new decoder) while the server still holds its ack
+  const fresh = new SnapshotDecoder();
+  step(game, 1);
+  assert.equal(fresh.decode(JSON.parse(JSON.stringify(snapshots.encode(game.getGameState(), game.simulationTime)))), null);
+});
+
+test('player input round-trips through the binary codec', () => {
+  const input = { seq: 1234, forward: true, backward: false, left: false, right: true, fire: true, secondaryFire: false, brake: false, angle: 1.25 };
+  const decoded = WireCodec.decodeInput(WireCodec.encodeInput(input));
+  for (const key in input) {
+    if (typeof input[key] === 'boolean') {
+      assert.equal(Boolean(decoded[key]), input[key], key);
+    } else {
+      assert.equal(decoded[key], quantize(key, input[key]), key);
+    }
+  }
+});
@@ -0,0 +1,108 @@
+/**
+ * Ship Physics for Stellar Warfare
+ * The movement model for player and bot ships
+ *
+ * Runs on the server (Game.updatePlayerPhysics) and in the browser
+ * (client-side prediction, global ShipPhysics), so a predicted ship follows
+ * exactly the path the server will compute from the same inputs.
+ */
+
+(function (root, factory) {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ShipPhysics = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DEFAULT_ACCELERATION = 500;
+  const DEFAULT_MAX_SPEED = 300;
+  const DRAG = 0.98;          // Velocity kept per 1/60s
+  const BRAKE_POWER = 0.85;   // Velocity kept per 1/60s while braking
+  const BACKWARD_THRUST = 0.5;
+  const STRAFE_THRUST = 0.7;
+  const BOUNCE = 0.5;         // Bounce damping factor at the world edge
+  const EDGE_MARGIN = 5;      // Keep ships slightly away from the exact edge
+
+  /**
+   * Advance one ship by deltaTime seconds
+   * @param {Object} ship - { x, y, velocityX, velocityY, rotation, acceleration, maxSpeed } (mutated)
+   * @param {Object} inputs - { forward, backward, left, right, brake }
+   * @param {number} deltaTime - Seconds
+   * @param {Object} worldSize - { width, height }
+   */
+  function step(ship, inputs, deltaTime, worldSize) {
+    // Calculate acceleration based on WASD inputs (ship-specific)
+    let ax = 0;
+    let ay = 0;
+    const accelForce = ship.acceleration || DEFAULT_ACCELERATION;
+
+    if (inputs) {
+      if (inputs.forward) {
+        ax += Math.cos(ship.rotation) * accelForce;
+        ay += Math.sin(ship.rotation) * accelForce;
+      }
+      if (inputs.backward) {
+        ax -= Math.cos(ship.rotation) * accelForce * BACKWARD_THRUST;
+        ay -= Math.sin(ship.rotation) * accelForce * BACKWARD_THRUST;
+      }
+      if (inputs.left) {
+        ax -= Math.cos(ship.rotation + Math.PI / 2) * accelForce * STRAFE_THRUST;
+        ay -= Math.sin(ship.rotation + Math.PI / 2) * accelForce * STRAFE_THRUST;
+      }
+      if (inputs.right) {
+        ax += Math.cos(ship.rotation + Math.PI / 2) * accelForce * STRAFE_THRUST;
+        ay += Math.sin(ship.rotation + Math.PI / 2) * accelForce * STRAFE_THRUST;
+      }
+      if (inputs.brake) {
+        // Strong braking
+        ship.velocityX *= Math.pow(BRAKE_POWER, deltaTime * 60);
+        ship.velocityY *= Math.pow(BRAKE_POWER, deltaTime * 60);
+      }
+    }
+
+    // Apply acceleration
+    ship.velocityX += ax * deltaTime;
+    ship.velocityY += ay * deltaTime;
+
+    // Apply drag (frame-rate independent)
+    const dragFactor = Math.pow(DRAG, deltaTime * 60);
+    ship.velocityX *= dragFactor;
+    ship.velocityY *= dragFactor;
+
+    // Limit max speed (ship-specific)
+    const maxSpeed = ship.maxSpeed || DEFAULT_MAX_SPEED;
+    const speed = Math.sqrt(ship.velocityX ** 2 + ship.velocityY ** 2);
+    if (speed > maxSpeed) {
+      ship.velocityX = (ship.velocityX / speed) * maxSpeed;
+      ship.velocityY = (ship.velocityY / speed) * maxSpeed;
+    }
+
+    // Update position
+    ship.x += ship.velocityX * deltaTime;
+    ship.y += ship.velocityY * deltaTime;
+
+    // Boundary collision - bounce with damping to prevent getting stuck
+    if (ship.x < EDGE_MARGIN) {
+      ship.x = EDGE_MARGIN;
+      ship.velocityX = Math.abs(ship.velocityX) * BOUNCE;
+    }
+    if (ship.x > worldSize.width - EDGE_MARGIN) {
+      ship.x = worldSize.width - EDGE_MARGIN;
+      ship.velocityX = -Math.abs(ship.velocityX) * BOUNCE;
+    }
+    if (ship.y < EDGE_MARGIN) {
+      ship.y = EDGE_MARGIN;
+      ship.velocityY = Math.abs(ship.velocityY) * BOUNCE;
+    }
+    if (ship.y > worldSize.height - EDGE_MARGIN) {
+      ship.y = worldSize.height - EDGE_MARGIN;
+      ship.velocityY = -Math.abs(ship.velocityY) * BOUNCE;
+    }
+  }
+
+  return {
+    step
+  };
+});
@@ -0,0 +1,586 @@
+/**
+ * Wire Codec for Stellar Warfare
+ * Compact binary encoding for the two hot-path messages (gameState, playerInput)
+ *
+ * Loaded with require() on the server and as a classic <script> in the browser
+ * (global WireCodec), so both ends run the exact same code.
+ *
+ * gameState (delta snapshot from server/snapshot.js):
+ *   u8       KIND_SNAPSHOT
+ *   varint   seq, baseline + 1 (0 = full snapshot), time in ms
+ *   ids      new netId -> entity id mappings used by this message
+ *   values   changed top-level values as (key, JSON) pairs
+ *   collections
+ *            entity-type tag, added records, changed records, removed netIds
+ *   dropped  netIds the encoder forgot (re-sent with a new netId if reused)
+ *
+ * Entity record:
+ *   varint netId, varint field mask, varint null mask, the masked values in
+ *   FIELDS order, then any fields outside the table as (key, JSON) pairs.
+ *   Positions/velocities are fixed-point varints, angles are 16-bit.
+ *
+ * playerInput:
+ *   u8 KIND_INPUT, u8 button bits, then a record over INPUT_FIELDS
+ *
+ * Numbers are quantized with quantize(), the same rule the delta layer uses,
+ * so binary and JSON clients decode identical states.
+ */
+
+(function (root, factory) {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.WireCodec = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const WIRE_FORMATS = {
+    JSON: 'json',
+    BINARY: 'binary'
+  };
+
+  const KIND_SNAPSHOT = 1;
+  const KIND_INPUT = 2;
+
+  // Quantization: decimal precision per field (default 0.01), angles in 65536 steps
+  const DEFAULT_PRECISION = 100;
+  const FIELD_PRECISION = {
+    x: 10,
+    y: 10,
+    velocityX: 10,
+    velocityY: 10,
+    shield: 1, // Whole points - regeneration would otherwise change it every tick
+    energy: 1,
+    beamLength: 1
+  };
+  const ANGLE_FIELDS = { rotation: true, angle: true };
+  const ANGLE_STEPS = 65536;
+  const ANGLE_UNIT = (Math.PI * 2) / ANGLE_STEPS;
+
+  // Entity fields with a binary representation, most frequently changed first
+  const FIELDS = [
+    ['x', 'fixed'],
+    ['y', 'fixed'],
+    ['rotation', 'angle'],
+    ['velocityX', 'fixed'],
+    ['velocityY', 'fixed'],
+    ['inputSeq', 'fixed'],
+    ['inputTicks', 'fixed'],
+    ['health', 'fixed'],
+    ['shield', 'fixed'],
+    ['isDead', 'bool'],
+    ['score', 'fixed'],
+    ['kills', 'fixed'],
+    ['deaths', 'fixed'],
+    ['maxHealth', 'fixed'],
+    ['maxShield', 'fixed'],
+    ['energy', 'fixed'],
+    ['maxEnergy', 'fixed'],
+    ['beamLength', 'fixed'],
+    ['secondaryWeapon', 'string'],
+    ['ping', 'fixed'],
+    ['jitter', 'fixed'],
+    ['name', 'string'],
+    ['shipType', 'string'],
+    ['color', 'string'],
+    ['size', 'fixed'],
+    ['shape', 'string'],
+    ['isBot', 'bool'],
+    ['isSecondary', 'bool'],
+    ['type', 'string'],
+    ['radius', 'fixed'],
+    ['angularVelocity', 'fixed'],
+    ['age', 'fixed'],
+    ['text', 'string'],
+    ['createdAt', 'fixed'],
+    ['lifetime', 'fixed']
+  ];
+
+  const INPUT_BUTTONS = ['forward', 'backward', 'left', 'right', 'brake', 'fire', 'secondaryFire'];
+  const INPUT_FIELDS = [
+    ['seq', 'fixed'],
+    ['angle', 'angle'],
+    ['mouseX', 'fixed'],
+    ['mouseY', 'fixed'],
+    ['timestamp', 'fixed']
+  ];
+
+  // Entity-type tags for the known collections (0 = custom, name follows)
+  const COLLECTION_TAGS = {
+    players: 1,
+    bots: 2,
+    projectiles: 3,
+    collectibles: 4,
+    asteroids: 5,
+    explosions: 6,
+    floatingTexts: 7
+  };
+  const COLLECTION_NAMES = {};
+  Object.keys(COLLECTION_TAGS).forEach(name => {
+    COLLECTION_NAMES[COLLECTION_TAGS[name]] = name;
+  });
+
+  const ID_RETENTION = 128; // Snapshots an unused netId mapping is kept for
+
+  const textEncoder = new TextEncoder();
+  const textDecoder = new TextDecoder();
+
+  function angleSteps(value) {
+    const turns = value / (Math.PI * 2);
+    return Math.round((turns - Math.floor(turns)) * ANGLE_STEPS) % ANGLE_STEPS;
+  }
+
+  /**
+   * Round a field value to what survives the wire
+   */
+  function quantize(key, value) {
+    if (ANGLE_FIELDS[key]) {
+      return angleSteps(value) * ANGLE_UNIT;
+    }
+    const precision = FIELD_PRECISION[key] || DEFAULT_PRECISION;
+    return Math.round(value * precision) / precision;
+  }
+
+  function isBinary(data) {
+    return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+  }
+
+  class ByteWriter {
+    constructor(size = 256) {
+      this.bytes = new Uint8Array(size);
+      this.length = 0;
+    }
+
+    ensure(extra) {
+      if (this.length + extra <= this.bytes.length) return;
+      let size = this.bytes.length * 2;
+      while (size < this.length + extra) size *= 2;
+      const bytes = new Uint8Array(size);
+      bytes.set(this.bytes.subarray(0, this.length));
+      this.bytes = bytes;
+    }
+
+    u8(value) {
+      this.ensure(1);
+      this.bytes[this.length++] = value;
+    }
+
+    u16(value) {
+      this.u8(value & 0xff);
+      this.u8((value >> 8) & 0xff);
+    }
+
+    // Unsigned LEB128, arithmetic instead of bit ops so values up to 2^53 work
+    varint(value) {
+      while (value >= 0x80) {
+        this.u8((value % 0x80) | 0x80);
+        value = Math.floor(value / 0x80);
+      }
+      this.u8(value);
+    }
+
+    // Zigzag: small negative numbers stay small
+    svarint(value) {
+      this.varint(value < 0 ? -value * 2 - 1 : value * 2);
+    }
+
+    string(value) {
+      const encoded = textEncoder.encode(value);
+      this.varint(encoded.length);
+      this.raw(encoded);
+    }
+
+    raw(bytes) {
+      this.ensure(bytes.length);
+      this.bytes.set(bytes, this.length);
+      this.length += bytes.length;
+    }
+
+    finish() {
+      return this.bytes.slice(0, this.length);
+    }
+  }
+
+  class ByteReader {
+    constructor(data) {
+      this.bytes = data instanceof Uint8Array
+        ? data
+        : ArrayBuffer.isView(data)
+          ? new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+          : new Uint8Array(data);
+      this.offset = 0;
+    }
+
+    u8() {
+      if (this.offset >= this.bytes.length) {
+        throw new RangeError('Wire message truncated');
+      }
+      return this.bytes[this.offset++];
+    }
+
+    u16() {
+      return this.u8() | (this.u8() << 8);
+    }
+
+    varint() {
+      let result = 0;
+      let scale = 1;
+      let byte;
+      do {
+        byte = this.u8();
+        result += (byte & 0x7f) * scale;
+        scale *= 0x80;
+      } while (byte & 0x80);
+      return result;
+    }
+
+    svarint() {
+      const value = this.varint();
+      return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+    }
+
+    string() {
+      const length = this.varint();
+      if (this.offset + length > this.bytes.length) {
+        throw new RangeError('Wire message truncated');
+      }
+      const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+      this.offset += length;
+      return value;
+    }
+  }
+
+  function fitsType(type, value) {
+    switch (type) {
+      case 'fixed':
+      case 'angle':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'bool':
+        return typeof value === 'boolean';
+      case 'string':
+        return typeof value === 'string';
+      default:
+        return false;
+    }
+  }
+
+  function writeValue(writer, key, type, value) {
+    switch (type) {
+      case 'fixed':
+        writer.svarint(Math.round(value * (FIELD_PRECISION[key] || DEFAULT_PRECISION)));
+        break;
+      case 'angle':
+        writer.u16(angleSteps(value));
+        break;
+      case 'bool':
+        writer.u8(value ? 1 : 0);
+        break;
+      case 'string':
+        writer.string(value);
+        break;
+    }
+  }
+
+  function readValue(reader, key, type) {
+    switch (type) {
+      case 'fixed':
+        return reader.svarint() / (FIELD_PRECISION[key] || DEFAULT_PRECISION);
+      case 'angle':
+        return reader.u16() * ANGLE_UNIT;
+      case 'bool':
+        return reader.u8() === 1;
+      case 'string':
+        return reader.string();
+    }
+  }
+
+  /**
+   * Write an object's fields (except skipKey) as mask + values + JSON extras
+   */
+  function writeFields(writer, object, fields, skipKey) {
+    let mask = 0;
+    let nullMask = 0;
+    const known = {};
+    const extras = [];
+
+    fields.forEach(([key, type], index) => {
+      known[key] = true;
+      const value = object[key];
+      if (value === undefined) return;
+
+      if (value === null) {
+        nullMask += 2 ** index;
+      } else if (fitsType(type, value)) {
+        mask += 2 ** index;
+      } else {
+        extras.push(key);
+      }
+    });
+
+    for (const key in object) {
+      if (key !== skipKey && !known[key] && object[key] !== undefined) {
+        extras.push(key);
+      }
+    }
+
+    writer.varint(mask);
+    writer.varint(nullMask);
+    fields.forEach(([key, type], index) => {
+      if (Math.floor(mask / 2 ** index) % 2 === 1) {
+        writeValue(writer, key, type, object[key]);
+      }
+    });
+
+    writer.varint(extras.length);
+    extras.forEach(key => {
+      writer.string(key);
+      writer.string(JSON.stringify(object[key]));
+    });
+  }
+
+  function readFields(reader, object, fields) {
+    const mask = reader.varint();
+    const nullMask = reader.varint();
+
+    fields.forEach(([key, type], index) => {
+      const bit = 2 ** index;
+      if (Math.floor(mask / bit) % 2 === 1) {
+        object[key] = readValue(reader, key, type);
+      } else if (Math.floor(nullMask / bit) % 2 === 1) {
+        object[key] = null;
+      }
+    });
+
+    const extraCount = reader.varint();
+    for (let i = 0; i < extraCount; i++) {
+      const key = reader.string();
+      object[key] = JSON.parse(reader.string());
+    }
+
+    return object;
+  }
+
+  /**
+   * Server side, one per client: netIds are only meaningful on that connection
+   */
+  class WireEncoder {
+    constructor() {
+      this.netIds = new Map(); // entity id -> { netId, lastUsed }
+      this.nextNetId = 1;
+    }
+
+    /**
+     * @param {Object} message - Delta snapshot from SnapshotEncoder.encode()
+     * @returns {Uint8Array}
+     */
+    encodeSnapshot(message) {
+      const newIds = [];
+      const resolve = (id) => {
+        let entry = this.netIds.get(id);
+        if (!entry) {
+          entry = { netId: this.nextNetId++, lastUsed: message.seq };
+          this.netIds.set(id, entry);
+          newIds.push([entry.netId, id]);
+        }
+        entry.lastUsed = message.seq;
+        return entry.netId;
+      };
+
+      // Records first, so every id they reference is known before the header is written
+      const body = new ByteWriter(1024);
+      const collectionNames = Object.keys(message.collections);
+      body.varint(collectionNames.length);
+      collectionNames.forEach(name => {
+        const delta = message.collections[name];
+        const tag = COLLECTION_TAGS[name] || 0;
+        body.u8(tag);
+        if (tag === 0) body.string(name);
+
+        body.varint(delta.added.length);
+        delta.added.forEach(entity => {
+          body.varint(resolve(String(entity.id)));
+          writeFields(body, entity, FIELDS, 'id');
+        });
+
+        body.varint(delta.changed.length);
+        delta.changed.forEach(change => {
+          body.varint(resolve(String(change.id)));
+          writeFields(body, change, FIELDS, 'id');
+        });
+
+        body.varint(delta.removed.length);
+        delta.removed.forEach(id => body.varint(resolve(String(id))));
+      });
+
+      const writer = new ByteWriter(body.length + 256);
+      writer.u8(KIND_SNAPSHOT);
+      writer.varint(message.seq);
+      writer.varint(message.baseline === null ? 0 : message.baseline + 1);
+      writer.varint(Math.round(message.time * 1000));
+
+      writer.varint(newIds.length);
+      newIds.forEach(([netId, id]) => {
+        writer.varint(netId);
+        writer.string(id);
+      });
+
+      const valueKeys = Object.keys(message.values);
+      writer.varint(valueKeys.length);
+      valueKeys.forEach(key => {
+        writer.string(key);
+        writer.string(JSON.stringify(message.values[key]));
+      });
+
+      writer.raw(body.finish());
+
+      // Forget mappings nobody has referenced for a while (keeps the table small)
+      const dropped = [];
+      this.netIds.forEach((entry, id) => {
+        if (message.seq - entry.lastUsed > ID_RETENTION) {
+          this.netIds.delete(id);
+          dropped.push(entry.netId);
+        }
+      });
+      writer.varint(dropped.length);
+      dropped.forEach(netId => writer.varint(netId));
+
+      return writer.finish();
+    }
+  }
+
+  /**
+   * Client side, mirrors the connection's WireEncoder
+   */
+  class WireDecoder {
+    constructor() {
+      this.ids = new Map(); // netId -> entity id
+    }
+
+    /**
+     * @param {ArrayBuffer|Uint8Array} data
+     * @returns {Object} Delta snapshot in the same shape SnapshotEncoder produces
+     */
+    decodeSnapshot(data) {
+      const reader = new ByteReader(data);
+      if (reader.u8() !== KIND_SNAPSHOT) {
+        throw new Error('Not a snapshot message');
+      }
+
+      const seq = reader.varint();
+      const baseline = reader.varint();
+      const message = {
+        seq: seq,
+        baseline: baseline === 0 ? null : baseline - 1,
+        time: reader.varint() / 1000,
+        values: {},
+        collections: {}
+      };
+
+      const idCount = reader.varint();
+      for (let i = 0; i < idCount; i++) {
+        const netId = reader.varint();
+        this.ids.set(netId, reader.string());
+      }
+
+      const valueCount = reader.varint();
+      for (let i = 0; i < valueCount; i++) {
+        const key = reader.string();
+        message.values[key] = JSON.parse(reader.string());
+      }
+
+      const lookup = (netId) => {
+        const id = this.ids.get(netId);
+        if (id === undefined) {
+          throw new Error(`Unknown netId ${netId}`);
+        }
+        return id;
+      };
+      const readRecord = () => {
+        const record = { id: lookup(reader.varint()) };
+        return readFields(reader, record, FIELDS);
+      };
+
+      const collectionCount = reader.varint();
+      for (let i = 0; i < collectionCount; i++) {
+        const tag = reader.u8();
+        const name = tag === 0 ? reader.string() : COLLECTION_NAMES[tag];
+        const delta = { added: [], changed: [], removed: [] };
+
+        const addedCount = reader.varint();
+        for (let j = 0; j < addedCount; j++) delta.added.push(readRecord());
+
+        const changedCount = reader.varint();
+        for (let j = 0; j < changedCount; j++) delta.changed.push(readRecord());
+
+        const removedCount = reader.varint();
+        for (let j = 0; j < removedCount; j++) delta.removed.push(lookup(reader.varint()));
+
+        message.collections[name] = delta;
+      }
+
+      const droppedCount = reader.varint();
+      for (let i = 0; i < droppedCount; i++) {
+        this.ids.delete(reader.varint());
+      }
+
+      return message;
+    }
+
+    reset() {
+      this.ids.clear();
+    }
+  }
+
+  /**
+   * @param {Object} input - playerInput payload
+   * @returns {Uint8Array}
+   */
+  function encodeInput(input) {
+    const writer = new ByteWriter(32);
+    writer.u8(KIND_INPUT);
+
+    let buttons = 0;
+    INPUT_BUTTONS.forEach((button, index) => {
+      if (input[button]) buttons |= 1 << index;
+    });
+    writer.u8(buttons);
+
+    const fields = {};
+    for (const key in input) {
+      if (INPUT_BUTTONS.indexOf(key) === -1) fields[key] = input[key];
+    }
+    writeFields(writer, fields, INPUT_FIELDS);
+
+    return writer.finish();
+  }
+
+  /**
+   * @param {ArrayBuffer|Uint8Array} data
+   * @returns {Object} playerInput payload
+   */
+  function decodeInput(data) {
+    const reader = new ByteReader(data);
+    if (reader.u8() !== KIND_INPUT) {
+      throw new Error('Not an input message');
+    }
+
+    const buttons = reader.u8();
+    const input = {};
+    INPUT_BUTTONS.forEach((button, index) => {
+      input[button] = (buttons & (1 << index)) !== 0;
+    });
+
+    return readFields(reader, input, INPUT_FIELDS);
+  }
+
+  return {
+    WIRE_FORMATS,
+    quantize,
+    isBinary,
+    WireEncoder,
+    WireDecoder,
+    encodeInput,
+    decodeInput
+  };
+});